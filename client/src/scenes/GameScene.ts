@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { loadSessionToken, saveSessionToken, clearSessionToken } from '../session';
 
 interface Player {
     x: number;
@@ -8,22 +9,42 @@ interface Player {
     actionsRemaining?: number;
 }
 
+interface InventorySlot {
+    item: string;
+    count: number;
+}
+
 interface GameState {
     players: { [key: string]: Player };
-    yourPlayerId?: string;
+    roomId?: string;
+    yourPlayerId?: string | null;
+    isSpectator?: boolean;
+    isHotSeat?: boolean; // Both players share this browser
+    spectatorCount?: number;
+    inventories?: { [key: string]: Array<InventorySlot | null> }; // Only sent to spectators
+    keyItems?: { [key: string]: string[] }; // Key items each player carries (everyone sees these)
+    serverTime?: number;
     gameStarted?: boolean;
     gameWon?: boolean;
     gameCompleted?: boolean;
     currentPlayerTurn?: string;
     actionsRemaining?: number;
-    yourItem?: string;
+    yourInventory?: Array<InventorySlot | null> | null;
+    partnerInventory?: Array<InventorySlot | null> | null; // Null while the partner's items are hidden
+    itemVisibility?: {
+        mode: 'hidden' | 'visible' | 'afterTurns';
+        afterTurns: number | null;
+    };
+    revealedItems?: { [key: string]: boolean };
+    turnsThisLevel?: number;
+    livesRemaining?: number; // Respawns left for the run, shared by both players
+    fallenPlayers?: { [key: string]: { respawnAt: number | null } }; // respawnAt is null once out of lives
+    restartVotes?: { [key: string]: boolean };
+    downedPlayers?: { [key: string]: { turnsLeft: number; reviveProgress: number } }; // At 0 health, waiting for a revive
+    canUndo?: boolean; // Our last move or item use this turn can still be taken back
     levelProgression?: number;
     currentLevel?: string;
     mapIndex?: number;
-    douseFireUsed?: {
-        player1: boolean;
-        player2: boolean;
-    };
     levelTransition?: {
         isTransitioning: boolean;
         fromLevel: string;
@@ -33,23 +54,41 @@ interface GameState {
     };
     disconnectedPlayer?: {
         playerId: string;
-    };
+        reconnectDeadline?: number; // Server clock
+    } | null;
     // Level 1 cooperative puzzle objects
-    key?: {
+    pendingGift?: {
+        from: string;
+        to: string;
+        item: string;
+        count: number;
+    } | null;
+    pickups?: Array<{
+        id: string;
         x: number;
         y: number;
-        heldBy: string | null;
-    };
+        item: string;
+        count: number;
+    }> | null;
+    bridges?: Array<{
+        x: number;
+        y: number;
+        builtBy: string;
+    }>;
     fires?: Array<{
         x: number;
         y: number;
         isDoused: boolean;
     }>;
-    door?: {
+    doors?: Array<{
+        id: string;
         x: number;
         y: number;
+        color: string; // See DOOR_KEYS
+        isExit: boolean; // Standing on it wins the level - other doors are just on the way
         isUnlocked: boolean;
-    };
+        openTurnsLeft?: number; // Timed doors: turns it stays open after this one
+    }> | null;
     // Level 2 cooperative puzzle objects
     pressurePlates?: Array<{
         x: number;
@@ -60,29 +99,93 @@ interface GameState {
         x: number;
         y: number;
         isOpen: boolean;
+        openTurnsLeft?: number; // Timed trap doors: turns it stays open after this one
     }>;
-    slimes?: Array<{
+    levers?: Array<{
+        id: string;
+        x: number;
+        y: number;
+        isOn: boolean;
+    }> | null;
+    gates?: Array<{
         x: number;
         y: number;
+        direction: string; // The only way through: 'up', 'down', 'left' or 'right'
+    }> | null;
+    // Enemies and NPCs from the server's ENEMY_TYPES registry (slimes, bats, the snail...)
+    enemies?: Array<{
+        id: string;
+        type: string;
+        name: string;
+        x: number; // Top-left tile of its footprint
+        y: number;
+        width: number; // Footprint in tiles - bosses cover more than one
+        height: number;
+        health: number;
+        maxHealth: number;
         isStunned: boolean;
         stunDuration: number;
-        lastMoveDirection?: string;
-        health?: number;
-        id?: string;
-    }>;
-    snail?: {
+        lastMoveDirection?: string | null;
+        direction?: number; // Pacing NPCs: -1 left, 1 right
+        spriteKey: string;
+        icon: string;
+        color: string;
+        hostile: boolean;
+        aimedLanes?: Array<Array<{ x: number; y: number }>> | null; // Ranged enemies: tiles they fire along next
+        isBoss: boolean;
+        talks: boolean; // NPCs with a dialogue - T talks to them from a neighbouring tile
+        phaseName?: string; // Enemies with phases (bosses)
+        weakPointExposed?: boolean; // Enemies wired to pressure plates: only hurt while exposed
+    }> | null;
+    checkpoints?: Array<{
+        id: string;
         x: number;
         y: number;
-        direction: number;
-        moveRange: number;
-        startX: number;
-        lastInteractionTurn: number;
-    };
+        isActive: boolean;
+    }> | null;
+    crates?: Array<{
+        id: string;
+        x: number;
+        y: number;
+        isSunk: boolean; // Pushed into a chasm - it's floor now
+    }> | null;
 }
 
+const ITEM_ICONS: { [item: string]: string } = {
+    'Douse Fire': '💧',
+    'Build Bridge': '🌉',
+    'Key': '🔑',
+    'Red Key': '🔑',
+    'Blue Key': '🔑',
+    'Green Key': '🔑',
+    'Shiny Stone': '💎',
+};
+
+// Door colors, the key that opens each and the tint both are drawn with
+const DOOR_KEYS: { [color: string]: { item: string; tint: number } } = {
+    gold: { item: 'Key', tint: 0xf1c40f },
+    red: { item: 'Red Key', tint: 0xe74c3c },
+    blue: { item: 'Blue Key', tint: 0x3498db },
+    green: { item: 'Green Key', tint: 0x2ecc71 },
+};
+
+const DIRECTION_DELTAS: { [direction: string]: { x: number; y: number } } = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+};
+
 export class GameScene extends Phaser.Scene {
     private playerSprites: { [key: string]: Phaser.GameObjects.Sprite | Phaser.GameObjects.Rectangle | Phaser.GameObjects.Text | Phaser.GameObjects.Arc } = {};
     private myPlayerId: string | null = null;
+    private isSpectator: boolean = false;
+    private passScreenElement: HTMLElement | null = null; // Hot-seat privacy screen between turns
+    private givePromptElement: HTMLElement | null = null; // Asks us to accept an item from our partner
+    private dialogueElement: HTMLElement | null = null; // What the NPC we're talking to says
+    private selectedSlot: number = 0; // Inventory slot the E and G keys use
+    private aimDirection: string | null = null; // Last arrow pressed, even if the move was blocked
+    private reconnectDeadline: number | null = null; // Local clock time the partner's held slot is released
     private socket: any;
     private serverGameState: GameState | null = null;
     private connectionRejected: boolean = false;
@@ -91,6 +194,10 @@ export class GameScene extends Phaser.Scene {
     private statusElement: HTMLElement | null = null;
     private itemDisplayElement: HTMLElement | null = null;
     private endTurnButton: HTMLElement | null = null;
+    private undoButton: HTMLElement | null = null;
+    private restartVoteButton: HTMLElement | null = null;
+    private deathTexts: Phaser.GameObjects.Text[] = []; // "YOU DIED" banners, cleared on respawn
+    private enemySpriteIds = new Set<string>(); // playerSprites keys drawn for enemies and NPCs
     private tilemapLayers: Phaser.Tilemaps.TilemapLayer[] = []; // Track active tilemap layers
     
     // Game object sprites
@@ -124,6 +231,8 @@ export class GameScene extends Phaser.Scene {
         this.load.image('tiles', 'Full.png');
         this.load.tilemapTiledJSON('level1', 'level1.tmj');
         this.load.tilemapTiledJSON('level2', 'level2.tmj');
+        this.load.tilemapTiledJSON('level3', 'level3.tmj');
+        this.load.tilemapTiledJSON('level4', 'level4.tmj');
         
         // Load level background music
         this.load.audio('level1_music', ['assets/audio/hero.mp3', 'assets/audio/hero.ogg']);
@@ -262,6 +371,36 @@ export class GameScene extends Phaser.Scene {
         this.statusElement = document.getElementById('status');
         this.itemDisplayElement = document.getElementById('item-display');
         this.endTurnButton = document.getElementById('end-turn-btn');
+        this.undoButton = document.getElementById('undo-btn');
+        this.restartVoteButton = document.getElementById('restart-vote-btn');
+        this.passScreenElement = document.getElementById('pass-screen');
+        
+        // Hand control to the next hot-seat player once they have the keyboard
+        const passScreenButton = document.getElementById('pass-screen-btn');
+        if (passScreenButton) {
+            passScreenButton.onclick = () => this.hidePassScreen();
+        }
+        
+        // Answer the partner's item offer
+        this.givePromptElement = document.getElementById('give-prompt');
+        const giveAcceptButton = document.getElementById('give-accept-btn');
+        if (giveAcceptButton) {
+            giveAcceptButton.onclick = () => this.answerGiveOffer(true);
+        }
+        const giveDeclineButton = document.getElementById('give-decline-btn');
+        if (giveDeclineButton) {
+            giveDeclineButton.onclick = () => this.answerGiveOffer(false);
+        }
+        
+        // Talk to NPCs - walking away is always an answer
+        this.dialogueElement = document.getElementById('dialogue-box');
+        const dialogueLeaveButton = document.getElementById('dialogue-leave-btn');
+        if (dialogueLeaveButton) {
+            dialogueLeaveButton.onclick = () => {
+                this.hideDialogue();
+                this.socket.emit('endDialogue');
+            };
+        }
         
         // Set up end turn button event listener
         if (this.endTurnButton) {
@@ -274,6 +413,19 @@ export class GameScene extends Phaser.Scene {
             });
         }
         
+        // Set up undo button event listener
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.sendUndoRequest());
+        }
+        
+        // Restart votes go through a button so fallen players (keyboard disabled) can vote too
+        if (this.restartVoteButton) {
+            this.restartVoteButton.addEventListener('click', () => {
+                const myVote = this.myPlayerId ? this.serverGameState?.restartVotes?.[this.myPlayerId] : false;
+                this.socket?.emit('restartVote', { vote: !myVote });
+            });
+        }
+        
         // Debug: List all loaded textures
         console.log('🔍 Loaded textures:', Object.keys(this.textures.list));
         console.log('🪤 Spike trap texture exists?', this.textures.exists('spikeTrap'));
@@ -326,6 +478,17 @@ export class GameScene extends Phaser.Scene {
             strokeThickness: 2
         });
         this.healthText.setDepth(1000); // Always on top
+        
+        // Tick the reconnect countdown while the game is paused
+        this.time.addEvent({
+            delay: 1000,
+            loop: true,
+            callback: () => {
+                if (this.reconnectDeadline) {
+                    this.updateGameStatus();
+                }
+            }
+        });
     }
     
     private destroyCurrentTilemap() {
@@ -359,13 +522,13 @@ export class GameScene extends Phaser.Scene {
             });
             this.backgroundMusic.play();
             console.log('🎵 Playing Level 1 music (hero.ogg)');
-        } else if (level === 'level2') {
+        } else if (level === 'level2' || level === 'level3' || level === 'level4') {
             this.backgroundMusic = this.sound.add('level2_music', {
                 loop: true,
                 volume: 0.3
             });
             this.backgroundMusic.play();
-            console.log('🎵 Playing Level 2 music (commando.ogg)');
+            console.log(`🎵 Playing ${level} music (commando.ogg)`);
         }
     }
     
@@ -745,6 +908,17 @@ export class GameScene extends Phaser.Scene {
         this.input.keyboard?.on('keydown-RIGHT', () => this.sendMoveRequest('right'));
         this.input.keyboard?.on('keydown-SPACE', () => this.handleAttack());
         this.input.keyboard?.on('keydown-E', () => this.sendUseItemRequest());
+        this.input.keyboard?.on('keydown-G', () => this.sendGiveItemRequest());
+        this.input.keyboard?.on('keydown-R', () => this.sendRevealItemsRequest());
+        this.input.keyboard?.on('keydown-U', () => this.sendUndoRequest());
+        this.input.keyboard?.on('keydown-V', () => this.sendReviveRequest());
+        this.input.keyboard?.on('keydown-T', () => this.sendTalkRequest());
+        this.input.keyboard?.on('keydown-F', () => this.sendFlipLeverRequest());
+
+        // Number keys pick the inventory slot to use
+        ['ONE', 'TWO', 'THREE', 'FOUR'].forEach((keyName, slot) => {
+            this.input.keyboard?.on(`keydown-${keyName}`, () => this.selectInventorySlot(slot));
+        });
         
         // DEBUG: Press 'N' to test the Nyan Cat Easter Egg
         this.input.keyboard?.on('keydown-N', () => {
@@ -755,11 +929,12 @@ export class GameScene extends Phaser.Scene {
             this.scene.start('EasterEggScene');
         });
 
-        // DEBUG: Press 'L' to fast forward to Level 2
+        // DEBUG: Press 'L' to fast forward to the next level
         this.input.keyboard?.on('keydown-L', () => {
-            console.log('🚀 DEBUG: Fast forwarding to Level 2!');
+            const nextLevel = `level${(this.serverGameState?.levelProgression || 1) + 1}`;
+            console.log(`🚀 DEBUG: Fast forwarding to ${nextLevel}!`);
             if (this.socket) {
-                this.socket.emit('debugLoadLevel', { level: 'level2' });
+                this.socket.emit('debugLoadLevel', { level: nextLevel });
             }
         });
     }
@@ -768,6 +943,26 @@ export class GameScene extends Phaser.Scene {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.updateStatus('Connected! Waiting for game state...');
+            
+            // Socket.IO reconnected us with a new socket - reclaim our player slot
+            const sessionToken = loadSessionToken();
+            if (sessionToken && !this.isSpectator) {
+                console.log('🔑 Resuming session after reconnect');
+                this.socket.emit('resumeSessionRequest', { sessionToken });
+            }
+        });
+
+        // The server rotates our session token whenever we (re)take a slot
+        this.socket.on('roomJoined', (data: { sessionToken?: string }) => {
+            if (data.sessionToken) {
+                saveSessionToken(data.sessionToken);
+            }
+        });
+
+        this.socket.on('sessionExpired', (data: { reason: string }) => {
+            console.log('Session expired:', data.reason);
+            clearSessionToken();
+            this.updateStatus(`${data.reason} - refresh to return to the lobby`, '#e74c3c');
         });
 
         this.socket.on('disconnect', () => {
@@ -787,6 +982,23 @@ export class GameScene extends Phaser.Scene {
             this.handleGameState(newGameState);
         });
 
+        this.socket.on('gameError', (data: { message: string; error?: string }) => {
+            console.log('Game error:', data.message, data.error);
+            this.updateStatus(data.message, '#e74c3c');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        // The players left the room we were watching
+        this.socket.on('roomClosed', (data: { roomCode: string }) => {
+            console.log(`Room ${data.roomCode} closed`);
+            this.updateStatus(`Room ${data.roomCode} closed - the players have left. Refresh to return to the lobby`, '#e74c3c');
+            this.updateItemDisplay('');
+        });
+
         this.socket.on('doorMessage', (data: { message: string }) => {
             console.log('Door message:', data.message);
             this.updateStatus(data.message, '#f39c12', '16px', 'normal');
@@ -829,9 +1041,92 @@ export class GameScene extends Phaser.Scene {
             }, 4000);
         });
 
-        this.socket.on('slimeMessage', (data: { message: string; playerId: string }) => {
-            console.log('Slime message:', data.message);
-            this.updateStatus(data.message, '#2ecc71', '16px', 'bold'); // Green for successful slime actions
+        this.socket.on('leverMessage', (data: { message: string }) => {
+            console.log('Lever message:', data.message);
+            this.updateStatus(data.message, '#f1c40f', '16px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('crateMessage', (data: { message: string }) => {
+            console.log('Crate message:', data.message);
+            this.updateStatus(data.message, '#b5835a', '16px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('pickupMessage', (data: { message: string }) => {
+            console.log('Pickup message:', data.message);
+            this.updateStatus(data.message, '#3498db', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('giveItemMessage', (data: { message: string }) => {
+            console.log('Give item message:', data.message);
+            this.updateStatus(data.message, '#3498db', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('undoMessage', (data: { message: string }) => {
+            console.log('Undo message:', data.message);
+            this.updateStatus(data.message, '#95a5a6', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('revealMessage', (data: { message: string; playerId: string }) => {
+            console.log('Reveal message:', data.message);
+            this.updateStatus(data.message, '#3498db', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('giveItemOffer', (data: { from: string; to: string; item: string; count: number }) => {
+            console.log('Give item offer:', data);
+            this.showGivePrompt(data);
+        });
+
+        this.socket.on('giveItemCancelled', (data: { message: string }) => {
+            console.log('Give item offer cancelled:', data.message);
+            this.hideGivePrompt();
+        });
+
+        this.socket.on('itemGiven', (data: { from: string; to: string; item: string; count: number }) => {
+            console.log('Item given:', data);
+            this.playGiveAnimation(data.from, data.to, data.item);
+            const giverName = data.from === 'player1' ? 'Player 1' : 'Player 2';
+            const receiverName = data.to === 'player1' ? 'Player 1' : 'Player 2';
+            this.updateStatus(`🎁 ${giverName} handed ${data.item} to ${receiverName}!`, '#2ecc71', '16px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('bridgeMessage', (data: { message: string; playerId: string }) => {
+            console.log('Bridge message:', data.message);
+            this.updateStatus(data.message, '#2ecc71', '16px', 'bold');
             
             // Clear the message after 3 seconds
             setTimeout(() => {
@@ -839,35 +1134,73 @@ export class GameScene extends Phaser.Scene {
             }, 3000);
         });
 
-        this.socket.on('snailMessage', (data: { message: string; snailPos: { x: number; y: number } }) => {
-            // Display speech bubble above the snail in the game world
-            this.displaySnailSpeech(data.message, data.snailPos.x, data.snailPos.y);
+        this.socket.on('enemyMessage', (data: { message: string; playerId?: string }) => {
+            console.log('Enemy message:', data.message);
+            this.updateStatus(data.message, '#2ecc71', '16px', 'bold'); // Green for successful enemy actions
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+
+        this.socket.on('enemyShot', (data: { enemyId: string; from: { x: number; y: number }; to: { x: number; y: number } }) => {
+            // Send a bolt from the shooter to the first player in its lane (or the end of the lane)
+            const from = this.getTilePixelPosition(data.from.x, data.from.y);
+            const to = this.getTilePixelPosition(data.to.x, data.to.y);
+            const bolt = this.add.circle(from.x, from.y, 6, 0xe74c3c);
+            bolt.setDepth(150);
+            this.tweens.add({
+                targets: bolt,
+                x: to.x,
+                y: to.y,
+                duration: 250,
+                onComplete: () => bolt.destroy()
+            });
+        });
+
+        this.socket.on('enemySlam', () => {
+            // The marked tiles were already on screen - shake the board as the slam lands
+            this.cameras.main.shake(300, 0.01);
+        });
+
+        this.socket.on('dialogue', (data: { npcId: string; name: string; icon: string; text: string; options: Array<{ index: number; text: string }> }) => {
+            console.log('Dialogue:', data);
+            this.showDialogue(data);
+        });
+
+        this.socket.on('dialogueEnd', () => {
+            this.hideDialogue();
         });
         
         this.socket.on('playAttackAnimation', (data: { attackerId: string; victimId: string; direction?: string }) => {
             console.log('Attack animation:', data);
             
             // Find attacker sprite
-            let attackerSprite = this.playerSprites[data.attackerId];
-            if (!attackerSprite && data.attackerId.startsWith('slime_')) {
-                attackerSprite = this.playerSprites[data.attackerId];
-            }
+            const attackerSprite = this.playerSprites[data.attackerId];
+            const attackerIsEnemy = this.enemySpriteIds.has(data.attackerId);
             
-            if (attackerSprite && attackerSprite instanceof Phaser.GameObjects.Sprite) {
+            if (attackerIsEnemy && !(attackerSprite instanceof Phaser.GameObjects.Sprite)) {
+                // Enemies drawn without a spritesheet just lunge
+                if (attackerSprite) {
+                    this.tweens.add({ targets: attackerSprite, scale: 1.3, duration: 150, yoyo: true });
+                }
+            } else if (attackerSprite && attackerSprite instanceof Phaser.GameObjects.Sprite) {
                 const textureKey = attackerSprite.texture.key;
+                const isSlime = textureKey.startsWith('slime');
                 
-                // Handle sprite flipping for slime attacks based on direction
-                if (data.attackerId.startsWith('slime') && data.direction) {
+                // Handle sprite flipping for enemy attacks based on direction
+                if (attackerIsEnemy && data.direction) {
                     if (data.direction === 'left') {
                         attackerSprite.setFlipX(true);
                     } else if (data.direction === 'right') {
                         attackerSprite.setFlipX(false);
                     }
-                    console.log(`🟢 Slime attack direction: ${data.direction}, flipped: ${data.direction === 'left'}`);
+                    console.log(`🟢 Enemy attack direction: ${data.direction}, flipped: ${data.direction === 'left'}`);
                 }
                 
                 // Play attack animation
-                if (data.attackerId.startsWith('slime')) {
+                if (isSlime) {
                     // Mark slime as attacking to prevent idle animation override
                     (attackerSprite as any).isAttacking = true;
                     
@@ -907,6 +1240,82 @@ export class GameScene extends Phaser.Scene {
             this.handleDeath(data.playerId);
         });
         
+        this.socket.on('playerDowned', (data: { playerId: string; turnsLeft: number; message: string }) => {
+            console.log('Player downed:', data.playerId, data.turnsLeft);
+            this.updateStatus(data.message, '#e74c3c', '18px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
+        this.socket.on('playerRevived', (data: { playerId: string; message: string }) => {
+            console.log('Player revived:', data.playerId);
+            this.updateStatus(data.message, '#2ecc71', '18px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
+        this.socket.on('reviveMessage', (data: { message: string }) => {
+            console.log('Revive message:', data.message);
+            this.updateStatus(data.message, '#f39c12', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
+        this.socket.on('playerRespawned', (data: { playerId: string; message: string }) => {
+            console.log('Player respawned:', data.playerId);
+            this.clearDeathTexts();
+            if (data.playerId === this.myPlayerId) {
+                this.input.keyboard!.enabled = true;
+            }
+            this.updateStatus(data.message, '#2ecc71', '16px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
+        this.socket.on('levelRestarted', (data: { message: string }) => {
+            console.log('Level restarted:', data.message);
+            this.clearDeathTexts();
+            this.input.keyboard!.enabled = true;
+            this.updateStatus(data.message, '#3498db', '18px', 'bold');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
+        this.socket.on('restartVoteMessage', (data: { message: string }) => {
+            console.log('Restart vote message:', data.message);
+            this.updateStatus(data.message, '#f39c12', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
+        this.socket.on('checkpointMessage', (data: { message: string }) => {
+            console.log('Checkpoint message:', data.message);
+            this.updateStatus(data.message, '#2ecc71', '16px', 'normal');
+            
+            // Clear the message after 3 seconds
+            setTimeout(() => {
+                this.updateGameStatus(); // Restore normal status
+            }, 3000);
+        });
+        
         this.socket.on('showEasterEgg', () => {
             console.log('🎉 Easter egg triggered! Transitioning to Nyan Cat scene...');
             
@@ -927,13 +1336,14 @@ export class GameScene extends Phaser.Scene {
                 console.log('✅ Showing death message to other player:', data.message);
                 
                 // Show big centered death message (similar to "YOU DIED")
-                this.add.text(this.cameras.main.centerX, this.cameras.main.centerY, data.message, {
+                const deathText = this.add.text(this.cameras.main.centerX, this.cameras.main.centerY, data.message, {
                     fontSize: '48px',
                     color: '#ff0000', // Red color like "YOU DIED"
                     fontFamily: 'Arial',
                     stroke: '#000000',
                     strokeThickness: 4
                 }).setOrigin(0.5).setDepth(1000); // High depth to appear on top of everything
+                this.deathTexts.push(deathText);
                 
             } else {
                 console.log('❌ Not showing death message - this is the player who died');
@@ -955,12 +1365,33 @@ export class GameScene extends Phaser.Scene {
             const levelChanged = this.serverGameState?.currentLevel !== newGameState.currentLevel;
             
             this.serverGameState = newGameState;
+            
+            // Convert the server's reconnect deadline to our clock for the countdown
+            const disconnectedPlayer = newGameState.disconnectedPlayer;
+            if (disconnectedPlayer && disconnectedPlayer.reconnectDeadline && newGameState.serverTime) {
+                this.reconnectDeadline = Date.now() + (disconnectedPlayer.reconnectDeadline - newGameState.serverTime);
+            } else {
+                this.reconnectDeadline = null;
+            }
+        
+            // In hot-seat games the server switches our slot with the turn - hide the
+            // board and the new player's item until the keyboard has changed hands
+            if (newGameState.isHotSeat && this.myPlayerId && newGameState.yourPlayerId &&
+                newGameState.yourPlayerId !== this.myPlayerId) {
+                this.showPassScreen(newGameState.yourPlayerId);
+            }
         
             if (newGameState.yourPlayerId) {
                 this.myPlayerId = newGameState.yourPlayerId;
                 console.log('Assigned as:', this.myPlayerId);
             }
             
+            if (newGameState.isSpectator && !this.isSpectator) {
+                this.isSpectator = true;
+                this.input.keyboard!.enabled = false; // Spectators are read-only
+                console.log('👁️ Spectating room', newGameState.roomId);
+            }
+            
             // Re-render tilemap if level changed
             if (levelChanged && newGameState.currentLevel) {
                 console.log(`🔄 Level changed to ${newGameState.currentLevel}, re-rendering tilemap`);
@@ -976,6 +1407,8 @@ export class GameScene extends Phaser.Scene {
             this.updateGameStatus();
             this.updatePlayerSprites();
             this.updateEndTurnButton();
+            this.updateUndoButton();
+            this.updateRestartVoteButton();
             this.updateHealthDisplay();
             
         } catch (error) {
@@ -983,6 +1416,24 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
+    private showPassScreen(nextPlayerId: string) {
+        if (!this.passScreenElement) return;
+        
+        const title = document.getElementById('pass-screen-title');
+        if (title) {
+            title.textContent = `Pass the keyboard to ${nextPlayerId}`;
+        }
+        this.passScreenElement.style.display = 'block';
+        this.input.keyboard!.enabled = false;
+    }
+
+    private hidePassScreen() {
+        if (this.passScreenElement) {
+            this.passScreenElement.style.display = 'none';
+        }
+        this.input.keyboard!.enabled = true;
+    }
+
     private updateGameStatus() {
         if (!this.serverGameState) return;
         
@@ -1017,21 +1468,55 @@ export class GameScene extends Phaser.Scene {
         }
         // Check for level completion
         else if (this.serverGameState.gameWon) {
-            const levelName = this.serverGameState.levelProgression === 1 ? "Level 1" : "Level 2";
-            this.updateStatus(`🎉 VICTORY! ${levelName.toUpperCase()} COMPLETE! 🎉`, '#f1c40f', '22px', 'bold');
-            this.updateItemDisplay(`🌟 Excellent teamwork! Advancing to Level 2 in 5 seconds... 🌟`, '#27ae60');
+            const levelNumber = this.serverGameState.levelProgression || 1;
+            this.updateStatus(`🎉 VICTORY! LEVEL ${levelNumber} COMPLETE! 🎉`, '#f1c40f', '22px', 'bold');
+            this.updateItemDisplay(`🌟 Excellent teamwork! Get ready for what comes next... 🌟`, '#27ae60');
             // Use a subtle dark background instead of animated gradient
             this.setVictoryBackground('#2c3e50');
         }
-        else if (playerCount === 1) {
-            if (this.serverGameState.disconnectedPlayer) {
-                const disconnectedPlayerId = this.serverGameState.disconnectedPlayer.playerId.toUpperCase();
-                this.updateStatus(`⚠️ ${disconnectedPlayerId} disconnected! Waiting for reconnection... You are ${this.myPlayerId}`, '#e74c3c');
-                this.updateItemDisplay(`Game paused | ${disconnectedPlayerId} has 30 seconds to reconnect`);
+        // Partner dropped out - the game is paused while their slot is held
+        else if (this.serverGameState.disconnectedPlayer) {
+            const disconnectedPlayerId = this.serverGameState.disconnectedPlayer.playerId.toUpperCase();
+            const secondsLeft = this.reconnectDeadline
+                ? Math.max(0, Math.ceil((this.reconnectDeadline - Date.now()) / 1000))
+                : 0;
+            this.updateStatus(`⏸️ ${disconnectedPlayerId} disconnected! Game paused - ${secondsLeft}s left to reconnect`, '#e74c3c');
+            this.updateItemDisplay(`Positions, health, key and items are kept | The game resumes as soon as ${disconnectedPlayerId} is back`);
+            this.resetBackground();
+        }
+        else if (this.isSpectator) {
+            this.updateSpectatorStatus(playerCount);
+        }
+        // Someone is down - the partner has a few turns to get them back up
+        else if (this.serverGameState.gameStarted && this.myPlayerId && Object.keys(this.serverGameState.downedPlayers || {}).length > 0) {
+            const downed = this.serverGameState.downedPlayers!;
+            const myDowned = downed[this.myPlayerId];
+            if (myDowned) {
+                this.updateStatus(`🩸 You are down - your partner has ${myDowned.turnsLeft} turns to help you up`, '#e74c3c', '18px', 'bold');
+                this.updateItemDisplay('Hang on! Slimes can still finish you off', '#95a5a6');
+            } else {
+                const partnerDowned = Object.values(downed)[0];
+                const isMyTurn = this.serverGameState.currentPlayerTurn === this.myPlayerId;
+                this.updateStatus(`🩸 Your partner is down - ${partnerDowned.turnsLeft} turns left to help them up`, '#e74c3c', '18px', isMyTurn ? 'bold' : 'normal');
+                this.updateItemDisplay(`Stand next to them and press V - each press spends an action (${partnerDowned.reviveProgress} so far)`, '#f39c12');
+            }
+            this.resetBackground();
+        }
+        // Someone fell - they respawn on their own while lives last, otherwise it takes a restart vote
+        else if (this.serverGameState.gameStarted && Object.keys(this.serverGameState.fallenPlayers || {}).length > 0) {
+            const fallen = this.serverGameState.fallenPlayers!;
+            const outOfLives = Object.values(fallen).some(entry => entry.respawnAt === null);
+            if (this.myPlayerId && fallen[this.myPlayerId]) {
+                this.updateStatus(outOfLives ? '💀 You fell and the run is out of lives' : '💀 You fell - respawning in a few seconds...', '#e74c3c');
             } else {
-                this.updateStatus(`⏳ Waiting for partner to join... You are ${this.myPlayerId}`, '#f39c12');
-                this.updateItemDisplay(`Partner needed to continue`);
+                this.updateStatus(outOfLives ? '💀 Your partner fell and the run is out of lives' : '💀 Your partner fell - keep going, they will be back soon', '#e74c3c');
             }
+            this.updateItemDisplay(outOfLives ? 'Vote Restart to start the run over from Level 1' : 'Or Vote Restart to try the level again together', '#95a5a6');
+            this.resetBackground();
+        }
+        else if (playerCount === 1) {
+            this.updateStatus(`⏳ Waiting for partner to join... You are ${this.myPlayerId}`, '#f39c12');
+            this.updateItemDisplay(`Partner needed to continue`);
             this.resetBackground();
         }
         else if (playerCount === 2) {
@@ -1055,6 +1540,22 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
+    private updateSpectatorStatus(playerCount: number) {
+        if (!this.serverGameState) return;
+        
+        const roomCode = this.serverGameState.roomId || '';
+        if (playerCount < 2) {
+            this.updateStatus(`👁️ Spectating ${roomCode} | Waiting for both players...`, '#9b59b6');
+        } else if (this.serverGameState.gameStarted) {
+            const currentPlayer = this.serverGameState.currentPlayerTurn === 'player1' ? 'Player 1' : 'Player 2';
+            this.updateStatus(`👁️ Spectating ${roomCode} | ${currentPlayer}'s turn`, '#9b59b6', '18px', 'bold');
+        } else {
+            this.updateStatus(`👁️ Spectating ${roomCode} | Game starting...`, '#9b59b6');
+        }
+        this.updateItemDisplay(`Level ${this.serverGameState.levelProgression || 1} | You are watching - controls are disabled`, '#95a5a6');
+        this.resetBackground();
+    }
+
     private updateStatus(text: string, color: string = '#ecf0f1', fontSize: string = '16px', fontWeight: string = 'normal') {
         if (this.statusElement) {
             this.statusElement.textContent = text;
@@ -1071,45 +1572,44 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
-    private displaySnailSpeech(message: string, snailX: number, snailY: number) {
-        // Calculate pixel position above the snail
-        const coords = this.getTilePixelPosition(snailX, snailY);
-        const textY = coords.y - 50; // Position text 50 pixels above the snail
-        
-        // Create the speech text
-        const speechText = this.add.text(coords.x, textY, message, {
-            fontSize: '14px',
-            color: '#ffffff',
-            fontFamily: 'Arial, sans-serif',
-            stroke: '#000000',
-            strokeThickness: 2,
-            align: 'center',
-            wordWrap: { width: 200 }
-        }).setOrigin(0.5);
-        
-        speechText.setDepth(200); // High depth to appear above everything
-        
-        // Store reference for cleanup
-        this.playerSprites['snail_speech'] = speechText;
+    // Show what an NPC says and the answers we can give (the server hides the ones we can't pick yet)
+    private showDialogue(dialogue: { npcId: string; name: string; icon: string; text: string; options: Array<{ index: number; text: string }> }) {
+        if (!this.dialogueElement) return;
         
+        const speaker = document.getElementById('dialogue-speaker');
+        if (speaker) {
+            speaker.textContent = `${dialogue.icon} ${dialogue.name}`;
+        }
+        const text = document.getElementById('dialogue-text');
+        if (text) {
+            text.textContent = dialogue.text;
+        }
+        const options = document.getElementById('dialogue-options');
+        if (options) {
+            options.innerHTML = '';
+            dialogue.options.forEach(option => {
+                const button = document.createElement('button');
+                button.className = 'lobby-button';
+                button.textContent = option.text;
+                button.onclick = () => this.socket.emit('dialogueChoice', { option: option.index });
+                options.appendChild(button);
+            });
+        }
+        this.dialogueElement.style.display = 'block';
+    }
 
-        
-        // Auto-remove after 5 seconds
-        this.time.delayedCall(5000, () => {
-            if (speechText && speechText.active) {
-                speechText.destroy();
-                delete this.playerSprites['snail_speech'];
-    
-            }
-        });
+    private hideDialogue() {
+        if (this.dialogueElement) {
+            this.dialogueElement.style.display = 'none';
+        }
     }
 
     private updateEndTurnButton() {
         if (this.endTurnButton) {
             const gameState = this.serverGameState;
             
-            // Show button only when game is started and not won
-            if (gameState?.gameStarted && !gameState?.gameWon && !gameState?.gameCompleted) {
+            // Show button only when game is started and not won (never to spectators)
+            if (gameState?.gameStarted && !gameState?.gameWon && !gameState?.gameCompleted && !this.isSpectator) {
                 this.endTurnButton.style.display = 'block';
                 
                 // Enable button only when it's the current player's turn
@@ -1127,45 +1627,147 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
-    private setVictoryBackground(gradient: string) {
-        const container = document.getElementById('game-container');
-        if (container) {
-            container.style.background = gradient;
-            container.style.backgroundSize = '300% 300%';
-            container.style.animation = 'gradient-shift 2s ease infinite';
+    private updateUndoButton() {
+        if (!this.undoButton) return;
+        
+        const gameState = this.serverGameState;
+        if (gameState?.gameStarted && !gameState?.gameWon && !gameState?.gameCompleted && !this.isSpectator) {
+            this.undoButton.style.display = 'block';
+            (this.undoButton as HTMLButtonElement).disabled = !gameState.canUndo;
+            this.undoButton.style.opacity = gameState.canUndo ? '1' : '0.5';
+        } else {
+            this.undoButton.style.display = 'none';
         }
     }
 
-    private resetBackground() {
-        const container = document.getElementById('game-container');
-        if (container) {
-            container.style.background = 'none';
-            container.style.animation = 'none';
+    private updateRestartVoteButton() {
+        if (!this.restartVoteButton) return;
+        
+        const gameState = this.serverGameState;
+        if (gameState?.gameStarted && !gameState?.gameWon && !gameState?.gameCompleted && !this.isSpectator) {
+            this.restartVoteButton.style.display = 'block';
+            const myVote = this.myPlayerId ? gameState.restartVotes?.[this.myPlayerId] : false;
+            this.restartVoteButton.textContent = myVote ? 'Cancel Restart' : 'Vote Restart';
+        } else {
+            this.restartVoteButton.style.display = 'none';
         }
     }
 
-    private updatePlayerSprites() {
-        if (!this.serverGameState) return;
+    private clearDeathTexts() {
+        this.deathTexts.forEach(text => text.destroy());
+        this.deathTexts = [];
+    }
 
-        // Create or update player sprites
-        for (const [playerId, player] of Object.entries(this.serverGameState.players)) {
-            if (!this.playerSprites[playerId]) {
-                // Create new player sprite
-                const coords = this.getTilePixelPosition(player.x, player.y);
-                
-                let spriteKey: string;
-                let walkAnim: string;
-                let idleAnim: string;
-                
-                // Player 1 is always soldier, Player 2 is always orc (regardless of which client is viewing)
-                if (playerId === 'player1') {
-                    spriteKey = 'soldier';
-                    walkAnim = 'soldier-walk';
-                    idleAnim = 'soldier-idle';
-                } else {
-                    spriteKey = 'orc';
-                    walkAnim = 'orc-walk';
-                    idleAnim = 'orc-idle';
+    private sendReviveRequest() {
+        if (!this.socket || !this.serverGameState?.gameStarted) {
+            console.log('Cannot revive: game not started');
+            return;
+        }
+        
+        const partnerId = this.myPlayerId === 'player1' ? 'player2' : 'player1';
+        if (!this.serverGameState.downedPlayers?.[partnerId]) {
+            console.log('Cannot revive: partner is not down');
+            return;
+        }
+        
+        console.log('🩹 Sending revive request');
+        this.socket.emit('reviveRequest');
+    }
+
+    private sendFlipLeverRequest() {
+        if (!this.socket || !this.myPlayerId || !this.serverGameState?.gameStarted) {
+            console.log('Cannot flip a lever: game not started');
+            return;
+        }
+        
+        if (this.serverGameState.currentPlayerTurn !== this.myPlayerId) {
+            console.log('Cannot flip a lever: not your turn');
+            return;
+        }
+        
+        console.log('🕹️ Sending lever flip request');
+        this.socket.emit('flipLeverRequest');
+    }
+
+    private sendTalkRequest() {
+        if (!this.socket || !this.myPlayerId || !this.serverGameState?.gameStarted) {
+            console.log('Cannot talk: game not started');
+            return;
+        }
+        
+        if (this.serverGameState.currentPlayerTurn !== this.myPlayerId) {
+            console.log('Cannot talk: not your turn');
+            return;
+        }
+        
+        const player = this.serverGameState.players[this.myPlayerId];
+        if (!player) return;
+        
+        // Anyone with something to say on a neighbouring tile
+        const npc = (this.serverGameState.enemies || []).find(enemy => {
+            if (!enemy.talks) return false;
+            const dx = Math.max(enemy.x - player.x, 0, player.x - (enemy.x + enemy.width - 1));
+            const dy = Math.max(enemy.y - player.y, 0, player.y - (enemy.y + enemy.height - 1));
+            return dx + dy === 1;
+        });
+        if (!npc) {
+            console.log('Cannot talk: nobody to talk to');
+            return;
+        }
+        
+        console.log(`💬 Talking to ${npc.id}`);
+        this.socket.emit('talkRequest', { npcId: npc.id });
+    }
+
+    private sendUndoRequest() {
+        if (!this.socket || !this.serverGameState?.canUndo) {
+            console.log('Cannot undo: nothing to take back this turn');
+            return;
+        }
+        
+        console.log('↩️ Sending undo request');
+        this.socket.emit('undoRequest');
+    }
+
+    private setVictoryBackground(gradient: string) {
+        const container = document.getElementById('game-container');
+        if (container) {
+            container.style.background = gradient;
+            container.style.backgroundSize = '300% 300%';
+            container.style.animation = 'gradient-shift 2s ease infinite';
+        }
+    }
+
+    private resetBackground() {
+        const container = document.getElementById('game-container');
+        if (container) {
+            container.style.background = 'none';
+            container.style.animation = 'none';
+        }
+    }
+
+    private updatePlayerSprites() {
+        if (!this.serverGameState) return;
+
+        // Create or update player sprites
+        for (const [playerId, player] of Object.entries(this.serverGameState.players)) {
+            if (!this.playerSprites[playerId]) {
+                // Create new player sprite
+                const coords = this.getTilePixelPosition(player.x, player.y);
+                
+                let spriteKey: string;
+                let walkAnim: string;
+                let idleAnim: string;
+                
+                // Player 1 is always soldier, Player 2 is always orc (regardless of which client is viewing)
+                if (playerId === 'player1') {
+                    spriteKey = 'soldier';
+                    walkAnim = 'soldier-walk';
+                    idleAnim = 'soldier-idle';
+                } else {
+                    spriteKey = 'orc';
+                    walkAnim = 'orc-walk';
+                    idleAnim = 'orc-idle';
                 }
                 
                 // Try to create animated sprite, fallback to rectangle if sprite not available
@@ -1226,9 +1828,8 @@ export class GameScene extends Phaser.Scene {
         for (const spriteKey of Object.keys(this.playerSprites)) {
             if (spriteKey.endsWith('_label')) continue;
             
-            // Skip non-player entities (snail, slimes, traps, etc.)
-            if (spriteKey === 'snail' || spriteKey === 'snail_label' || spriteKey === 'snail_speech' ||
-                spriteKey.startsWith('slime_') || spriteKey.startsWith('trap_')) continue;
+            // Skip non-player entities (enemies, NPCs, traps, etc.)
+            if (this.isEnemySpriteKey(spriteKey) || spriteKey.startsWith('trap_') || spriteKey.startsWith('danger_') || spriteKey.startsWith('crate_')) continue;
             
             const playerId = spriteKey;
             if (!this.serverGameState.players[playerId]) {
@@ -1300,6 +1901,14 @@ export class GameScene extends Phaser.Scene {
                 }
                 sprite.setScale(2.0); // Always maintain consistent scale
                 
+                // Downed players lie greyed out on their side with their turns left on the label
+                const downed = this.serverGameState.downedPlayers?.[playerId];
+                sprite.setAngle(downed ? 90 : 0);
+                if (downed && sprite.setTint) {
+                    sprite.setTint(0x777777);
+                }
+                label.setText(downed ? `${playerId.toUpperCase()} 🩸${downed.turnsLeft}` : playerId.toUpperCase());
+                
                 // Highlight current player's turn (only affects labels)
                 if (this.serverGameState.gameStarted && this.serverGameState.currentPlayerTurn === playerId) {
                     label.setStyle({ fontSize: '16px', color: '#ffff00', fontWeight: 'bold', stroke: '#000000', strokeThickness: 3 });
@@ -1323,8 +1932,10 @@ export class GameScene extends Phaser.Scene {
     private renderPuzzleObjects() {
         if (!this.serverGameState) return;
 
-        // Clear old puzzle object sprites
-        const puzzleObjectKeys = ['key', 'fire_0', 'fire_1', 'door', 'door_label'];
+        // Clear old puzzle object sprites (levels can have any number of fires and bridges)
+        const puzzleObjectKeys = Object.keys(this.playerSprites).filter(key =>
+            key.startsWith('door_') || key.startsWith('pickup_') || key.startsWith('checkpoint_') || key.startsWith('fire_') || key.startsWith('bridge_') || key.startsWith('danger_') ||
+            key.startsWith('lever_') || key.startsWith('gate_') || key.startsWith('timer_'));
         puzzleObjectKeys.forEach(key => {
             if (this.playerSprites[key]) {
                 (this.playerSprites[key] as any).destroy();
@@ -1332,22 +1943,48 @@ export class GameScene extends Phaser.Scene {
             }
         });
 
-        // Draw the key if it's not held by a player
-        if (this.serverGameState.key && !this.serverGameState.key.heldBy) {
-            const coords = this.getTilePixelPosition(this.serverGameState.key.x, this.serverGameState.key.y);
-            
-            if (this.textures.exists('key')) {
-                const keySprite = this.add.sprite(coords.x, coords.y, 'key');
-                keySprite.setOrigin(0.5, 0.5);
-                keySprite.setScale(2.0); // Make key bigger and more visible
-                keySprite.setDepth(90); // Below players but above tiles
-                keySprite.play('key_shine');
-                this.playerSprites['key'] = keySprite;
-                // console.log('✨ Rendered animated key');
-            } else {
-                console.warn('⚠️ Key sprite not available, skipping key rendering');
+        // Draw the checkpoints - the active one is where fallen players respawn
+        (this.serverGameState.checkpoints || []).forEach(checkpoint => {
+            const coords = this.getTilePixelPosition(checkpoint.x, checkpoint.y);
+            const flag = this.add.text(coords.x, coords.y, '🚩', {
+                fontSize: '20px',
+                color: '#ffffff'
+            }).setOrigin(0.5);
+            flag.setAlpha(checkpoint.isActive ? 1 : 0.4);
+            flag.setDepth(85); // Under pickups and players
+            this.playerSprites[checkpoint.id] = flag;
+        });
+
+        // Draw the items lying on the map - keys keep their animated sprite, tinted by color
+        (this.serverGameState.pickups || []).forEach(pickup => {
+            const coords = this.getTilePixelPosition(pickup.x, pickup.y);
+            
+            const doorKey = Object.entries(DOOR_KEYS).find(([, { item }]) => item === pickup.item);
+            if (doorKey) {
+                if (this.textures.exists('key')) {
+                    const keySprite = this.add.sprite(coords.x, coords.y, 'key');
+                    keySprite.setOrigin(0.5, 0.5);
+                    keySprite.setScale(2.0); // Make key bigger and more visible
+                    keySprite.setDepth(90); // Below players but above tiles
+                    if (doorKey[0] !== 'gold') {
+                        keySprite.setTint(doorKey[1].tint); // The gold key is drawn as it is
+                    }
+                    keySprite.play('key_shine');
+                    this.playerSprites[pickup.id] = keySprite;
+                } else {
+                    console.warn('⚠️ Key sprite not available, skipping key rendering');
+                }
+                return;
             }
-        }
+            
+            const icon = ITEM_ICONS[pickup.item] || '🎁';
+            const pickupText = this.add.text(coords.x, coords.y, pickup.count > 1 ? `${icon}${pickup.count}` : icon, {
+                fontSize: '20px',
+                color: '#ffffff'
+            }).setOrigin(0.5);
+            pickupText.setDepth(90); // Below players but above tiles
+            this.playerSprites[pickup.id] = pickupText;
+        });
 
         // Draw the fires if they are not doused
         if (this.serverGameState.fires) {
@@ -1369,20 +2006,86 @@ export class GameScene extends Phaser.Scene {
             });
         }
 
-        // Draw the door
-        if (this.serverGameState.door) {
-            const coords = this.getTilePixelPosition(this.serverGameState.door.x, this.serverGameState.door.y);
+        // Draw the bridges built over chasms (wooden planks)
+        if (this.serverGameState.bridges) {
+            this.serverGameState.bridges.forEach((bridge, index) => {
+                const coords = this.getTilePixelPosition(bridge.x, bridge.y);
+                const bridgeRect = this.add.rectangle(coords.x, coords.y, this.currentTileSize, this.currentTileSize * 0.8, 0xa0522d);
+                bridgeRect.setStrokeStyle(3, 0x5d3a1a);
+                bridgeRect.setDepth(80); // Below plates, fires and players but above tiles
+                this.playerSprites[`bridge_${index}`] = bridgeRect;
+            });
+        }
+
+        this.renderCrates();
+
+        // Draw the levers - lit up while they're on
+        (this.serverGameState.levers || []).forEach((lever, index) => {
+            const coords = this.getTilePixelPosition(lever.x, lever.y);
+            const leverBase = this.add.rectangle(coords.x, coords.y, this.currentTileSize * 0.7, this.currentTileSize * 0.7, lever.isOn ? 0x2ecc71 : 0x4a4a4a);
+            leverBase.setStrokeStyle(2, 0x222222);
+            leverBase.setDepth(84); // Under pickups and players
+            this.playerSprites[`lever_${index}`] = leverBase;
+
+            const leverIcon = this.add.text(coords.x, coords.y, '🕹️', {
+                fontSize: '18px',
+                color: '#ffffff'
+            }).setOrigin(0.5);
+            leverIcon.setDepth(85);
+            this.playerSprites[`lever_label_${index}`] = leverIcon;
+        });
+
+        // Draw the one-way gates as arrows pointing the only way through
+        const GATE_ARROWS: { [direction: string]: string } = { up: '⬆️', down: '⬇️', left: '⬅️', right: '➡️' };
+        (this.serverGameState.gates || []).forEach((gate, index) => {
+            const coords = this.getTilePixelPosition(gate.x, gate.y);
+            const gateRect = this.add.rectangle(coords.x, coords.y, this.currentTileSize, this.currentTileSize, 0x95a5a6, 0.4);
+            gateRect.setStrokeStyle(2, 0x7f8c8d);
+            gateRect.setDepth(84);
+            this.playerSprites[`gate_${index}`] = gateRect;
+
+            const gateArrow = this.add.text(coords.x, coords.y, GATE_ARROWS[gate.direction] || '❓', {
+                fontSize: '18px',
+                color: '#ffffff'
+            }).setOrigin(0.5);
+            gateArrow.setDepth(85);
+            this.playerSprites[`gate_label_${index}`] = gateArrow;
+        });
+
+        // Count down the timed doors and trap doors that are open
+        const timedObjects = [
+            ...(this.serverGameState.trapDoors || []).map((trap, index) => ({ key: `timer_trap_${index}`, object: trap, isOpen: trap.isOpen })),
+            ...(this.serverGameState.doors || []).map((door, index) => ({ key: `timer_door_${index}`, object: door, isOpen: door.isUnlocked }))
+        ];
+        timedObjects.forEach(({ key, object, isOpen }) => {
+            if (!isOpen || object.openTurnsLeft === undefined) return;
+            const coords = this.getTilePixelPosition(object.x, object.y);
+            const timerText = this.add.text(coords.x, coords.y - this.currentTileSize * 0.6, `⏳${object.openTurnsLeft}`, {
+                fontSize: '12px',
+                color: object.openTurnsLeft === 0 ? '#e74c3c' : '#ffffff', // Red on its last turn
+                stroke: '#000000',
+                strokeThickness: 2
+            }).setOrigin(0.5);
+            timerText.setDepth(102); // Above players so it's never hidden
+            this.playerSprites[key] = timerText;
+        });
+
+        // Draw the doors - the frame shows the color of the key that opens them
+        const keyHolders = Object.values(this.serverGameState.keyItems || {});
+        (this.serverGameState.doors || []).forEach((door, index) => {
+            const coords = this.getTilePixelPosition(door.x, door.y);
+            const { item, tint } = DOOR_KEYS[door.color] || DOOR_KEYS.gold;
             
             // Determine door appearance based on state
             let doorColor = 0x8b4513; // Default brown (locked)
             let doorIcon = '🔒';
-            let strokeColor = 0x000000; // Default black stroke
+            let strokeColor = door.color === 'gold' ? 0x000000 : tint; // Gold doors keep a black frame
             
-            if (this.serverGameState.door.isUnlocked) {
+            if (door.isUnlocked) {
                 doorColor = 0x2ecc71; // Green (unlocked)
                 doorIcon = '🚪';
-            } else if (this.serverGameState.key && this.serverGameState.key.heldBy) {
-                doorColor = 0xf39c12; // Orange (highlighted - someone has key)
+            } else if (keyHolders.some(items => items.includes(item))) {
+                doorColor = 0xf39c12; // Orange (highlighted - someone has its key)
                 doorIcon = '🔑';
                 strokeColor = 0xffd700; // Golden stroke for highlight
             }
@@ -1390,7 +2093,10 @@ export class GameScene extends Phaser.Scene {
             const doorRect = this.add.rectangle(coords.x, coords.y, 40, 40, doorColor);
             doorRect.setStrokeStyle(4, strokeColor);
             doorRect.setDepth(90); // Below players but above tiles
-            this.playerSprites['door'] = doorRect;
+            if (door.isUnlocked && !door.isExit) {
+                doorRect.setAlpha(0.5); // Open doors on the way out are just a way through
+            }
+            this.playerSprites[`door_${index}`] = doorRect;
             
             // Add door label
             const doorLabel = this.add.text(coords.x, coords.y, doorIcon, {
@@ -1398,12 +2104,8 @@ export class GameScene extends Phaser.Scene {
                 color: '#ffffff'
             }).setOrigin(0.5);
             doorLabel.setDepth(91);
-            this.playerSprites['door_label'] = doorLabel;
-            
-            // const doorState = this.serverGameState.door.isUnlocked ? 'unlocked' : 
-            //                  (this.serverGameState.key?.heldBy ? 'highlighted' : 'locked');
-            // console.log(`🚪 Rendered door (${doorState})`);
-        }
+            this.playerSprites[`door_label_${index}`] = doorLabel;
+        });
 
         // Draw the pressure plates
         if (this.serverGameState.pressurePlates) {
@@ -1533,91 +2235,35 @@ export class GameScene extends Phaser.Scene {
             });
         }
 
-        // Draw the slimes
-        // First, collect all valid slime IDs from the server
-        const validSlimeIds = new Set<string>();
-        if (this.serverGameState.slimes && this.serverGameState.slimes.length > 0) {
-            this.serverGameState.slimes.forEach((slime, index) => {
-                // Use the slime's actual ID if available, otherwise use index
-                const slimeId = slime.id || `slime_${index}`;
-                validSlimeIds.add(slimeId);
-            });
-        }
-        console.log(`🟢 Valid slime IDs from server:`, Array.from(validSlimeIds));
-        console.log(`🟢 Current slime sprites:`, Object.keys(this.playerSprites).filter(k => k.match(/^slime_\d+$/)));
-        
-        // Create a copy of keys to avoid modification during iteration
-        const currentSpriteKeys = Object.keys(this.playerSprites);
+        // Mark the tiles ranged enemies will fire along once this turn ends
+        const dangerTiles = new Set<string>();
+        (this.serverGameState.enemies || []).forEach(enemy => {
+            (enemy.aimedLanes || []).forEach(lane => lane.forEach(tile => dangerTiles.add(`${tile.x},${tile.y}`)));
+        });
+        dangerTiles.forEach(tileKey => {
+            const [tileX, tileY] = tileKey.split(',').map(Number);
+            const coords = this.getTilePixelPosition(tileX, tileY);
+            const marker = this.add.rectangle(coords.x, coords.y, this.currentTileSize - 4, this.currentTileSize - 4, 0xe74c3c, 0.35);
+            marker.setStrokeStyle(2, 0xe74c3c, 0.9);
+            marker.setDepth(84); // Under checkpoints, pickups and players
+            this.playerSprites[`danger_${tileKey}`] = marker;
+        });
+
+        // Draw the enemies and NPCs
+        const enemies = this.serverGameState.enemies || [];
+        const validEnemyIds = new Set(enemies.map(enemy => enemy.id));
         
-        // Clean up any slime sprites that are no longer in the server state
-        // This runs whether slimes array is empty, undefined, or has items
-        currentSpriteKeys.forEach(spriteKey => {
-            if (spriteKey.match(/^slime_\d+$/)) {
-                // This is a slime sprite - check if it's still valid
-                if (!validSlimeIds.has(spriteKey)) {
-                    // This slime is no longer in the server state - remove it
-                    console.log(`🗑️ Removing dead slime sprite: ${spriteKey}`);
-                    
-                    // Destroy the main slime sprite
-                    if (this.playerSprites[spriteKey]) {
-                        const slimeSprite = this.playerSprites[spriteKey];
-                        
-                        // Clear any pending jump timeout for this slime BEFORE destroying
-                        if ((slimeSprite as any).jumpTimeout) {
-                            clearTimeout((slimeSprite as any).jumpTimeout);
-                            (slimeSprite as any).jumpTimeout = null;
-                        }
-                        
-                        console.log(`🗑️ Destroying slime sprite: ${spriteKey}, type:`, slimeSprite.constructor.name, 'active:', (slimeSprite as any).active);
-                        
-                        // Make absolutely sure the sprite is removed
-                        (slimeSprite as any).setVisible(false);
-                        (slimeSprite as any).setActive(false);
-                        
-                        // Only call these methods if they exist (sprites have them, other objects might not)
-                        if ((slimeSprite as any).removeFromDisplayList) {
-                            (slimeSprite as any).removeFromDisplayList();
-                        }
-                        if ((slimeSprite as any).removeFromUpdateList) {
-                            (slimeSprite as any).removeFromUpdateList();
-                        }
-                        
-                        // Extra paranoid cleanup - remove from scene's display list
-                        const scene = (slimeSprite as any).scene;
-                        if (scene && scene.children && scene.children.exists(slimeSprite)) {
-                            console.log(`🔥 Force removing ${spriteKey} from scene display list`);
-                            scene.children.remove(slimeSprite);
-                        }
-                        
-                        (slimeSprite as any).destroy();
-                        delete this.playerSprites[spriteKey];
-                        console.log(`✅ Slime sprite ${spriteKey} destroyed and deleted from playerSprites`);
-                    }
-                    
-                    // Destroy the slime label (if it exists from fallback rendering)
-                    if (this.playerSprites[spriteKey + '_label']) {
-                        const labelSprite = this.playerSprites[spriteKey + '_label'];
-                        (labelSprite as any).setVisible(false);
-                        (labelSprite as any).destroy();
-                        delete this.playerSprites[spriteKey + '_label'];
-                    }
-                    
-                    // Destroy the health text
-                    if (this.playerSprites[spriteKey + '_health']) {
-                        const healthSprite = this.playerSprites[spriteKey + '_health'];
-                        (healthSprite as any).setVisible(false);
-                        (healthSprite as any).destroy();
-                        delete this.playerSprites[spriteKey + '_health'];
-                    }
-                    
-                    // ID label cleanup removed - no longer creating ID labels
-                }
+        // Clean up any enemy sprites that are no longer in the server state
+        // This runs whether the enemies array is empty, null, or has items
+        Array.from(this.enemySpriteIds).forEach(enemyId => {
+            if (!validEnemyIds.has(enemyId)) {
+                console.log(`🗑️ Removing dead enemy sprite: ${enemyId}`);
+                this.removeEnemySprites(enemyId);
             }
         });
         
         // Double-check all slime-related sprites are gone if no slimes exist
-        if (!this.serverGameState.slimes || this.serverGameState.slimes.length === 0) {
-            console.log(`🔍 No slimes in server state - verifying all slime sprites are cleaned up`);
+        if (!enemies.some(enemy => enemy.spriteKey === 'slime')) {
             // Get all display objects in the scene
             const allChildren = this.children.list;
             allChildren.forEach((child: any) => {
@@ -1631,300 +2277,396 @@ export class GameScene extends Phaser.Scene {
             });
         }
         
-        // Only draw slimes if they exist
-        if (this.serverGameState.slimes && this.serverGameState.slimes.length > 0) {
-            console.log(`🟢 Drawing ${this.serverGameState.slimes.length} slimes from server state`);
-            this.serverGameState.slimes.forEach((slime, index) => {
-                const coords = this.getTilePixelPosition(slime.x, slime.y);
-                
-                // Use the slime's actual ID if available, otherwise use index
-                const slimeId = slime.id || `slime_${index}`;
-                console.log(`🟢 Processing slime: index=${index}, slime.id=${slime.id}, using slimeId=${slimeId}`);
-                
-                // Create or update animated slime sprite
-                if (this.textures.exists('slimeIdle') && this.textures.exists('slimeMove')) {
-                    // console.log('✅ Slime textures exist, creating sprite for slime', slimeId);
-                    
-                    let slimeSprite = this.playerSprites[slimeId] as Phaser.GameObjects.Sprite;
-                    
-                    // Check if this sprite key was just deleted
-                    console.log(`🔍 Checking if sprite ${slimeId} exists:`, !!slimeSprite);
-                    
-                    // If slime sprite doesn't exist or is wrong type, create it
-                    if (!slimeSprite || !(slimeSprite instanceof Phaser.GameObjects.Sprite) || 
-                        (slimeSprite.texture.key !== 'slimeIdle' && slimeSprite.texture.key !== 'slimeMove' && slimeSprite.texture.key !== 'slimeJump')) {
-                        slimeSprite = this.add.sprite(coords.x, coords.y, 'slimeIdle');
-                        slimeSprite.setOrigin(0.5, 0.5);
-                        slimeSprite.setScale(1.3); // Scale up for better visibility
-                        slimeSprite.setDepth(90); // Above tiles but below players
-                        this.playerSprites[slimeId] = slimeSprite;
-                        
-                        // Initialize position tracking for jump detection
-                        // Use impossible coordinates to ensure first movement is detected
-                        (slimeSprite as any).lastTileX = -999;
-                        (slimeSprite as any).lastTileY = -999;
-                        (slimeSprite as any).isJumping = false;
-                        (slimeSprite as any).lastServerUpdate = 'initial'; // Track server updates
-                        
-                        console.log(`🟢 Created NEW slime sprite ${slimeId} at tile (${slime.x}, ${slime.y}) = pixel (${coords.x}, ${coords.y})`);
-                        
-                        // Start with the appropriate animation for initial state
-                        const initialAnimation = slime.isStunned ? 'slime_stunned' : 'slime_idle';
-                        slimeSprite.play(initialAnimation);
-                        console.log(`🟢 Started initial ${initialAnimation} animation for new slime ${slimeId}`);
-                    } else {
-                        // Update existing sprite position
-                        slimeSprite.setPosition(coords.x, coords.y);
-                    }
-                    
-                    // ID labels removed - no longer needed for debugging
-                    
-                    // Update or create health display
-                    let healthText = this.playerSprites[`${slimeId}_health`] as Phaser.GameObjects.Text;
-                    if (!healthText) {
-                        healthText = this.add.text(coords.x, coords.y - 25, '', {
-                            fontSize: '14px',
-                            color: '#ff0000',
-                            fontFamily: 'Arial',
-                            stroke: '#000000',
-                            strokeThickness: 2
-                        });
-                        healthText.setOrigin(0.5);
-                        healthText.setDepth(91); // Above slime sprite
-                        this.playerSprites[`${slimeId}_health`] = healthText;
-                    }
-                    
-                    // Update health text
-                    if (slime.health !== undefined) {
-                        healthText.setText(`HP: ${slime.health}`);
-                        healthText.setPosition(coords.x, coords.y - 25);
-                        healthText.setVisible(true);
-                    } else {
-                        // Default to 2 if health not provided
-                        healthText.setText(`HP: 2`);
-                        healthText.setPosition(coords.x, coords.y - 25);
-                        healthText.setVisible(true);
-                    }
-                    
-                    // Check if slime position changed (jumping between tiles)
-                    const oldTileX = (slimeSprite as any).lastTileX;
-                    const oldTileY = (slimeSprite as any).lastTileY;
-                    const positionChanged = (oldTileX !== slime.x || oldTileY !== slime.y);
-                    
-                    // Create unique update identifier to prevent duplicate processing
-                    const currentUpdateId = `${slime.x},${slime.y},${slime.isStunned ? 'stunned' : 'active'}`;
-                    const lastUpdateId = (slimeSprite as any).lastServerUpdate;
-                    const isNewUpdate = currentUpdateId !== lastUpdateId;
-                    
-                    // Only log when movement is detected to reduce noise
-                    if (positionChanged && isNewUpdate) {
-                        console.log(`🔍 Slime ${index} DETECTED MOVEMENT: (${oldTileX}, ${oldTileY}) → (${slime.x}, ${slime.y})`);
-                    }
-                    
-                    // Only log when there's actual movement
-                    if (positionChanged && isNewUpdate) {
-                        console.log(`🟢 Slime ${index} MOVED: old(${oldTileX},${oldTileY}) -> new(${slime.x},${slime.y})`);
-                    }
-                    
-                    // Only update stored position if this is a new server update
-                    if (isNewUpdate) {
-                        (slimeSprite as any).lastTileX = slime.x;
-                        (slimeSprite as any).lastTileY = slime.y;
-                        (slimeSprite as any).lastServerUpdate = currentUpdateId;
-                    }
-                    
-                    // Don't update animations if slime is currently attacking
-                    if (!(slimeSprite as any).isAttacking) {
-                        // Determine animation based on slime state and movement
-                        let targetAnimation: string = 'slime_idle'; // Default to idle
-                        if (slime.isStunned) {
-                            targetAnimation = 'slime_stunned';
-                            (slimeSprite as any).isJumping = false;
-
-                        } else if (positionChanged && isNewUpdate && !(slimeSprite as any).isJumping) {
-                            // Slime just moved in a NEW server update - play jump animation
-                            console.log(`🦘 JUMP TRIGGERED for Slime ${index}!`);
-                            targetAnimation = 'slime_jump';
-                            (slimeSprite as any).isJumping = true;
-                            console.log(`🟢 Slime ${index} JUMPING! New position in server update, playing jump animation`);
-                            
-                            // Add visual bounce effect for more noticeable jump
-                            const originalScale = slimeSprite.scaleX;
-                            this.tweens.add({
-                                targets: slimeSprite,
-                                scaleX: originalScale * 1.2,
-                                scaleY: originalScale * 1.2,
-                                duration: 200,
-                                yoyo: true,
-                                ease: 'Power2'
-                            });
-                            
-                            // After jump animation completes, return to idle
-                            if ((slimeSprite as any).jumpTimeout) {
-                                clearTimeout((slimeSprite as any).jumpTimeout);
-                            }
-                            
-                            (slimeSprite as any).jumpTimeout = setTimeout(() => {
-                                if (slimeSprite && slimeSprite.active) {
-                                    // Always reset jumping state regardless of stunned status
-                                    (slimeSprite as any).isJumping = false;
-                                    (slimeSprite as any).jumpTimeout = null;
-                                    
-                                    // Only play idle if not stunned and not attacking
-                                    if (!slime.isStunned && !(slimeSprite as any).isAttacking) {
-                                        slimeSprite.play('slime_idle');
-                                    }
-                                    console.log(`🟢 Slime ${index} jump completed, returning to idle`);
-                                }
-                            }, 875); // Animation duration (7 frames at 8 FPS = ~875ms)
-                        } else if (!(slimeSprite as any).isJumping) {
-                            // Default idle state (already set above)
-                            targetAnimation = 'slime_idle';
-                        }
-                        
-                        // Play animation if it's different from current or we need to start a new jump
-                        if (targetAnimation && (!slimeSprite.anims.currentAnim || slimeSprite.anims.currentAnim.key !== targetAnimation)) {
-                            slimeSprite.play(targetAnimation);
-                            if (targetAnimation === 'slime_jump') {
-                                console.log(`🦘 SLIME ${index + 1} NOW PLAYING JUMP ANIMATION (5th row frames 28-34 from slimeJump.png)!`);
-                            }
-                        }
-                    } // Close the isAttacking check block
-                    
-                    // Handle sprite flipping based on movement direction (like players)
-                    if (slime.lastMoveDirection) {
-                        switch (slime.lastMoveDirection) {
-                            case 'left':
-                                slimeSprite.setFlipX(true);
-                                break;
-                            case 'right':
-                                slimeSprite.setFlipX(false);
-                                break;
-                            // For up/down movement, keep the current flip state
+        enemies.forEach(enemy => {
+            const coords = this.getTilePixelPosition(enemy.x, enemy.y);
+            this.enemySpriteIds.add(enemy.id);
+            
+            // Each type names the texture it's drawn with; anything without a spritesheet
+            // (or whose spritesheet failed to load) gets a colored circle with its icon
+            if (enemy.spriteKey === 'slime' && this.textures.exists('slimeIdle') && this.textures.exists('slimeMove')) {
+                this.drawSlimeSprite(enemy, enemy.id, coords);
+            } else if (enemy.spriteKey === 'snail' && this.textures.exists('snail')) {
+                this.drawSnailSprite(enemy, enemy.id, coords);
+            } else {
+                this.drawEnemyFallback(enemy, coords);
+            }
+        });
+    }
+
+    // Helper: draw the pushable crates - they keep their sprites so pushes can slide them along
+    private renderCrates() {
+        const crates = this.serverGameState?.crates || [];
+        const validCrateIds = new Set(crates.map(crate => crate.id));
+
+        // Remove the crates that left with the level
+        Object.keys(this.playerSprites).filter(key => key.startsWith('crate_') && !validCrateIds.has(key)).forEach(key => {
+            (this.playerSprites[key] as any).destroy();
+            delete this.playerSprites[key];
+        });
+
+        crates.forEach(crate => {
+            const coords = this.getTilePixelPosition(crate.x, crate.y);
+            let crateSprite = this.playerSprites[crate.id] as Phaser.GameObjects.Rectangle;
+
+            if (!crateSprite) {
+                crateSprite = this.add.rectangle(coords.x, coords.y, this.currentTileSize * 0.85, this.currentTileSize * 0.85, 0xb5835a);
+                crateSprite.setStrokeStyle(3, 0x6e4b2a);
+                this.playerSprites[crate.id] = crateSprite;
+            } else if ((crateSprite as any).lastTileX !== crate.x || (crateSprite as any).lastTileY !== crate.y) {
+                if ((crateSprite as any).moveTween) {
+                    (crateSprite as any).moveTween.stop();
+                }
+
+                // Slide one-tile pushes; anything further (undo, level reset) just jumps there
+                const distance = Math.abs((crateSprite as any).lastTileX - crate.x) + Math.abs((crateSprite as any).lastTileY - crate.y);
+                if (distance === 1) {
+                    (crateSprite as any).moveTween = this.tweens.add({
+                        targets: crateSprite,
+                        x: coords.x,
+                        y: coords.y,
+                        duration: 200, // Quick shove, about as long as a player step
+                        ease: 'Power2',
+                        onComplete: () => {
+                            (crateSprite as any).moveTween = null;
                         }
-                    }
-                    
-                    // const slimeState = slime.isStunned ? `stunned (${slime.stunDuration} turns)` : 'active';
-                    // console.log(`🟢 Rendered animated slime ${index + 1} (${slimeState}) at (${slime.x}, ${slime.y})`);
+                    });
                 } else {
-                    // Fallback to circles if slime sprites not available
-                    console.log('⚠️ Slime textures not found, using fallback for slime', index + 1);
-                    
-                    let slimeColor = slime.isStunned ? 0x95a5a6 : 0x2ecc71; // Gray if stunned, green if active
-                    let slimeIcon = slime.isStunned ? '😵' : '🟢';
-                    let strokeColor = slime.isStunned ? 0x7f8c8d : 0x27ae60;
-                    
-                    // Create or update slime circle (fallback)
-                    let slimeCircle = this.playerSprites[slimeId] as Phaser.GameObjects.Arc;
-                    let slimeLabel = this.playerSprites[`${slimeId}_label`] as Phaser.GameObjects.Text;
-                    
-                    if (!slimeCircle || !(slimeCircle instanceof Phaser.GameObjects.Arc)) {
-                        slimeCircle = this.add.circle(coords.x, coords.y, 20, slimeColor);
-                        slimeCircle.setStrokeStyle(3, strokeColor);
-                        slimeCircle.setDepth(90);
-                        this.playerSprites[slimeId] = slimeCircle;
-                    } else {
-                        slimeCircle.setPosition(coords.x, coords.y);
-                        slimeCircle.setFillStyle(slimeColor);
-                        slimeCircle.setStrokeStyle(3, strokeColor);
-                    }
-                    
-                    if (!slimeLabel || !(slimeLabel instanceof Phaser.GameObjects.Text)) {
-                        slimeLabel = this.add.text(coords.x, coords.y, slimeIcon, {
-                            fontSize: '18px',
-                            color: '#ffffff'
-                        }).setOrigin(0.5);
-                        slimeLabel.setDepth(91);
-                        this.playerSprites[`${slimeId}_label`] = slimeLabel;
-                    } else {
-                        slimeLabel.setPosition(coords.x, coords.y);
-                        slimeLabel.setText(slimeIcon);
-                    }
-                    
-                    const slimeState = slime.isStunned ? `stunned (${slime.stunDuration} turns)` : 'active';
-                    console.log(`🟢 Rendered fallback slime ${index + 1} (${slimeState}) at (${slime.x}, ${slime.y})`);
+                    crateSprite.setPosition(coords.x, coords.y);
                 }
-            });
-        }
+            }
+            (crateSprite as any).lastTileX = crate.x;
+            (crateSprite as any).lastTileY = crate.y;
 
-        // Draw the snail (decorative NPC)
-        if (this.serverGameState.snail) {
-            const coords = this.getTilePixelPosition(this.serverGameState.snail.x, this.serverGameState.snail.y);
+            // A sunk crate fills the chasm, so it sits flush with the floor under everything else
+            crateSprite.setFillStyle(crate.isSunk ? 0x7a5536 : 0xb5835a);
+            crateSprite.setDepth(crate.isSunk ? 80 : 95); // Standing crates: above pickups, below players
+        });
+    }
+
+    // Helper: whether a playerSprites key belongs to an enemy or NPC (its sprite, label or health)
+    private isEnemySpriteKey(spriteKey: string): boolean {
+        const baseId = spriteKey.replace(/_(label|health)$/, '');
+        return this.enemySpriteIds.has(baseId);
+    }
+
+    // Helper: destroy everything drawn for an enemy that died or left with the level
+    private removeEnemySprites(enemyId: string) {
+        const enemySprite = this.playerSprites[enemyId];
+        if (enemySprite) {
+            // Clear any pending jump timeout for this enemy BEFORE destroying
+            if ((enemySprite as any).jumpTimeout) {
+                clearTimeout((enemySprite as any).jumpTimeout);
+                (enemySprite as any).jumpTimeout = null;
+            }
+            if ((enemySprite as any).moveTween) {
+                (enemySprite as any).moveTween.stop();
+            }
             
-            // Create or update animated snail sprite
-            if (this.textures.exists('snail')) {
+            // Make absolutely sure the sprite is removed
+            (enemySprite as any).setVisible(false);
+            (enemySprite as any).setActive(false);
+            (enemySprite as any).destroy();
+            delete this.playerSprites[enemyId];
+        }
+        
+        // Destroy the label (fallback rendering) and health text
+        ['_label', '_health'].forEach(suffix => {
+            const extra = this.playerSprites[enemyId + suffix];
+            if (extra) {
+                (extra as any).destroy();
+                delete this.playerSprites[enemyId + suffix];
+            }
+        });
+        
+        this.enemySpriteIds.delete(enemyId);
+    }
+
+    // Helper: draw a slime with its idle, jump, attack and stunned animations
+    private drawSlimeSprite(slime: NonNullable<GameState['enemies']>[number], slimeId: string, coords: { x: number; y: number }) {
+        let slimeSprite = this.playerSprites[slimeId] as Phaser.GameObjects.Sprite;
+        
+        // Check if this sprite key was just deleted
+        console.log(`🔍 Checking if sprite ${slimeId} exists:`, !!slimeSprite);
+        
+        // If slime sprite doesn't exist or is wrong type, create it
+        if (!slimeSprite || !(slimeSprite instanceof Phaser.GameObjects.Sprite) || 
+            (slimeSprite.texture.key !== 'slimeIdle' && slimeSprite.texture.key !== 'slimeMove' && slimeSprite.texture.key !== 'slimeJump')) {
+            slimeSprite = this.add.sprite(coords.x, coords.y, 'slimeIdle');
+            slimeSprite.setOrigin(0.5, 0.5);
+            slimeSprite.setScale(1.3); // Scale up for better visibility
+            slimeSprite.setDepth(90); // Above tiles but below players
+            this.playerSprites[slimeId] = slimeSprite;
+            
+            // Initialize position tracking for jump detection
+            // Use impossible coordinates to ensure first movement is detected
+            (slimeSprite as any).lastTileX = -999;
+            (slimeSprite as any).lastTileY = -999;
+            (slimeSprite as any).isJumping = false;
+            (slimeSprite as any).lastServerUpdate = 'initial'; // Track server updates
+            
+            console.log(`🟢 Created NEW slime sprite ${slimeId} at tile (${slime.x}, ${slime.y}) = pixel (${coords.x}, ${coords.y})`);
+            
+            // Start with the appropriate animation for initial state
+            const initialAnimation = slime.isStunned ? 'slime_stunned' : 'slime_idle';
+            slimeSprite.play(initialAnimation);
+            console.log(`🟢 Started initial ${initialAnimation} animation for new slime ${slimeId}`);
+        } else {
+            // Update existing sprite position
+            slimeSprite.setPosition(coords.x, coords.y);
+        }
+        
+        // ID labels removed - no longer needed for debugging
+        
+        // Update or create health display
+        let healthText = this.playerSprites[`${slimeId}_health`] as Phaser.GameObjects.Text;
+        if (!healthText) {
+            healthText = this.add.text(coords.x, coords.y - 25, '', {
+                fontSize: '14px',
+                color: '#ff0000',
+                fontFamily: 'Arial',
+                stroke: '#000000',
+                strokeThickness: 2
+            });
+            healthText.setOrigin(0.5);
+            healthText.setDepth(91); // Above slime sprite
+            this.playerSprites[`${slimeId}_health`] = healthText;
+        }
+        
+        // Update health text
+        if (slime.health !== undefined) {
+            healthText.setText(`HP: ${slime.health}`);
+            healthText.setPosition(coords.x, coords.y - 25);
+            healthText.setVisible(true);
+        } else {
+            // Default to 2 if health not provided
+            healthText.setText(`HP: 2`);
+            healthText.setPosition(coords.x, coords.y - 25);
+            healthText.setVisible(true);
+        }
+        
+        // Check if slime position changed (jumping between tiles)
+        const oldTileX = (slimeSprite as any).lastTileX;
+        const oldTileY = (slimeSprite as any).lastTileY;
+        const positionChanged = (oldTileX !== slime.x || oldTileY !== slime.y);
+        
+        // Create unique update identifier to prevent duplicate processing
+        const currentUpdateId = `${slime.x},${slime.y},${slime.isStunned ? 'stunned' : 'active'}`;
+        const lastUpdateId = (slimeSprite as any).lastServerUpdate;
+        const isNewUpdate = currentUpdateId !== lastUpdateId;
+        
+        // Only log when movement is detected to reduce noise
+        if (positionChanged && isNewUpdate) {
+            console.log(`🔍 Slime ${slimeId} DETECTED MOVEMENT: (${oldTileX}, ${oldTileY}) → (${slime.x}, ${slime.y})`);
+        }
+        
+        // Only log when there's actual movement
+        if (positionChanged && isNewUpdate) {
+            console.log(`🟢 Slime ${slimeId} MOVED: old(${oldTileX},${oldTileY}) -> new(${slime.x},${slime.y})`);
+        }
+        
+        // Only update stored position if this is a new server update
+        if (isNewUpdate) {
+            (slimeSprite as any).lastTileX = slime.x;
+            (slimeSprite as any).lastTileY = slime.y;
+            (slimeSprite as any).lastServerUpdate = currentUpdateId;
+        }
+        
+        // Don't update animations if slime is currently attacking
+        if (!(slimeSprite as any).isAttacking) {
+            // Determine animation based on slime state and movement
+            let targetAnimation: string = 'slime_idle'; // Default to idle
+            if (slime.isStunned) {
+                targetAnimation = 'slime_stunned';
+                (slimeSprite as any).isJumping = false;
+
+            } else if (positionChanged && isNewUpdate && !(slimeSprite as any).isJumping) {
+                // Slime just moved in a NEW server update - play jump animation
+                console.log(`🦘 JUMP TRIGGERED for Slime ${slimeId}!`);
+                targetAnimation = 'slime_jump';
+                (slimeSprite as any).isJumping = true;
+                console.log(`🟢 Slime ${slimeId} JUMPING! New position in server update, playing jump animation`);
                 
-                let snailSprite = this.playerSprites['snail'] as Phaser.GameObjects.Sprite;
+                // Add visual bounce effect for more noticeable jump
+                const originalScale = slimeSprite.scaleX;
+                this.tweens.add({
+                    targets: slimeSprite,
+                    scaleX: originalScale * 1.2,
+                    scaleY: originalScale * 1.2,
+                    duration: 200,
+                    yoyo: true,
+                    ease: 'Power2'
+                });
                 
-                // If snail sprite doesn't exist or is wrong type, create it
-                if (!snailSprite || !(snailSprite instanceof Phaser.GameObjects.Sprite) || snailSprite.texture.key !== 'snail') {
-                    snailSprite = this.add.sprite(coords.x, coords.y, 'snail');
-                    snailSprite.setOrigin(0.5, 0.8); // Explicitly center both x and y origin like players
-                    snailSprite.setScale(1.2); // Slightly larger for better visibility
-                    snailSprite.setDepth(89); // Above tiles, below players and other entities
-                    this.playerSprites['snail'] = snailSprite;
-                    
-                    // Initialize position tracking for smooth movement
-                    (snailSprite as any).lastTileX = this.serverGameState.snail.x;
-                    (snailSprite as any).lastTileY = this.serverGameState.snail.y;
-                } else {
-                    // Check if snail position has changed for smooth animation
-                    const oldTileX = (snailSprite as any).lastTileX;
-                    const oldTileY = (snailSprite as any).lastTileY;
-                    const newTileX = this.serverGameState.snail.x;
-                    const newTileY = this.serverGameState.snail.y;
-                    
-                    if (oldTileX !== newTileX || oldTileY !== newTileY) {
-                        // Position changed - animate smooth movement
+                // After jump animation completes, return to idle
+                if ((slimeSprite as any).jumpTimeout) {
+                    clearTimeout((slimeSprite as any).jumpTimeout);
+                }
+                
+                (slimeSprite as any).jumpTimeout = setTimeout(() => {
+                    if (slimeSprite && slimeSprite.active) {
+                        // Always reset jumping state regardless of stunned status
+                        (slimeSprite as any).isJumping = false;
+                        (slimeSprite as any).jumpTimeout = null;
                         
-                        // Stop any existing movement tween
-                        if ((snailSprite as any).moveTween) {
-                            (snailSprite as any).moveTween.stop();
+                        // Only play idle if not stunned and not attacking
+                        if (!slime.isStunned && !(slimeSprite as any).isAttacking) {
+                            slimeSprite.play('slime_idle');
                         }
-                        
-                        // Create smooth tween to new position
-                        (snailSprite as any).moveTween = this.tweens.add({
-                            targets: snailSprite,
-                            x: coords.x,
-                            y: coords.y,
-                            duration: 1500, // 1.5 seconds smooth movement (slightly less than 2s server interval)
-                            ease: 'Power2',
-                            onComplete: () => {
-                                (snailSprite as any).moveTween = null;
-                            }
-                        });
-                        
-                        // Update stored position
-                        (snailSprite as any).lastTileX = newTileX;
-                        (snailSprite as any).lastTileY = newTileY;
+                        console.log(`🟢 Slime ${slimeId} jump completed, returning to idle`);
                     }
-                    // If position hasn't changed, don't move the sprite
+                }, 875); // Animation duration (7 frames at 8 FPS = ~875ms)
+            } else if (!(slimeSprite as any).isJumping) {
+                // Default idle state (already set above)
+                targetAnimation = 'slime_idle';
+            }
+            
+            // Play animation if it's different from current or we need to start a new jump
+            if (targetAnimation && (!slimeSprite.anims.currentAnim || slimeSprite.anims.currentAnim.key !== targetAnimation)) {
+                slimeSprite.play(targetAnimation);
+                if (targetAnimation === 'slime_jump') {
+                    console.log(`🦘 SLIME ${slimeId} NOW PLAYING JUMP ANIMATION (5th row frames 28-34 from slimeJump.png)!`);
                 }
+            }
+        } // Close the isAttacking check block
+        
+        // Handle sprite flipping based on movement direction (like players)
+        if (slime.lastMoveDirection) {
+            switch (slime.lastMoveDirection) {
+                case 'left':
+                    slimeSprite.setFlipX(true);
+                    break;
+                case 'right':
+                    slimeSprite.setFlipX(false);
+                    break;
+                // For up/down movement, keep the current flip state
+            }
+        }
+        
+    }
+
+    // Helper: draw the snail, gliding between tiles as it paces
+    private drawSnailSprite(snail: NonNullable<GameState['enemies']>[number], snailId: string, coords: { x: number; y: number }) {
+        let snailSprite = this.playerSprites[snailId] as Phaser.GameObjects.Sprite;
+        
+        // If snail sprite doesn't exist or is wrong type, create it
+        if (!snailSprite || !(snailSprite instanceof Phaser.GameObjects.Sprite) || snailSprite.texture.key !== 'snail') {
+            snailSprite = this.add.sprite(coords.x, coords.y, 'snail');
+            snailSprite.setOrigin(0.5, 0.8); // Explicitly center both x and y origin like players
+            snailSprite.setScale(1.2); // Slightly larger for better visibility
+            snailSprite.setDepth(89); // Above tiles, below players and other entities
+            this.playerSprites[snailId] = snailSprite;
+            
+            // Initialize position tracking for smooth movement
+            (snailSprite as any).lastTileX = snail.x;
+            (snailSprite as any).lastTileY = snail.y;
+        } else {
+            // Check if snail position has changed for smooth animation
+            const oldTileX = (snailSprite as any).lastTileX;
+            const oldTileY = (snailSprite as any).lastTileY;
+            const newTileX = snail.x;
+            const newTileY = snail.y;
+            
+            if (oldTileX !== newTileX || oldTileY !== newTileY) {
+                // Position changed - animate smooth movement
                 
-                // Play appropriate animation based on direction
-                const targetAnimation = this.serverGameState.snail.direction === -1 ? 'snail_move_left' : 'snail_move_right';
-                if (!snailSprite.anims.currentAnim || snailSprite.anims.currentAnim.key !== targetAnimation) {
-                    snailSprite.play(targetAnimation);
+                // Stop any existing movement tween
+                if ((snailSprite as any).moveTween) {
+                    (snailSprite as any).moveTween.stop();
                 }
                 
-            } else {
-                // Fallback to orange circle if sprite not available
-                const snailColor = 0xf39c12; // Orange
-                const snailIcon = '🐌';
-                const strokeColor = 0xe67e22;
-                
-                const snailCircle = this.add.circle(coords.x, coords.y, 18, snailColor);
-                snailCircle.setStrokeStyle(2, strokeColor);
-                snailCircle.setDepth(89);
-                this.playerSprites['snail'] = snailCircle;
+                // Create smooth tween to new position
+                (snailSprite as any).moveTween = this.tweens.add({
+                    targets: snailSprite,
+                    x: coords.x,
+                    y: coords.y,
+                    duration: 600, // A slow crawl - it moves once per round, in the enemy phase
+                    ease: 'Power2',
+                    onComplete: () => {
+                        (snailSprite as any).moveTween = null;
+                    }
+                });
                 
-                const snailLabel = this.add.text(coords.x, coords.y, snailIcon, {
-                    fontSize: '16px',
-                    color: '#ffffff'
+                // Update stored position
+                (snailSprite as any).lastTileX = newTileX;
+                (snailSprite as any).lastTileY = newTileY;
+            }
+            // If position hasn't changed, don't move the sprite
+        }
+        
+        // Play appropriate animation based on direction
+        const targetAnimation = snail.direction === -1 ? 'snail_move_left' : 'snail_move_right';
+        if (!snailSprite.anims.currentAnim || snailSprite.anims.currentAnim.key !== targetAnimation) {
+            snailSprite.play(targetAnimation);
+        }
+        
+    }
+
+    // Helper: draw an enemy as a circle in its type's color with its icon (and health if it fights)
+    // Enemies bigger than one tile get a rounded block over their whole footprint instead
+    private drawEnemyFallback(enemy: NonNullable<GameState['enemies']>[number], tileCoords: { x: number; y: number }) {
+        const enemyColor = enemy.isStunned ? 0x95a5a6 : Phaser.Display.Color.HexStringToColor(enemy.color).color; // Gray if stunned
+        const enemyIcon = enemy.isStunned ? '😵' : enemy.icon;
+        const isLarge = enemy.width > 1 || enemy.height > 1;
+        
+        // Center on the middle of the footprint
+        const coords = {
+            x: tileCoords.x + (enemy.width - 1) * this.currentTileSize / 2,
+            y: tileCoords.y + (enemy.height - 1) * this.currentTileSize / 2
+        };
+        
+        let enemyCircle = this.playerSprites[enemy.id] as Phaser.GameObjects.Arc | Phaser.GameObjects.Rectangle;
+        let enemyLabel = this.playerSprites[`${enemy.id}_label`] as Phaser.GameObjects.Text;
+        
+        const expectedShape = isLarge ? Phaser.GameObjects.Rectangle : Phaser.GameObjects.Arc;
+        if (!enemyCircle || !(enemyCircle instanceof expectedShape)) {
+            if (enemyCircle) {
+                (enemyCircle as any).destroy(); // A sprite from before its texture went missing
+            }
+            enemyCircle = isLarge
+                ? this.add.rectangle(coords.x, coords.y, enemy.width * this.currentTileSize - 8, enemy.height * this.currentTileSize - 8, enemyColor)
+                : this.add.circle(coords.x, coords.y, 20, enemyColor);
+            enemyCircle.setDepth(90);
+            this.playerSprites[enemy.id] = enemyCircle;
+        } else {
+            enemyCircle.setPosition(coords.x, coords.y);
+            enemyCircle.setFillStyle(enemyColor);
+        }
+        
+        // A wired weak point glows while its plates hold it open
+        if (enemy.weakPointExposed) {
+            enemyCircle.setStrokeStyle(4, 0xf1c40f, 1);
+        } else {
+            enemyCircle.setStrokeStyle(3, 0x000000, 0.4);
+        }
+        
+        if (!enemyLabel || !(enemyLabel instanceof Phaser.GameObjects.Text)) {
+            enemyLabel = this.add.text(coords.x, coords.y, enemyIcon, {
+                fontSize: isLarge ? '48px' : '18px',
+                color: '#ffffff'
+            }).setOrigin(0.5);
+            enemyLabel.setDepth(91);
+            this.playerSprites[`${enemy.id}_label`] = enemyLabel;
+        } else {
+            enemyLabel.setPosition(coords.x, coords.y);
+            enemyLabel.setText(enemyIcon);
+        }
+        
+        // Bosses show their health in the boss HUD instead
+        if (enemy.hostile && !enemy.isBoss) {
+            let healthText = this.playerSprites[`${enemy.id}_health`] as Phaser.GameObjects.Text;
+            if (!healthText) {
+                healthText = this.add.text(coords.x, coords.y - 25, '', {
+                    fontSize: '14px',
+                    color: '#ff0000',
+                    fontFamily: 'Arial',
+                    stroke: '#000000',
+                    strokeThickness: 2
                 }).setOrigin(0.5);
-                snailLabel.setDepth(90);
-                this.playerSprites['snail_label'] = snailLabel;
+                healthText.setDepth(91);
+                this.playerSprites[`${enemy.id}_health`] = healthText;
             }
+            healthText.setText(`HP: ${enemy.health}`);
+            healthText.setPosition(coords.x, coords.y - 25);
         }
     }
 
@@ -1948,42 +2690,29 @@ export class GameScene extends Phaser.Scene {
         if (!player) return;
 
         console.log(`🎯 Client attempting attack - Player at (${player.x}, ${player.y}), Health: ${player.health}`);
-        console.log(`🟢 Client slimes:`, this.serverGameState.slimes?.map((s, i) => ({ 
-            id: `slime_${i}`, 
-            x: s.x, 
-            y: s.y, 
-            health: s.health 
-        })));
-
-        // Check all four adjacent tiles for slimes
+        // Check all four adjacent tiles for something to fight (NPCs can't be attacked)
         const directions = [{x: 0, y: -1}, {x: 0, y: 1}, {x: -1, y: 0}, {x: 1, y: 0}];
-
-        if (!this.serverGameState.slimes) {
-            console.log('No slimes on this level');
-            return;
-        }
+        const enemies = (this.serverGameState.enemies || []).filter(enemy => enemy.hostile);
 
         for (const dir of directions) {
             const targetTileX = player.x + dir.x;
             const targetTileY = player.y + dir.y;
 
-            // Find if a slime is on the target tile
-            for (let i = 0; i < this.serverGameState.slimes.length; i++) {
-                const slime = this.serverGameState.slimes[i];
-                if (slime.x === targetTileX && slime.y === targetTileY) {
-                    // Found a slime to attack - use the slime's actual ID from server
-                    const slimeId = slime.id || `slime_${i}`; // Fallback to index if no ID
-                    console.log(`Attempting to attack slime: ${slimeId}`);
-                    this.socket.emit('playerAttack', { slimeId: slimeId });
-                    return; // Only attack one slime per action
-                }
+            const enemy = enemies.find(e =>
+                targetTileX >= e.x && targetTileX < e.x + e.width && targetTileY >= e.y && targetTileY < e.y + e.height);
+            if (enemy) {
+                console.log(`Attempting to attack enemy: ${enemy.id}`);
+                this.socket.emit('playerAttack', { enemyId: enemy.id });
+                return; // Only attack one enemy per action
             }
         }
         
-        console.log('No adjacent slime to attack.');
+        console.log('No adjacent enemy to attack.');
     }
 
     private sendMoveRequest(direction: string) {
+        // Remember where we're facing so E can target a fire or chasm we bumped into
+        this.aimDirection = direction;
         try {
             if (!this.myPlayerId || !this.serverGameState) {
                 console.log('Cannot move: not connected or no player ID');
@@ -2030,20 +2759,125 @@ export class GameScene extends Phaser.Scene {
                 return;
             }
             
-            if (!this.serverGameState.yourItem) {
-                console.log('Cannot use item: no item assigned');
+            const slot = this.serverGameState.yourInventory?.[this.selectedSlot];
+            if (!slot) {
+                console.log(`Cannot use item: slot ${this.selectedSlot + 1} is empty`);
                 return;
             }
             
-            console.log('Sending use item request:', this.serverGameState.yourItem);
-            this.socket.emit('useItemRequest', { item: this.serverGameState.yourItem });
+            // Aim at the tile we last tried to move towards; without one the server picks a tile
+            const myPlayer = this.serverGameState.players[this.myPlayerId];
+            const delta = this.aimDirection ? DIRECTION_DELTAS[this.aimDirection] : null;
+            const target = myPlayer && delta ? { x: myPlayer.x + delta.x, y: myPlayer.y + delta.y } : undefined;
+            
+            console.log('Sending use item request:', slot.item, target);
+            this.socket.emit('useItemRequest', { slot: this.selectedSlot, target });
             
         } catch (error) {
             console.error('❌ Error sending use item request:', error);
         }
     }
 
+    private sendGiveItemRequest() {
+        try {
+            if (!this.myPlayerId || !this.serverGameState) {
+                console.log('Cannot give item: not connected or no player ID');
+                return;
+            }
+            
+            if (!this.serverGameState.gameStarted || this.serverGameState.currentPlayerTurn !== this.myPlayerId) {
+                console.log('Cannot give item: not your turn');
+                return;
+            }
+            
+            if (!this.serverGameState.yourInventory?.[this.selectedSlot]) {
+                console.log(`Cannot give item: slot ${this.selectedSlot + 1} is empty`);
+                return;
+            }
+            
+            console.log('Sending give item request for slot', this.selectedSlot);
+            this.socket.emit('giveItemRequest', { slot: this.selectedSlot });
+            
+        } catch (error) {
+            console.error('❌ Error sending give item request:', error);
+        }
+    }
+
+    private sendRevealItemsRequest() {
+        if (!this.myPlayerId || !this.serverGameState?.gameStarted) {
+            console.log('Cannot reveal items: game not started');
+            return;
+        }
+        
+        if (this.serverGameState.revealedItems?.[this.myPlayerId]) {
+            console.log('Items already revealed this level');
+            return;
+        }
+        
+        this.socket.emit('revealItemsRequest');
+    }
+
+    private showGivePrompt(offer: { from: string; to: string; item: string; count: number }) {
+        if (!this.givePromptElement) return;
+        
+        const title = document.getElementById('give-prompt-title');
+        if (title) {
+            const giverName = offer.from === 'player1' ? 'Player 1' : 'Player 2';
+            const receiverName = offer.to === 'player1' ? 'Player 1' : 'Player 2';
+            const count = offer.count > 1 ? ` x${offer.count}` : '';
+            // On a shared keyboard the receiver has to be told it's their call
+            title.textContent = this.serverGameState?.isHotSeat
+                ? `${receiverName}: ${giverName} offers you ${ITEM_ICONS[offer.item] || ''} ${offer.item}${count}`
+                : `${giverName} offers you ${ITEM_ICONS[offer.item] || ''} ${offer.item}${count}`;
+        }
+        this.givePromptElement.style.display = 'block';
+    }
+
+    private hideGivePrompt() {
+        if (this.givePromptElement) {
+            this.givePromptElement.style.display = 'none';
+        }
+    }
+
+    private answerGiveOffer(accept: boolean) {
+        this.hideGivePrompt();
+        this.socket.emit('giveItemResponse', { accept });
+    }
+
+    private playGiveAnimation(fromPlayerId: string, toPlayerId: string, item: string) {
+        const giverSprite = this.playerSprites[fromPlayerId];
+        const receiverSprite = this.playerSprites[toPlayerId];
+        if (!giverSprite || !receiverSprite) return;
+        
+        // Float the item's icon from the giver over to the receiver
+        const icon = this.add.text(giverSprite.x, giverSprite.y - 20, ITEM_ICONS[item] || '🎁', {
+            fontSize: '24px'
+        }).setOrigin(0.5);
+        icon.setDepth(200); // Above players
+        
+        this.tweens.add({
+            targets: icon,
+            x: receiverSprite.x,
+            y: receiverSprite.y - 20,
+            duration: 500,
+            ease: 'Quad.easeInOut',
+            onComplete: () => {
+                this.tweens.add({
+                    targets: icon,
+                    alpha: 0,
+                    y: receiverSprite.y - 40,
+                    duration: 300,
+                    onComplete: () => icon.destroy()
+                });
+            }
+        });
+    }
+
     private updateHealthDisplay() {
+        if (this.isSpectator) {
+            this.updateSpectatorHud();
+            return;
+        }
         if (!this.serverGameState || !this.myPlayerId || !this.healthText) return;
         
         const myPlayer = this.serverGameState.players[this.myPlayerId];
@@ -2054,7 +2888,8 @@ export class GameScene extends Phaser.Scene {
         
         // Update health text
         const health = myPlayer.health || 0;
-        this.healthText.setText(`Health: ${health}`);
+        const downed = this.serverGameState.downedPlayers?.[this.myPlayerId];
+        this.healthText.setText(downed ? `Health: 0 - DOWN (${downed.turnsLeft} turns left)` : `Health: ${health}`);
         
         // Change color based on health
         if (health <= 1) {
@@ -2066,14 +2901,80 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
+    private updateSpectatorHud() {
+        if (!this.serverGameState || !this.healthText) return;
+        
+        // Spectators see both players' health and items
+        const lines = ['player1', 'player2'].map(playerId => {
+            const label = playerId === 'player1' ? 'Player 1' : 'Player 2';
+            const player = this.serverGameState!.players[playerId];
+            if (!player) {
+                return `${label}: not connected`;
+            }
+            const slots = (this.serverGameState!.inventories?.[playerId] || []).filter(Boolean) as InventorySlot[];
+            const items = slots.map(slot => `${slot.item} x${slot.count}`).join(', ') || 'No items';
+            const health = this.serverGameState!.downedPlayers?.[playerId] ? 'DOWN' : `Health ${player.health || 0}`;
+            return `${label}: ${health} | ${items}`;
+        });
+        
+        this.healthText.setText(lines.join('\n'));
+        this.healthText.setColor('#ffffff');
+    }
+
+    // Boss health bar, phase and weak point status above the board (hidden without a boss)
+    private updateBossHud() {
+        const hud = document.getElementById('boss-hud');
+        if (!hud || !this.serverGameState) return;
+
+        const boss = (this.serverGameState.enemies || []).find(enemy => enemy.isBoss);
+        if (!boss) {
+            hud.style.display = 'none';
+            return;
+        }
+
+        hud.style.display = 'block';
+        const nameElement = document.getElementById('boss-name');
+        if (nameElement) {
+            nameElement.textContent = `${boss.icon} ${boss.name}${boss.phaseName ? ` - ${boss.phaseName}` : ''}`;
+        }
+        const fillElement = document.getElementById('boss-health-fill');
+        if (fillElement) {
+            fillElement.style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+        }
+        const statusElement = document.getElementById('boss-status');
+        if (statusElement) {
+            const health = `${boss.health} / ${boss.maxHealth}`;
+            if (boss.weakPointExposed === undefined) {
+                statusElement.textContent = health;
+            } else {
+                statusElement.textContent = boss.weakPointExposed
+                    ? `${health} - 🎯 weak point exposed!`
+                    : `${health} - 🛡️ shielded: hold a pressure plate to expose its weak point`;
+            }
+        }
+    }
+
     private updateLeftSidebar() {
         if (!this.serverGameState) return;
 
         // Update room code
         const roomCodeElement = document.getElementById('room-code');
         if (roomCodeElement) {
-            // For now, use a placeholder - you might want to generate a real room code later
-            roomCodeElement.textContent = 'DEMO';
+            roomCodeElement.textContent = this.serverGameState.roomId || '-';
+        }
+
+        // Update spectator count
+        const spectatorElement = document.getElementById('spectator-count');
+        if (spectatorElement) {
+            spectatorElement.textContent = (this.serverGameState.spectatorCount || 0).toString();
+        }
+
+        this.updateBossHud();
+
+        // Update lives left for the run
+        const livesElement = document.getElementById('lives-left');
+        if (livesElement) {
+            livesElement.textContent = (this.serverGameState.livesRemaining ?? '-').toString();
         }
 
         // Update current level
@@ -2104,22 +3005,102 @@ export class GameScene extends Phaser.Scene {
             }
         }
         
-        // Update douse fire count
-        const douseFireElement = document.getElementById('douse-fire-count');
-        if (douseFireElement) {
-            if (!this.serverGameState.gameStarted) {
-                douseFireElement.textContent = '-';
-            } else {
-                // Check if player has used their douse fire for this level
-                const hasUsedDouseFire = this.serverGameState.douseFireUsed && 
-                                       this.myPlayerId && 
-                                       this.serverGameState.douseFireUsed[this.myPlayerId as keyof typeof this.serverGameState.douseFireUsed];
-                
-                // Players get 1 douse fire at the start of each level
-                // Show 0 if they've used it, 1 if they haven't
-                douseFireElement.textContent = hasUsedDouseFire ? '0' : '1';
+        this.updateKeysPanel();
+        this.updateInventoryPanel();
+    }
+
+    // Everyone sees which keys each player carries, even with the partner's items hidden
+    private updateKeysPanel() {
+        ['player1', 'player2'].forEach(playerId => {
+            const keysElement = document.getElementById(`keys-${playerId}`);
+            if (!keysElement || !this.serverGameState) return;
+
+            const carried = this.serverGameState.keyItems?.[playerId] || [];
+            const keys = Object.entries(DOOR_KEYS).filter(([, { item }]) => carried.includes(item));
+            keysElement.innerHTML = '';
+            if (keys.length === 0) {
+                keysElement.textContent = '-';
+                return;
             }
+            keys.forEach(([color, { tint }]) => {
+                const keyElement = document.createElement('span');
+                keyElement.textContent = `🔑 ${color} `;
+                keyElement.style.color = `#${tint.toString(16).padStart(6, '0')}`;
+                keysElement.appendChild(keyElement);
+            });
+        });
+    }
+
+    private selectInventorySlot(slot: number) {
+        this.selectedSlot = slot;
+        this.updateInventoryPanel();
+    }
+
+    private updateInventoryPanel() {
+        const slotsElement = document.getElementById('inventory-slots');
+        if (!slotsElement || !this.serverGameState) return;
+
+        if (!this.serverGameState.gameStarted) {
+            slotsElement.textContent = '-';
+        } else {
+            this.renderInventoryList(slotsElement, this.serverGameState.yourInventory, this.selectedSlot);
+        }
+
+        this.updatePartnerPanel();
+    }
+
+    private updatePartnerPanel() {
+        const partnerHealthElement = document.getElementById('partner-health');
+        const partnerSlotsElement = document.getElementById('partner-inventory');
+        const revealElement = document.getElementById('reveal-status');
+        if (!partnerHealthElement || !partnerSlotsElement || !revealElement || !this.serverGameState) return;
+
+        const partnerId = this.myPlayerId === 'player1' ? 'player2' : 'player1';
+        const partner = this.serverGameState.players[partnerId];
+        const partnerDowned = this.serverGameState.downedPlayers?.[partnerId];
+        partnerHealthElement.textContent = !partner ? '-'
+            : partnerDowned ? `0 - down (${partnerDowned.turnsLeft} turns left)`
+            : (partner.health || 0).toString();
+
+        if (!this.serverGameState.gameStarted || this.isSpectator) {
+            partnerSlotsElement.textContent = '-';
+            revealElement.textContent = '';
+            return;
+        }
+
+        // The partner's items stay hidden until they reveal them (or the level shows them)
+        const partnerInventory = this.serverGameState.partnerInventory;
+        if (partnerInventory) {
+            this.renderInventoryList(partnerSlotsElement, partnerInventory, null);
+        } else {
+            const visibility = this.serverGameState.itemVisibility;
+            const turnsLeft = visibility?.mode === 'afterTurns'
+                ? (visibility.afterTurns || 0) - (this.serverGameState.turnsThisLevel || 0)
+                : null;
+            partnerSlotsElement.textContent = turnsLeft !== null
+                ? `Hidden (shown in ${turnsLeft} turns)`
+                : 'Hidden - ask them to reveal';
+        }
+
+        const revealedMine = this.myPlayerId && this.serverGameState.revealedItems?.[this.myPlayerId];
+        revealElement.textContent = revealedMine ? 'Your partner can see your items' : 'Press R to show your items';
+    }
+
+    private renderInventoryList(listElement: HTMLElement, inventory: Array<InventorySlot | null> | null | undefined, selectedSlot: number | null) {
+        listElement.innerHTML = '';
+        if (!inventory) {
+            listElement.textContent = '-';
+            return;
         }
+
+        inventory.forEach((slot, index) => {
+            const slotElement = document.createElement('li');
+            slotElement.className = index === selectedSlot ? 'inventory-slot selected' : 'inventory-slot';
+            slotElement.textContent = slot
+                ? `${ITEM_ICONS[slot.item] || ''} ${slot.item}${slot.count > 1 ? ` x${slot.count}` : ''}`
+                : 'Empty';
+            listElement.appendChild(slotElement);
+        });
     }
 
     private handleDeath(playerId: string) {
@@ -2138,16 +3119,20 @@ export class GameScene extends Phaser.Scene {
             deathAnimKey = 'orc-death';
         }
         
+        // A downed player gets up off their side for the death animation
+        deadPlayerSprite.setAngle(0);
+        deadPlayerSprite.clearTint();
+        
         // If it's our player, show message and disable input
         if (playerId === this.myPlayerId) {
-            this.add.text(this.cameras.main.centerX, this.cameras.main.centerY, 'YOU DIED', {
+            this.deathTexts.push(this.add.text(this.cameras.main.centerX, this.cameras.main.centerY, 'YOU DIED', {
                 fontSize: '48px',
                 color: '#ff0000',
                 fontFamily: 'Arial',
                 stroke: '#000000',
                 strokeThickness: 4
-            }).setOrigin(0.5).setDepth(1000); // High depth to appear on top of everything
-            this.input.keyboard!.enabled = false;
+            }).setOrigin(0.5).setDepth(1000)); // High depth to appear on top of everything
+            this.input.keyboard!.enabled = false; // Until we respawn or the level restarts
         }
         
         // Play animation and destroy sprite on completion
@@ -1,8 +1,25 @@
 import Phaser from 'phaser';
+import { loadSessionToken, saveSessionToken, clearSessionToken } from '../session';
+
+// Public room as published on the server's lobby channel
+interface LobbyRoom {
+    roomCode: string;
+    hostName: string | null;
+    currentLevel: string;
+    levelName: string;
+    createdAt: number;
+    playerCount: number;
+    spectatorCount: number;
+    maxPlayers: number;
+    gameStarted: boolean;
+}
+
+type LobbyRoomEventType = 'created' | 'filled' | 'started' | 'finished' | 'abandoned' | 'updated';
 
 export class LobbyScene extends Phaser.Scene {
     private socket: any;
     private backgroundMusic: Phaser.Sound.BaseSound | null = null;
+    private lobbyRooms: Map<string, LobbyRoom> = new Map();
     
     constructor() {
         super({ key: 'LobbyScene' });
@@ -67,18 +84,9 @@ export class LobbyScene extends Phaser.Scene {
             }
         });
         
-        // Update the HTML status to show we're waiting for another player
-        const statusElement = document.getElementById('status');
-        if (statusElement) {
-            statusElement.textContent = 'Waiting for another player to join...';
-            statusElement.style.color = '#ecf0f1';
-        }
-        
-        const itemDisplayElement = document.getElementById('item-display');
-        if (itemDisplayElement) {
-            itemDisplayElement.textContent = 'The game will start automatically when both players are connected';
-            itemDisplayElement.style.color = '#95a5a6';
-        }
+        // Update the HTML status to ask the player how they want to find a partner
+        this.updateStatus('Pick an open room, create your own, join a friend with their code, or quick match');
+        this.updateItemDisplay('The game will start automatically when both players are in the room');
         
         // Get or create socket connection
         if (!this.socket || typeof this.socket !== 'object') {
@@ -91,6 +99,48 @@ export class LobbyScene extends Phaser.Scene {
             console.log('🔌 Using existing socket connection');
         }
         
+        // Room selection controls
+        this.setupRoomControls();
+        
+        // Open rooms list: full snapshot on connect, then lifecycle events as rooms change
+        this.socket.on('lobbyRooms', (rooms: LobbyRoom[]) => {
+            this.lobbyRooms = new Map(rooms.map(room => [room.roomCode, room]));
+            this.renderRoomList();
+        });
+        
+        this.socket.on('lobbyRoomEvent', (data: { type: LobbyRoomEventType; room: LobbyRoom }) => {
+            console.log(`📋 Lobby: room ${data.room.roomCode} ${data.type}`);
+            if (data.type === 'finished' || data.type === 'abandoned') {
+                this.lobbyRooms.delete(data.room.roomCode);
+            } else {
+                this.lobbyRooms.set(data.room.roomCode, data.room);
+            }
+            this.renderRoomList();
+        });
+        
+        // Keep the "created" column fresh while the player is browsing
+        this.time.addEvent({ delay: 30000, loop: true, callback: () => this.renderRoomList() });
+        
+        // Listen for the server confirming which room we are in
+        this.socket.on('roomJoined', (data: { roomCode: string; inviteUrl: string | null; isPrivate: boolean; playerId: string | null; isSpectator?: boolean; isHotSeat?: boolean; sessionToken?: string }) => {
+            console.log(`🏠 Joined room ${data.roomCode} as ${data.isSpectator ? 'spectator' : data.playerId}`);
+            if (data.sessionToken) {
+                saveSessionToken(data.sessionToken);
+            }
+            this.showRoomInfo(data.roomCode, data.inviteUrl, data.isPrivate);
+            if (data.isSpectator) {
+                this.updateStatus(`Room ${data.roomCode} is full | Watching as a spectator until the game starts...`, '#9b59b6');
+            } else if (data.isHotSeat) {
+                this.updateStatus(`Hot seat room ${data.roomCode} | Both players share this keyboard`, '#f39c12');
+            }
+        });
+        
+        // Listen for room create/join failures
+        this.socket.on('roomError', (data: { reason: string }) => {
+            console.log('Room error:', data.reason);
+            this.updateStatus(data.reason, '#e74c3c');
+        });
+        
         // Listen for game start event
         this.socket.on('gameStart', (initialGameState: any) => {
             console.log('Game starting with state:', initialGameState);
@@ -98,10 +148,7 @@ export class LobbyScene extends Phaser.Scene {
             // Stop listening to avoid duplicate handlers
             this.socket.off('gameStart');
             
-            // Stop lobby music when transitioning to game
-            if (this.backgroundMusic) {
-                this.backgroundMusic.stop();
-            }
+            this.leaveLobby();
             
             // Transition to game scene with the initial state
             this.scene.start('GameScene', { initialState: initialGameState });
@@ -113,9 +160,222 @@ export class LobbyScene extends Phaser.Scene {
             if (gameState.gameStarted) {
                 console.log('Game already in progress, joining...');
                 this.socket.off('gameState');
+                this.leaveLobby();
                 this.scene.start('GameScene', { initialState: gameState });
             }
         });
+        
+        // Our previous game is gone - carry on as a fresh visitor
+        this.socket.on('sessionExpired', (data: { reason: string }) => {
+            console.log('Session expired:', data.reason);
+            clearSessionToken();
+            this.updateStatus('Your previous game has ended - pick a room to play');
+            this.joinFromInviteLink();
+        });
+        
+        // Try to reclaim our slot in a game we dropped out of before doing anything else
+        const sessionToken = loadSessionToken();
+        if (sessionToken) {
+            console.log('🔑 Resuming previous session');
+            this.updateStatus('Reconnecting to your game...', '#f39c12');
+            this.socket.emit('resumeSessionRequest', { sessionToken });
+        } else {
+            this.joinFromInviteLink();
+        }
+    }
+    
+    private joinFromInviteLink() {
+        // Join straight away when opened from an invite link (?room=FIRE-4821)
+        const inviteCode = new URLSearchParams(window.location.search).get('room');
+        if (inviteCode) {
+            console.log(`🔗 Joining room from invite link: ${inviteCode}`);
+            this.requestJoinRoom(inviteCode);
+        }
+    }
+    
+    private setupRoomControls() {
+        const lobbyPanel = document.getElementById('lobby-panel');
+        const createPublicButton = document.getElementById('create-public-room-btn');
+        const createButton = document.getElementById('create-room-btn');
+        const quickMatchButton = document.getElementById('quick-match-btn');
+        const soloButton = document.getElementById('solo-btn');
+        const hotSeatButton = document.getElementById('hot-seat-btn');
+        const joinButton = document.getElementById('join-room-btn');
+        const codeInput = document.getElementById('room-code-input') as HTMLInputElement | null;
+        
+        if (lobbyPanel) {
+            lobbyPanel.style.display = 'block';
+        }
+        
+        if (createPublicButton) {
+            createPublicButton.onclick = () => {
+                console.log('🏠 Creating public room');
+                this.socket.emit('createRoomRequest', { isPrivate: false, playerName: this.getPlayerName() });
+            };
+        }
+        
+        if (createButton) {
+            createButton.onclick = () => {
+                console.log('🏠 Creating private room');
+                this.socket.emit('createRoomRequest', { isPrivate: true, playerName: this.getPlayerName() });
+            };
+        }
+        
+        if (quickMatchButton) {
+            quickMatchButton.onclick = () => {
+                console.log('🎲 Requesting quick match');
+                this.updateStatus('Looking for a partner...', '#f39c12');
+                this.socket.emit('quickMatchRequest', { playerName: this.getPlayerName() });
+            };
+        }
+        
+        if (soloButton) {
+            soloButton.onclick = () => {
+                console.log('🤖 Starting a solo game with the AI partner');
+                this.updateStatus('Starting a game with your AI partner...', '#f39c12');
+                this.socket.emit('soloGameRequest', { playerName: this.getPlayerName() });
+            };
+        }
+        
+        if (hotSeatButton) {
+            hotSeatButton.onclick = () => {
+                console.log('🎮 Starting a hot-seat game on this keyboard');
+                this.updateStatus('Starting a hot-seat game - take turns at this keyboard...', '#f39c12');
+                this.socket.emit('hotSeatGameRequest');
+            };
+        }
+        
+        if (joinButton && codeInput) {
+            joinButton.onclick = () => this.requestJoinRoom(codeInput.value);
+            codeInput.onkeydown = (event: KeyboardEvent) => {
+                if (event.key === 'Enter') {
+                    this.requestJoinRoom(codeInput.value);
+                }
+            };
+        }
+    }
+    
+    private requestJoinRoom(roomCode: string) {
+        const code = roomCode.trim().toUpperCase();
+        if (!code) {
+            this.updateStatus('Enter the room code your partner shared with you', '#e74c3c');
+            return;
+        }
+        
+        console.log(`🚪 Requesting to join room ${code}`);
+        this.updateStatus(`Joining room ${code}...`, '#f39c12');
+        this.socket.emit('joinRoomRequest', { roomCode: code, playerName: this.getPlayerName() });
+    }
+    
+    private getPlayerName(): string {
+        const nameInput = document.getElementById('player-name-input') as HTMLInputElement | null;
+        return nameInput ? nameInput.value.trim() : '';
+    }
+    
+    private renderRoomList() {
+        const listBody = document.getElementById('room-list-body');
+        const emptyMessage = document.getElementById('room-list-empty');
+        if (!listBody) return;
+        
+        // Newest rooms first
+        const rooms = Array.from(this.lobbyRooms.values()).sort((a, b) => b.createdAt - a.createdAt);
+        
+        listBody.innerHTML = '';
+        rooms.forEach(room => {
+            const row = document.createElement('tr');
+            const cells = [
+                room.hostName || 'Unknown',
+                room.levelName,
+                this.formatCreatedTime(room.createdAt),
+                `${room.playerCount}/${room.maxPlayers}`,
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text; // textContent keeps player names from injecting markup
+                row.appendChild(cell);
+            });
+            
+            const actionCell = document.createElement('td');
+            if (room.playerCount < room.maxPlayers) {
+                const joinButton = document.createElement('button');
+                joinButton.className = 'lobby-button';
+                joinButton.textContent = 'Join';
+                joinButton.onclick = () => this.requestJoinRoom(room.roomCode);
+                actionCell.appendChild(joinButton);
+            } else {
+                // Full rooms can still be watched
+                const watchButton = document.createElement('button');
+                watchButton.className = 'lobby-button';
+                watchButton.textContent = room.spectatorCount > 0 ? `Watch (${room.spectatorCount})` : 'Watch';
+                watchButton.onclick = () => this.requestJoinRoom(room.roomCode);
+                actionCell.appendChild(watchButton);
+            }
+            row.appendChild(actionCell);
+            
+            listBody.appendChild(row);
+        });
+        
+        if (emptyMessage) {
+            emptyMessage.style.display = rooms.length === 0 ? 'block' : 'none';
+        }
+    }
+    
+    private formatCreatedTime(createdAt: number): string {
+        const minutes = Math.floor((Date.now() - createdAt) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        return `${Math.floor(minutes / 60)} h ago`;
+    }
+    
+    private showRoomInfo(roomCode: string, inviteUrl: string | null, isPrivate: boolean) {
+        // Room chosen - hide the create/join controls
+        ['lobby-name', 'lobby-browser', 'lobby-actions', 'lobby-join'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.style.display = 'none';
+        });
+        
+        this.updateStatus(`Room ${roomCode} | Waiting for your partner to join...`, '#f39c12');
+        
+        const inviteInfo = document.getElementById('invite-info');
+        if (inviteInfo) {
+            const link = inviteUrl || `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomCode)}`;
+            inviteInfo.textContent = isPrivate
+                ? `Share the code ${roomCode} or this link with your partner: `
+                : `Matched into public room ${roomCode}. Invite link: `;
+            const anchor = document.createElement('a');
+            anchor.href = link;
+            anchor.textContent = link;
+            anchor.target = '_blank';
+            inviteInfo.appendChild(anchor);
+        }
+    }
+    
+    private leaveLobby() {
+        // Stop lobby music when transitioning to game
+        if (this.backgroundMusic) {
+            this.backgroundMusic.stop();
+        }
+        
+        const lobbyPanel = document.getElementById('lobby-panel');
+        if (lobbyPanel) {
+            lobbyPanel.style.display = 'none';
+        }
+    }
+    
+    private updateStatus(text: string, color: string = '#ecf0f1') {
+        const statusElement = document.getElementById('status');
+        if (statusElement) {
+            statusElement.textContent = text;
+            statusElement.style.color = color;
+        }
+    }
+    
+    private updateItemDisplay(text: string, color: string = '#95a5a6') {
+        const itemDisplayElement = document.getElementById('item-display');
+        if (itemDisplayElement) {
+            itemDisplayElement.textContent = text;
+            itemDisplayElement.style.color = color;
+        }
     }
     
     shutdown() {
@@ -123,6 +383,11 @@ export class LobbyScene extends Phaser.Scene {
         if (this.socket) {
             this.socket.off('gameStart');
             this.socket.off('gameState');
+            this.socket.off('roomJoined');
+            this.socket.off('roomError');
+            this.socket.off('lobbyRooms');
+            this.socket.off('lobbyRoomEvent');
+            this.socket.off('sessionExpired');
         }
     }
 } 
\ No newline at end of file
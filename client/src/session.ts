@@ -0,0 +1,28 @@
+// Session token handed out by the server when we take a player slot.
+// Kept in localStorage so a refresh or dropped connection can reclaim the same slot.
+const SESSION_STORAGE_KEY = 'dungeonEscapeDuo.sessionToken';
+
+export function loadSessionToken(): string | null {
+    try {
+        return window.localStorage.getItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        console.warn('⚠️ Could not read session token:', error);
+        return null;
+    }
+}
+
+export function saveSessionToken(token: string) {
+    try {
+        window.localStorage.setItem(SESSION_STORAGE_KEY, token);
+    } catch (error) {
+        console.warn('⚠️ Could not store session token:', error);
+    }
+}
+
+export function clearSessionToken() {
+    try {
+        window.localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        console.warn('⚠️ Could not clear session token:', error);
+    }
+}
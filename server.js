@@ -4,6 +4,7 @@ const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
@@ -11,7 +12,7 @@ const server = http.createServer(app);
 // Configure CORS for development and production
 const corsOptions = {
   origin: [
-    'http://localhost:5173', 
+    'http://localhost:5173',
     'http://localhost:3000',
     // Add your Cloudflare domain(s) here - replace with your actual domain
     'https://dungeon-escape-duo.chuanchuanc.workers.dev',
@@ -82,7 +83,8 @@ const TILEMAP_TO_LOGIC = {
 function loadTilemapFromFile(tilemapPath) {
   try {
     const tilemapData = JSON.parse(fs.readFileSync(tilemapPath, 'utf8'));
-    return parseTilemapToGameLogic(tilemapData);
+    const map = parseTilemapToGameLogic(tilemapData);
+    return map && { ...map, ...parseLevelObjects(tilemapData) };
   } catch (error) {
     console.error(`❌ Failed to load tilemap from ${tilemapPath}:`, error);
     return null;
@@ -189,6 +191,397 @@ function parseTilemapToGameLogic(tilemapData) {
   }
 }
 
+// Helper function to read a Tiled custom property from a map or object
+function getTiledProperty(source, name, fallback = null) {
+  const property = (source.properties || []).find(prop => prop.name === name);
+  return property ? property.value : fallback;
+}
+
+// Helper function to read a Tiled custom property that has to be a positive whole number
+// (a stack size or a health value), using the fallback when the map sets anything else
+function getPositiveIntegerProperty(source, name, fallback, label) {
+  const value = getTiledProperty(source, name, fallback);
+  if (Number.isInteger(value) && value > 0) {
+    return value;
+  }
+  console.warn(`⚠️  ${label} has bad ${name} ${JSON.stringify(value)}, using ${fallback}`);
+  return fallback;
+}
+
+// Helper function to check whether a Tiled object is wired to pressure plates or levers
+function isWiredObject(object) {
+  return Boolean(getTiledProperty(object, 'plates') || getTiledProperty(object, 'levers'));
+}
+
+// Helper function to read the wiring declared on a door or trap door (null if unwired)
+// Properties: plates and levers (comma-separated names), logic (see SIGNAL_LOGIC), label and,
+// for timed logic, openTurns (default TIMED_OPEN_TURNS)
+// inputIndexByName: { plates, levers } - maps from the names to the indices in the level
+function parseSignal(object, inputIndexByName, defaultLabel) {
+  if (!isWiredObject(object)) {
+    return null;
+  }
+
+  const readInputs = (property, indexByName, inputLabel) => {
+    const names = getTiledProperty(object, property);
+    const indices = [];
+    for (const inputName of names ? names.split(',').map(name => name.trim()) : []) {
+      if (indexByName.has(inputName)) {
+        indices.push(indexByName.get(inputName));
+      } else {
+        console.warn(`⚠️  ${defaultLabel} is wired to unknown ${inputLabel} '${inputName}'`);
+      }
+    }
+    return indices;
+  };
+  const plates = readInputs('plates', inputIndexByName.plates, 'pressure plate');
+  const levers = readInputs('levers', inputIndexByName.levers, 'lever');
+
+  let logic = getTiledProperty(object, 'logic', SIGNAL_LOGIC.OR);
+  if (!Object.values(SIGNAL_LOGIC).includes(logic)) {
+    console.warn(`⚠️  ${defaultLabel} has unknown logic '${logic}', using '${SIGNAL_LOGIC.OR}'`);
+    logic = SIGNAL_LOGIC.OR;
+  }
+
+  const signal = { plates, levers, logic, label: getTiledProperty(object, 'label', defaultLabel) };
+  if (logic === SIGNAL_LOGIC.TIMED) {
+    signal.openTurns = getTiledProperty(object, 'openTurns', TIMED_OPEN_TURNS);
+  }
+  return signal;
+}
+
+// Helper function to build an enemy or NPC from its Tiled object. Properties:
+//   health (default from its type)
+//   plates, levers, logic, label - wires a weak point (see parseSignal): while it's wired the
+//                                  enemy only takes damage when its plates or levers expose it
+//   pathfind movers - behavior (see ENEMY_BEHAVIORS, default chase), route ('x,y; x,y' tiles a
+//                     patrol walks), guardRange (default ENEMY_GUARD_RANGE)
+//   pacers          - direction (-1 left, 1 right), moveRange (default 4)
+//   dialogue        - JSON conversation for an NPC, replacing its type's (see parseDialogue)
+function parseEnemy(object, type, x, y) {
+  const enemyType = ENEMY_TYPES[type];
+  const health = getPositiveIntegerProperty(
+    object,
+    'health',
+    enemyType.health,
+    `${type} at (${x}, ${y})`
+  );
+  const enemy = {
+    type,
+    x, // Top-left tile of its footprint
+    y,
+    width: enemyType.size || 1,
+    height: enemyType.size || 1,
+    health,
+    maxHealth: health,
+    isStunned: false,
+    stunDuration: 0,
+    recoveryTurns: 0, // Turns left fleeing after a stun
+    lastMoveDirection: null, // Track direction for sprite flipping
+    hasMoved: false, // Whether it has acted in this enemy phase (turn and round ticks)
+  };
+
+  if (enemyType.attack === ENEMY_ATTACKS.RANGED || enemyType.attack === ENEMY_ATTACKS.SLAM) {
+    // Tiles it will hit next enemy phase (one lane per direction for shots, a single area for
+    // slams) - the clients mark them
+    enemy.aimedLanes = null;
+  }
+
+  if (enemyType.phases) {
+    enemy.phase = 0;
+    enemy.phaseName = enemyType.phases[0].label;
+  }
+
+  const dialogue = parseDialogue(object, type, enemyType.dialogue);
+  if (dialogue) {
+    enemy.dialogue = dialogue; // loadNewMap moves it to the room so clients don't get the tree
+  }
+
+  if (enemyType.movement === ENEMY_MOVEMENT.PATHFIND) {
+    let behavior = getTiledProperty(object, 'behavior', ENEMY_BEHAVIORS.CHASE);
+    if (!Object.values(ENEMY_BEHAVIORS).includes(behavior)) {
+      console.warn(`⚠️  Unknown ${type} behavior "${behavior}" - using chase`);
+      behavior = ENEMY_BEHAVIORS.CHASE;
+    }
+    Object.assign(enemy, {
+      behavior,
+      post: { x, y }, // Where a guard returns to
+      route: parseRoute(getTiledProperty(object, 'route', '')),
+      routeIndex: 0, // Next route tile a patrol heads for
+      guardRange: getTiledProperty(object, 'guardRange', ENEMY_GUARD_RANGE),
+    });
+  } else if (enemyType.movement === ENEMY_MOVEMENT.PACE) {
+    Object.assign(enemy, {
+      direction: getTiledProperty(object, 'direction', -1), // -1 = moving left, 1 = moving right
+      moveRange: getTiledProperty(object, 'moveRange', 4),
+      startX: x, // Starting position for calculating range
+    });
+  }
+
+  return enemy;
+}
+
+// Helper function to read an NPC's conversation: the dialogue property (JSON) of its object, or
+// its type's default. A conversation is { quest, nodes }, where nodes maps ids to
+// { text, options } and each option is { text, next, requires, take, give, count, quest }:
+//   next       - node to go on to (the conversation ends without one)
+//   requires   - item the player must carry to be offered the option
+//   take, give - item taken from the player / count (default 1) of an item given to them
+//   quest      - new state of the conversation's quest. Talking to the NPC starts at the node
+//                named after the quest's state, or at 'start'
+function parseDialogue(object, type, defaultDialogue = null) {
+  const text = getTiledProperty(object, 'dialogue');
+  if (!text) {
+    return defaultDialogue;
+  }
+
+  let dialogue;
+  try {
+    dialogue = JSON.parse(text);
+  } catch (parseError) {
+    console.warn(`⚠️  Invalid ${type} dialogue (${parseError.message}) - using the default`);
+    return defaultDialogue;
+  }
+  if (!dialogue || !dialogue.nodes || !dialogue.nodes.start) {
+    console.warn(`⚠️  ${type} dialogue has no start node - using the default`);
+    return defaultDialogue;
+  }
+
+  const isItem = item => item === undefined || Object.values(ITEM_TYPES).includes(item);
+  for (const [nodeId, node] of Object.entries(dialogue.nodes)) {
+    node.options = (node.options || []).filter(option => {
+      const valid =
+        typeof option.text === 'string' &&
+        (option.next === undefined || Boolean(dialogue.nodes[option.next])) &&
+        [option.requires, option.take, option.give].every(isItem);
+      if (!valid) {
+        console.warn(`⚠️  Ignoring invalid ${type} dialogue option in '${nodeId}':`, option);
+      }
+      return valid;
+    });
+  }
+  return dialogue;
+}
+
+// Helper function to parse a patrol route ('x,y; x,y' in tile coordinates)
+function parseRoute(routeText) {
+  const route = [];
+  for (const point of String(routeText).split(';')) {
+    if (!point.trim()) {
+      continue;
+    }
+    const [x, y] = point.split(',').map(value => Number(value.trim()));
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      console.warn(`⚠️  Ignoring invalid route point "${point}"`);
+      continue;
+    }
+    route.push({ x, y });
+  }
+  return route;
+}
+
+// Function to build a level's game objects from the "Objects" layer of its tilemap.
+// Object types (Tiled class) and their custom properties:
+//   fire
+//   key     - color ('gold', 'red', 'blue' or 'green', default gold): a pickup of that color's key
+//   pickup  - item, count (default 1); collected into the inventory of whoever steps on it
+//   pressurePlate - named in Tiled so doors and trap doors can be wired to it
+//   lever   - named like a plate; a player next to it (or on it) flips it on or off for an action
+//   door    - color (see key), exit (default true; false for doors on the way): opened and used up
+//             by the key of its color, and won through by standing on an open exit door
+//   door, trapDoor - plates, levers, logic, label, openTurns (see parseSignal); a wired door
+//                    ignores the key
+//   gate    - direction ('up', 'down', 'left' or 'right'): a one-way gate, see canPassGates
+//   checkpoint - fallen players respawn at the last one reached instead of their spawn
+//   crate   - pushed along by players walking into it (see findCratePush): holds down a pressure
+//             plate it stands on, fills a chasm it is pushed into and blocks enemies
+//   any ENEMY_TYPES name (slime, bat, skeleton, snail...) - see parseEnemy
+//   spawn   - player ('player1'/'player2'), item and itemCount (granted at the start of the level)
+// Map properties: name (shown in the lobby), winCondition ('door', 'exit' or 'boss'),
+//   itemVisibility and revealAfterTurns (see parseItemVisibility)
+function parseLevelObjects(tilemapData) {
+  const tileWidth = tilemapData.tilewidth;
+  const tileHeight = tilemapData.tileheight;
+  const gameObjects = {};
+  const startingPositions = {};
+  const startingItems = {};
+  const inputIndexByName = { plates: new Map(), levers: new Map() };
+  const wiredObjects = []; // Resolved once every plate and lever has been read
+
+  for (const layer of tilemapData.layers) {
+    if (layer.type !== 'objectgroup') {
+      continue;
+    }
+
+    for (const object of layer.objects) {
+      // Tile objects are anchored at their bottom-left corner, shapes at their top-left
+      const top = object.gid ? object.y - object.height : object.y;
+      const x = Math.floor(object.x / tileWidth);
+      const y = Math.floor(top / tileHeight);
+      const objectType = object.type || object.class; // Tiled 1.9 exported the class as "class"
+
+      if (ENEMY_TYPES[objectType]) {
+        const enemy = parseEnemy(object, objectType, x, y);
+        gameObjects.enemies = gameObjects.enemies || [];
+        gameObjects.enemies.push(enemy);
+        if (isWiredObject(object)) {
+          enemy.weakPointExposed = false;
+          const label = `the ${ENEMY_TYPES[objectType].name}'s weak point`;
+          wiredObjects.push({ actuator: enemy, object, label });
+        }
+        continue;
+      }
+
+      switch (objectType) {
+        case 'key':
+        case 'pickup': {
+          const item =
+            objectType === 'key'
+              ? DOOR_KEYS[getTiledProperty(object, 'color', DEFAULT_DOOR_COLOR)]
+              : getTiledProperty(object, 'item');
+          if (!Object.values(ITEM_TYPES).includes(item)) {
+            console.warn(`⚠️  Ignoring pickup with unknown item '${item}' at (${x}, ${y})`);
+            break;
+          }
+          gameObjects.pickups = gameObjects.pickups || [];
+          const count = getPositiveIntegerProperty(object, 'count', 1, `${item} at (${x}, ${y})`);
+          gameObjects.pickups.push({ x, y, item, count });
+          break;
+        }
+        case 'door': {
+          const color = getTiledProperty(object, 'color', DEFAULT_DOOR_COLOR);
+          if (!DOOR_KEYS[color]) {
+            console.warn(`⚠️  Ignoring door with unknown color '${color}' at (${x}, ${y})`);
+            break;
+          }
+          gameObjects.doors = gameObjects.doors || [];
+          // Doors are the level exit unless the designer marks them as being on the way
+          const door = {
+            x,
+            y,
+            color,
+            isExit: getTiledProperty(object, 'exit', true),
+            isUnlocked: false,
+          };
+          gameObjects.doors.push(door);
+          const label = color === DEFAULT_DOOR_COLOR ? 'door' : `${color} door`;
+          wiredObjects.push({ actuator: door, object, label });
+          break;
+        }
+        case 'fire':
+          gameObjects.fires = gameObjects.fires || [];
+          gameObjects.fires.push({ x, y, isDoused: false });
+          break;
+        case 'pressurePlate':
+          gameObjects.pressurePlates = gameObjects.pressurePlates || [];
+          gameObjects.pressurePlates.push({ x, y, isPressed: false });
+          if (object.name) {
+            inputIndexByName.plates.set(object.name, gameObjects.pressurePlates.length - 1);
+          }
+          break;
+        case 'lever':
+          gameObjects.levers = gameObjects.levers || [];
+          gameObjects.levers.push({ x, y, isOn: false });
+          if (object.name) {
+            inputIndexByName.levers.set(object.name, gameObjects.levers.length - 1);
+          }
+          break;
+        case 'gate': {
+          const direction = getTiledProperty(object, 'direction');
+          if (!['up', 'down', 'left', 'right'].includes(direction)) {
+            console.warn(`⚠️  Ignoring gate with unknown direction '${direction}' at (${x}, ${y})`);
+            break;
+          }
+          gameObjects.gates = gameObjects.gates || [];
+          gameObjects.gates.push({ x, y, direction });
+          break;
+        }
+        case 'trapDoor': {
+          gameObjects.trapDoors = gameObjects.trapDoors || [];
+          const trap = { x, y, isOpen: false };
+          gameObjects.trapDoors.push(trap);
+          wiredObjects.push({
+            actuator: trap,
+            object,
+            label: `trap door ${gameObjects.trapDoors.length}`,
+          });
+          break;
+        }
+        case 'checkpoint':
+          gameObjects.checkpoints = gameObjects.checkpoints || [];
+          gameObjects.checkpoints.push({ x, y });
+          break;
+        case 'crate':
+          gameObjects.crates = gameObjects.crates || [];
+          gameObjects.crates.push({ x, y });
+          break;
+        case 'spawn': {
+          const playerId = getTiledProperty(object, 'player');
+          if (!['player1', 'player2'].includes(playerId)) {
+            console.warn(`⚠️  Ignoring spawn for unknown player '${playerId}' at (${x}, ${y})`);
+            break;
+          }
+          startingPositions[playerId] = { x, y };
+          const item = getTiledProperty(object, 'item');
+          const count = getTiledProperty(object, 'itemCount', 1);
+          if (item && !Object.values(ITEM_TYPES).includes(item)) {
+            console.warn(`⚠️  Ignoring spawn item '${item}' for ${playerId}: unknown item`);
+          } else if (item && !(Number.isInteger(count) && count > 0)) {
+            console.warn(`⚠️  Ignoring spawn item '${item}' for ${playerId}: bad count ${count}`);
+          } else if (item) {
+            startingItems[playerId] = [{ item, count }];
+          }
+          break;
+        }
+        default:
+          console.warn(`⚠️  Ignoring unknown level object type '${objectType}' at (${x}, ${y})`);
+      }
+    }
+  }
+
+  for (const { actuator, object, label } of wiredObjects) {
+    actuator.signal = parseSignal(object, inputIndexByName, label);
+    if (actuator.signal && actuator.signal.logic === SIGNAL_LOGIC.TIMED) {
+      actuator.openTurnsLeft = 0; // Turns it stays open after the current one
+    }
+  }
+
+  return {
+    name: getTiledProperty(tilemapData, 'name'),
+    // Maps with an exit door are won through it unless the designer says otherwise
+    winCondition: getTiledProperty(
+      tilemapData,
+      'winCondition',
+      (gameObjects.doors || []).some(door => door.isExit) ? 'door' : 'exit'
+    ),
+    gameObjects,
+    startingPositions: Object.keys(startingPositions).length > 0 ? startingPositions : null,
+    // Random items otherwise
+    startingItems: Object.keys(startingItems).length > 0 ? startingItems : null,
+    itemVisibility: parseItemVisibility(tilemapData),
+  };
+}
+
+// Helper function to read how much players see of each other's inventory on a level
+// Returns { mode, afterTurns } - afterTurns only matters for ITEM_VISIBILITY.AFTER_TURNS
+function parseItemVisibility(tilemapData) {
+  const mode = getTiledProperty(tilemapData, 'itemVisibility', ITEM_VISIBILITY.HIDDEN);
+  if (!Object.values(ITEM_VISIBILITY).includes(mode)) {
+    console.warn(`⚠️  Unknown itemVisibility '${mode}', keeping items hidden`);
+    return { mode: ITEM_VISIBILITY.HIDDEN, afterTurns: null };
+  }
+
+  const afterTurns = getTiledProperty(tilemapData, 'revealAfterTurns');
+  if (mode === ITEM_VISIBILITY.AFTER_TURNS && !(Number.isInteger(afterTurns) && afterTurns >= 0)) {
+    console.warn(
+      `⚠️  itemVisibility 'afterTurns' needs a revealAfterTurns count, keeping items hidden`
+    );
+    return { mode: ITEM_VISIBILITY.HIDDEN, afterTurns: null };
+  }
+
+  return { mode, afterTurns: mode === ITEM_VISIBILITY.AFTER_TURNS ? afterTurns : null };
+}
+
 // Function to detect the actual content bounds in a tilemap
 function detectContentBounds(layout) {
   let minX = layout[0].length;
@@ -224,160 +617,236 @@ function detectContentBounds(layout) {
   return { minX, maxX, minY, maxY };
 }
 
-// Simplified LEVELS structure - One map per level with level-specific configuration
+// Level maps in play order. Everything else about a level is designed in Tiled - see
+// parseLevelObjects for the object types and custom properties the server reads.
 // Tile types in game logic:
 // 0 = floor tile (walkable)
 // 1 = wall tile (not walkable)
 // 2 = fire hazard (requires "Douse Fire" item to pass)
 // 3 = chasm (impassable terrain)
 // 4 = exit tile (goal for both players)
-
-const LEVELS = {
-  level1: {
-    mapFile: 'client/public/assets/level1.tmj',
-    name: 'Level 1: The Key and the Door',
-    // Level 1 specific game objects
-    gameObjects: {
-      key: {
-        x: 1,
-        y: 2,
-        heldBy: null, // Track which player ID has the key
-      },
-      fires: [
-        { x: 2, y: 2, isDoused: false }, // Fire guarding the key
-        { x: 6, y: 5, isDoused: false }, // Fire blocking the central path
-      ],
-      door: {
-        x: 9,
-        y: 2,
-        isUnlocked: false,
-      },
-    },
-    // Level 1 specific starting positions
-    startingPositions: {
-      player1: { x: 1, y: 6 }, // Player 1 (Soldier): bottom-left
-      player2: { x: 10, y: 2 }, // Player 2 (Orc): top-right
-    },
-    // Level 1 uses door-based win condition
-    winCondition: 'door',
-    // Both players get "Douse Fire" items in Level 1
-    playerItems: {
-      player1: 'Douse Fire',
-      player2: 'Douse Fire',
-    },
-  },
-  level2: {
-    mapFile: 'client/public/assets/level2.tmj',
-    name: 'Level 2: Pressure and Peril',
-    // Level 2 specific game objects based on analyzing level2.tmj
-    gameObjects: {
-      // Key and door for Level 2 - same mechanics as Level 1
-      key: {
-        x: 20,
-        y: 5, // Place key at a strategic location
-        heldBy: null, // Track which player ID has the key
-      },
-      door: {
-        x: 7,
-        y: 5, // Door at requested position
-        isUnlocked: false,
-      },
-      // Based on analyzing the tmj file, identifying key positions
-      fires: [
-        { x: 6, y: 6, isDoused: false }, // Fire tile (ID 7) from Layer 3
-        { x: 9, y: 5, isDoused: false }, // Another fire tile from Layer 3
-      ],
-      pressurePlates: [
-        {
-          x: 13,
-          y: 12, // First pressure plate - left of player spawn
-          isPressed: false,
-        },
-        {
-          x: 14,
-          y: 8, // Second pressure plate - two tiles above trap (trap is at 14, 10)
-          isPressed: false,
-        },
-        {
-          x: 6,
-          y: 9, // Third pressure plate - controls traps on other side of room
-          isPressed: false,
-        },
-      ],
-      trapDoors: [
-        {
-          x: 14,
-          y: 10, // First trap door area from analyzing the layout
-          isOpen: false, // Closed by default, opens when any pressure plate is pressed
-        },
-        {
-          x: 17,
-          y: 6, // Second trap door - right side of map
-          isOpen: false,
-        },
-        {
-          x: 17,
-          y: 7, // Third trap door - right side of map
-          isOpen: false,
-        },
-      ],
-      slimes: [
-        {
-          id: 'slime_0',
-          x: 11,
-          y: 6, // First slime - left side of map
-          isStunned: false,
-          stunDuration: 0,
-          lastMoveDirection: null, // Track direction for sprite flipping
-          health: 2, // Slimes have 2 health points
-          hasMoved: false, // Track if slime has acted this turn
-        },
-        {
-          id: 'slime_1',
-          x: 18,
-          y: 8, // Second slime - right side of map
-          isStunned: false,
-          stunDuration: 0,
-          lastMoveDirection: null, // Track direction for sprite flipping
-          health: 2, // Slimes have 2 health points
-          hasMoved: false, // Track if slime has acted this turn
-        },
-      ],
-      snail: {
-        x: 15,
-        y: 5, // Snail position - decorative NPC (on visible floor tile)
-        direction: -1, // -1 = moving left, 1 = moving right
-        moveRange: 4, // Moves within 4 tiles
-        startX: 15, // Starting position for calculating range
-        lastInteractionTurn: -1, // Track when last interaction happened
-      },
-    },
-    // Level 2 starting positions - placed on visible floor areas
-    startingPositions: {
-      player1: { x: 14, y: 12 }, // Safe floor area in left platform
-      player2: { x: 15, y: 12 }, // Safe floor area in middle platform
-    },
-    // Level 2 uses door-based win condition (same as Level 1)
-    winCondition: 'door',
-    // Both players get Douse Fire for cooperative mechanics
-    playerItems: {
-      player1: 'Douse Fire',
-      player2: 'Douse Fire',
-    },
-  },
+const LEVEL_MAP_FILES = {
+  level1: 'client/public/assets/level1.tmj',
+  level2: 'client/public/assets/level2.tmj',
+  level3: 'client/public/assets/level3.tmj',
+  level4: 'client/public/assets/level4.tmj',
 };
 
-// Current game settings
-let currentLevel = 'level1';
-
-// Grid configuration (will be updated dynamically based on loaded map)
-let GRID_WIDTH = 12;
-let GRID_HEIGHT = 8;
+// Default grid configuration (real dimensions come from the loaded map)
+const DEFAULT_GRID_WIDTH = 12;
+const DEFAULT_GRID_HEIGHT = 8;
 
 // Item types that players can receive
 const ITEM_TYPES = {
   DOUSE_FIRE: 'Douse Fire',
   BUILD_BRIDGE: 'Build Bridge',
+  KEY: 'Key',
+  RED_KEY: 'Red Key',
+  BLUE_KEY: 'Blue Key',
+  GREEN_KEY: 'Green Key',
+  SHINY_STONE: 'Shiny Stone',
+};
+
+// How items sit in the inventory: consumables stack and are spent by useItemRequest,
+// key items take a slot each and work on their own (a key unlocks the door of its color)
+const ITEM_RULES = {
+  [ITEM_TYPES.DOUSE_FIRE]: { usable: true, maxStack: 3 },
+  [ITEM_TYPES.BUILD_BRIDGE]: { usable: true, maxStack: 3 },
+  [ITEM_TYPES.KEY]: { usable: false, maxStack: 1, isKeyItem: true },
+  [ITEM_TYPES.RED_KEY]: { usable: false, maxStack: 1, isKeyItem: true },
+  [ITEM_TYPES.BLUE_KEY]: { usable: false, maxStack: 1, isKeyItem: true },
+  [ITEM_TYPES.GREEN_KEY]: { usable: false, maxStack: 1, isKeyItem: true },
+  [ITEM_TYPES.SHINY_STONE]: { usable: false, maxStack: 1, isKeyItem: true }, // Quest item for the snail
+};
+
+// The key that opens a door of each color (the color property on key and door objects)
+const DOOR_KEYS = {
+  gold: ITEM_TYPES.KEY,
+  red: ITEM_TYPES.RED_KEY,
+  blue: ITEM_TYPES.BLUE_KEY,
+  green: ITEM_TYPES.GREEN_KEY,
+};
+const DEFAULT_DOOR_COLOR = 'gold';
+
+// Inventory slots per player
+const INVENTORY_SLOTS = 4;
+
+// Whether players can see their partner's inventory (the itemVisibility map property)
+const ITEM_VISIBILITY = {
+  HIDDEN: 'hidden', // Only once the partner reveals it
+  VISIBLE: 'visible', // Always
+  AFTER_TURNS: 'afterTurns', // Once revealAfterTurns turns have been played on the level
+};
+
+// How an enemy with pathfind movement gets around (the behavior property of its object)
+const ENEMY_BEHAVIORS = {
+  CHASE: 'chase', // Hunts down players who come within its activation range
+  PATROL: 'patrol', // Walks its route in a loop, chasing players who come close
+  GUARD: 'guard', // Holds its post, chasing players only while they are within guardRange of it
+};
+const ENEMY_GUARD_RANGE = 3;
+const STUN_RECOVERY_TURNS = 2; // Turns an enemy flees for once a stun wears off
+
+// When an enemy or NPC acts (its type's tick)
+const WORLD_TICKS = {
+  TURN: 'turn', // In the enemy phase after every turn
+  ROUND: 'round', // In the enemy phase once both players have had a turn
+  REALTIME: 'realtime', // Every REALTIME_TICK_MS while the game runs, whoever's turn it is
+};
+const REALTIME_TICK_MS = 2000;
+
+const ENEMY_MOVEMENT = {
+  PATHFIND: 'pathfind', // Chase, patrol or guard (see ENEMY_BEHAVIORS)
+  PACE: 'pace', // Back and forth along a row (direction, moveRange)
+  STATIONARY: 'stationary',
+};
+
+const ENEMY_ATTACKS = {
+  MELEE: 'melee', // Hits one adjacent player
+  RANGED: 'ranged', // Takes aim along its rows and columns, then fires in the next enemy phase
+  SLAM: 'slam', // Marks every tile within reach, then hits everyone on them in the next enemy phase
+};
+
+// Enemy and NPC types a level can place - an object's Tiled class is its type name.
+// Each type declares:
+//   name            - used in player messages
+//   spriteKey       - texture the client draws it with; icon and color are the fallback look
+//   health          - starting health (a health property on the object overrides it)
+//   activationRange - how close (in tiles) a player must come before it reacts (and how far
+//                     a ranged attacker shoots)
+//   movement        - one of ENEMY_MOVEMENT
+//   tick            - one of WORLD_TICKS: how often it acts (see runEnemyPhase)
+//   attack, damage  - one of ENEMY_ATTACKS (null for harmless NPCs) and the health a hit takes
+//   hostile         - blocks players and can be attacked
+//   flying          - crosses chasms and fire, and doesn't fall through trap doors
+//   stunnable       - Douse Fire stuns it
+//   dialogue        - an NPC's default conversation (see parseDialogue) - players next to it
+//                     can talk to it
+//   size            - tiles across and down it covers (default 1) - big enemies should be stationary
+//   isBoss          - the level's boss: shown in the boss HUD, and beating it wins a 'boss' level
+//   phases          - a label and stat overrides by remaining health: the last phase whose
+//                     healthFraction is at or above the enemy's health / maxHealth applies
+const ENEMY_TYPES = {
+  slime: {
+    name: 'Slime',
+    spriteKey: 'slime',
+    icon: '🟢',
+    color: '#2ecc71',
+    health: 2,
+    activationRange: 2,
+    movement: ENEMY_MOVEMENT.PATHFIND,
+    tick: WORLD_TICKS.TURN,
+    attack: ENEMY_ATTACKS.MELEE,
+    damage: 1,
+    hostile: true,
+    flying: false,
+    stunnable: true,
+  },
+  bat: {
+    name: 'Bat',
+    spriteKey: 'bat',
+    icon: '🦇',
+    color: '#8e44ad',
+    health: 1,
+    activationRange: 4,
+    movement: ENEMY_MOVEMENT.PATHFIND,
+    tick: WORLD_TICKS.TURN,
+    attack: ENEMY_ATTACKS.MELEE,
+    damage: 1,
+    hostile: true,
+    flying: true,
+    stunnable: true,
+  },
+  skeleton: {
+    name: 'Skeleton',
+    spriteKey: 'skeleton',
+    icon: '💀',
+    color: '#ecf0f1',
+    health: 3,
+    activationRange: 3,
+    movement: ENEMY_MOVEMENT.PATHFIND,
+    tick: WORLD_TICKS.TURN,
+    attack: ENEMY_ATTACKS.MELEE,
+    damage: 1,
+    hostile: true,
+    flying: false,
+    stunnable: false,
+  },
+  turret: {
+    name: 'Turret',
+    spriteKey: 'turret',
+    icon: '🏹',
+    color: '#c0392b',
+    health: 2,
+    activationRange: 5,
+    movement: ENEMY_MOVEMENT.STATIONARY,
+    tick: WORLD_TICKS.TURN,
+    attack: ENEMY_ATTACKS.RANGED,
+    damage: 1,
+    hostile: true,
+    flying: false,
+    stunnable: true,
+  },
+  archer: {
+    name: 'Archer',
+    spriteKey: 'archer',
+    icon: '🎯',
+    color: '#d35400',
+    health: 1,
+    activationRange: 4,
+    movement: ENEMY_MOVEMENT.PATHFIND,
+    tick: WORLD_TICKS.TURN,
+    attack: ENEMY_ATTACKS.RANGED,
+    damage: 1,
+    hostile: true,
+    flying: false,
+    stunnable: true,
+  },
+  warden: {
+    name: 'Warden',
+    spriteKey: 'warden',
+    icon: '👹',
+    color: '#8e44ad',
+    health: 9,
+    size: 2,
+    activationRange: 1, // How far its slam reaches
+    movement: ENEMY_MOVEMENT.STATIONARY,
+    tick: WORLD_TICKS.TURN,
+    attack: ENEMY_ATTACKS.SLAM,
+    damage: 1,
+    hostile: true,
+    flying: false,
+    stunnable: false,
+    isBoss: true,
+    phases: [
+      { label: 'Awakened', healthFraction: 1 },
+      { label: 'Enraged', healthFraction: 0.67, activationRange: 2 },
+      { label: 'Desperate', healthFraction: 0.34, activationRange: 2, damage: 2 },
+    ],
+  },
+  snail: {
+    name: 'Snail',
+    spriteKey: 'snail',
+    icon: '🐌',
+    color: '#f39c12',
+    health: 1,
+    activationRange: 1,
+    movement: ENEMY_MOVEMENT.PACE,
+    tick: WORLD_TICKS.ROUND,
+    attack: null,
+    damage: 0,
+    hostile: false,
+    flying: false,
+    stunnable: false,
+    dialogue: {
+      nodes: {
+        start: {
+          text: 'Good Day, crawler. The walls here are quite damp.',
+          options: [{ text: 'Goodbye.' }],
+        },
+      },
+    },
+  },
 };
 
 // Tile types for rendering and logic
@@ -389,30 +858,61 @@ const TILE_TYPES = {
   EXIT: 4,
 };
 
-// Helper function to get current map layout
-function getCurrentMap() {
-  const levelData = LEVELS[currentLevel];
-  if (!levelData || !levelData.mapFile) {
-    console.error(`❌ No map file defined for ${currentLevel}`);
-    GRID_WIDTH = 12;
-    GRID_HEIGHT = 8;
-    return createDefaultMap();
-  }
-
-  // Load the tilemap file
-  const tilemapResult = loadTilemapFromFile(levelData.mapFile);
-  if (tilemapResult) {
-    // Update grid dimensions
-    GRID_WIDTH = tilemapResult.width;
-    GRID_HEIGHT = tilemapResult.height;
-    return tilemapResult.layout;
-  } else {
-    console.error(`❌ Failed to load tilemap: ${levelData.mapFile}, falling back to default`);
+// Function to load every level's map and objects from its tilemap
+function loadLevelDefinitions(mapFiles) {
+  const levels = {};
+  for (const [levelId, mapFile] of Object.entries(mapFiles)) {
+    const tilemapResult = loadTilemapFromFile(mapFile);
+    if (!tilemapResult) {
+      console.error(`❌ Failed to load tilemap: ${mapFile}, ${levelId} will use the default map`);
+    }
+    levels[levelId] = {
+      mapFile,
+      gameObjects: {},
+      winCondition: 'exit', // The default map only has an exit tile
+      itemVisibility: { mode: ITEM_VISIBILITY.HIDDEN, afterTurns: null },
+      ...tilemapResult,
+      name: (tilemapResult && tilemapResult.name) || levelId,
+    };
+  }
+  return levels;
+}
+
+// How a wired actuator combines the pressure plates and levers it listens to
+// (a lever counts as pressed while it's on, and as just pressed whenever it's flipped)
+const SIGNAL_LOGIC = {
+  OR: 'or', // Open while any plate is pressed
+  AND: 'and', // Open while every plate is pressed
+  TOGGLE: 'toggle', // Flips each time one of its plates is pressed
+  LATCHED: 'latched', // Stays open for the rest of the level once any plate is pressed
+  TIMED: 'timed', // Opens for openTurns more turns each time one of its plates is pressed
+};
+const TIMED_OPEN_TURNS = 2;
+
+// Game objects that pressure plates can drive, and the state their signal sets
+const WIRED_ACTUATORS = {
+  trapDoors: 'isOpen',
+  doors: 'isUnlocked',
+  enemies: 'weakPointExposed',
+};
+
+// Level definitions, read once from the Tiled maps at startup
+const LEVELS = loadLevelDefinitions(LEVEL_MAP_FILES);
+
+// Helper function to get the map layout for a level
+function getLevelMap(levelId) {
+  const levelData = LEVELS[levelId];
+  if (!levelData || !levelData.layout) {
     // Fallback to default small map
-    GRID_WIDTH = 12;
-    GRID_HEIGHT = 8;
-    return createDefaultMap();
+    return { layout: createDefaultMap(), width: DEFAULT_GRID_WIDTH, height: DEFAULT_GRID_HEIGHT };
   }
+
+  // Copy the layout - rooms convert unsafe starting tiles in place
+  return {
+    layout: levelData.layout.map(row => [...row]),
+    width: levelData.width,
+    height: levelData.height,
+  };
 }
 
 // Helper function to create a default map in case of errors
@@ -429,85 +929,123 @@ function createDefaultMap() {
   ];
 }
 
-// Function to load a new map (for level progression)
-function loadNewMap(level = null) {
-  // Set level (default to current or level1)
+// Function to load a new map into a room (for level progression)
+function loadNewMap(room, level = null) {
+  const { gameState } = room;
+
+  // Set level (default to the room's current level)
   if (level) {
-    currentLevel = level;
+    gameState.currentLevel = level;
   }
 
-  const levelData = LEVELS[currentLevel];
+  const levelData = LEVELS[gameState.currentLevel];
   if (!levelData) {
-    console.error(`❌ Level ${currentLevel} not found in LEVELS configuration`);
+    console.error(`❌ Level ${gameState.currentLevel} not found in LEVELS configuration`);
     return;
   }
 
-  // Load the map (this updates GRID_WIDTH and GRID_HEIGHT)
-  const newDungeonLayout = getCurrentMap();
-
-  // Update game state with new map and dimensions
-  gameState.dungeonLayout = newDungeonLayout;
-  gameState.gridWidth = GRID_WIDTH;
-  gameState.gridHeight = GRID_HEIGHT;
-  gameState.currentLevel = currentLevel;
-
-  // Reset douse fire availability when loading a new level
-  gameState.douseFireUsed.player1 = false;
-  gameState.douseFireUsed.player2 = false;
-  console.log(
-    `🔥 Loading ${currentLevel}: Douse fire availability reset - both players get 1 douse fire each`
-  );
-
-  // Initialize level-specific game objects
-  if (levelData.gameObjects) {
-    // Deep copy game objects to avoid reference issues
-
-    // Level 1 objects
-    if (levelData.gameObjects.key) {
-      gameState.key = { ...levelData.gameObjects.key };
-    }
-    if (levelData.gameObjects.fires) {
-      gameState.fires = levelData.gameObjects.fires.map(fire => ({ ...fire }));
-    }
-    if (levelData.gameObjects.door) {
-      gameState.door = { ...levelData.gameObjects.door };
-    }
+  const levelMap = getLevelMap(gameState.currentLevel);
 
-    // Level 2 objects
-    if (levelData.gameObjects.pressurePlates) {
-      gameState.pressurePlates = levelData.gameObjects.pressurePlates.map(plate => ({ ...plate }));
-    }
-    if (levelData.gameObjects.trapDoors) {
-      gameState.trapDoors = levelData.gameObjects.trapDoors.map(trap => ({ ...trap }));
-    }
-    if (levelData.gameObjects.slimes) {
-      gameState.slimes = levelData.gameObjects.slimes.map((slime, i) => ({
-        ...slime,
-        id: `slime_${i}`, // Add unique ID for each slime
-      }));
-    }
-    if (levelData.gameObjects.snail) {
-      gameState.snail = { ...levelData.gameObjects.snail };
-      gameState.snail.lastInteractionTurn = -1; // Initialize interaction tracking
-    } else {
-      // Remove: console.log('⚠️ No snail found in level data');
-    }
+  // Nothing scheduled for the old level may fire on the new one (a pending enemy phase is
+  // dropped), and the real-time ticker starts its count over
+  clearLevelTimeouts(room);
+  room.enemyPhasePending = false;
+  if (room.realtimeTickTimeout) {
+    startRealtimeTicks(room);
   }
 
+  // Update game state with new map and dimensions
+  gameState.dungeonLayout = levelMap.layout;
+  gameState.gridWidth = levelMap.width;
+  gameState.gridHeight = levelMap.height;
+
+  // Empty the inventories when loading a new level - items and keys belong to the level
+  // they were found in (grantStartingItems hands out the new level's items)
+  gameState.inventories = { player1: createEmptyInventory(), player2: createEmptyInventory() };
+  gameState.bridges = [];
+  cancelPendingGift(room, 'The level changed');
+  clearUndoHistory(room, 'new level');
+
+  // Reveals only last for the level they were made in
+  gameState.itemVisibility = levelData.itemVisibility;
+  gameState.revealedItems = { player1: false, player2: false };
+  gameState.turnsThisLevel = 0;
+
+  // Retries start over with the level: everyone is back on the board, votes and checkpoints reset
+  reviveFallenPlayers(room);
+  gameState.restartVotes = { player1: false, player2: false };
+  console.log(`🎒 [${room.id}] Loading ${gameState.currentLevel}: Inventories emptied`);
+
+  // Initialize level-specific game objects from the level's object layer
+  // Deep copy game objects to avoid reference issues, and clear whatever the map doesn't have
+  const {
+    pickups,
+    fires,
+    doors,
+    pressurePlates,
+    levers,
+    trapDoors,
+    gates,
+    enemies,
+    checkpoints,
+    crates,
+  } = levelData.gameObjects;
+  gameState.pickups = pickups
+    ? pickups.map((pickup, i) => ({ ...pickup, id: `pickup_${i}` }))
+    : null;
+  gameState.fires = fires ? fires.map(fire => ({ ...fire })) : null;
+  gameState.doors = doors ? doors.map((door, i) => ({ ...door, id: `door_${i}` })) : null;
+  gameState.pressurePlates = pressurePlates ? pressurePlates.map(plate => ({ ...plate })) : null;
+  gameState.trapDoors = trapDoors ? trapDoors.map(trap => ({ ...trap })) : null;
+  // NPCs start over with the level, conversations and quests included
+  endConversations(room);
+  room.dialogues = {};
+  room.quests = {};
+  // Ids count up per type (slime_0, slime_1, snail_0...) and stay stable as enemies die
+  const enemyCounts = {};
+  gameState.enemies = enemies
+    ? enemies.map(({ dialogue, ...enemy }) => {
+        const index = enemyCounts[enemy.type] || 0;
+        enemyCounts[enemy.type] = index + 1;
+        const { name, spriteKey, icon, color, hostile, isBoss = false } = ENEMY_TYPES[enemy.type];
+        const id = `${enemy.type}_${index}`;
+        if (dialogue) {
+          room.dialogues[id] = dialogue;
+        }
+        const talks = Boolean(dialogue);
+        return { ...enemy, id, name, spriteKey, icon, color, hostile, isBoss, talks };
+      })
+    : null;
+  gameState.checkpoints = checkpoints
+    ? checkpoints.map((checkpoint, i) => ({
+        ...checkpoint,
+        id: `checkpoint_${i}`,
+        isActive: false,
+      }))
+    : null;
+  gameState.crates = crates
+    ? crates.map((crate, i) => ({ ...crate, id: `crate_${i}`, isSunk: false }))
+    : null;
+  gameState.levers = levers ? levers.map((lever, i) => ({ ...lever, id: `lever_${i}` })) : null;
+  gameState.gates = gates ? gates.map(gate => ({ ...gate })) : null;
+
   // Update starting positions for the new map
-  updateStartingPositionsForMap(newDungeonLayout);
+  updateStartingPositionsForMap(room, levelMap.layout);
 
   // Ensure starting positions are safe
-  ensureSafeStartingPositions();
+  ensureSafeStartingPositions(room);
 
-  console.log(`🗺️  Loaded map: ${levelData.name} (${GRID_WIDTH}x${GRID_HEIGHT})`);
+  console.log(
+    `🗺️  [${room.id}] Loaded map: ${levelData.name} (${levelMap.width}x${levelMap.height})`
+  );
 }
 
 // Function to ensure starting positions are safe (no hazards)
-function ensureSafeStartingPositions() {
+function ensureSafeStartingPositions(room) {
+  const { gameState } = room;
   console.log('Validating starting positions...');
 
-  for (const [playerId, pos] of Object.entries(startingPositions)) {
+  for (const [playerId, pos] of Object.entries(room.startingPositions)) {
     const currentTile = gameState.dungeonLayout[pos.y][pos.x];
 
     if (currentTile !== TILE_TYPES.FLOOR) {
@@ -527,1608 +1065,4468 @@ function ensureSafeStartingPositions() {
   console.log('Starting position validation complete');
 }
 
-// Initialize game state (will be properly set by loadNewMap)
-const gameState = {
-  players: {},
-  dungeonLayout: [], // Will be set by loadNewMap
-  gridWidth: 12, // Will be updated by loadNewMap
-  gridHeight: 8, // Will be updated by loadNewMap
-  currentPlayerTurn: null, // Tracks whose turn it is: 'player1' or 'player2'
-  actionsRemaining: 2, // Track remaining actions for current player
-  gameStarted: false, // Tracks if both players are connected and game has begun
-  playerItems: {}, // Tracks current items for each player: { player1: 'Douse Fire', player2: 'Build Bridge' }
-  gameWon: false, // Tracks if the game has been won (both players reached exit)
-  currentLevel: currentLevel, // Current difficulty level
-  levelProgression: 1, // Track overall progression: 1 = Level 1, 2 = Level 2, etc.
-  // Per-level douse fire tracking - tracks if each player has used their douse fire for current level
-  douseFireUsed: {
-    player1: false, // true if player1 has used their douse fire for current level
-    player2: false, // true if player2 has used their douse fire for current level
-  },
-  // Level-specific objects will be initialized by loadNewMap
-  key: null,
-  fires: null,
-  door: null,
-  // Future Level 2 objects
-  pressurePlate: null,
-  trapDoor: null,
-  slimes: null,
-};
-
-// Player starting positions (will be updated based on map size)
-let startingPositions = {
-  player1: { x: 1, y: 8 }, // Player 1 new spawn: bottom-left
-  player2: { x: 10, y: 6 },
-};
+// Create a fresh game state for a room (will be properly set by loadNewMap)
+function createInitialGameState(roomId) {
+  return {
+    roomId: roomId, // Room this state belongs to (shown to players as the room code)
+    players: {},
+    dungeonLayout: [], // Will be set by loadNewMap
+    gridWidth: DEFAULT_GRID_WIDTH, // Will be updated by loadNewMap
+    gridHeight: DEFAULT_GRID_HEIGHT, // Will be updated by loadNewMap
+    currentPlayerTurn: null, // Tracks whose turn it is: 'player1' or 'player2'
+    actionsRemaining: 2, // Track remaining actions for current player
+    gameStarted: false, // Tracks if both players are connected and game has begun
+    // Each player's inventory slots: [{ item: 'Douse Fire', count: 2 }, { item: 'Key', count: 1 }, null, null]
+    inventories: { player1: createEmptyInventory(), player2: createEmptyInventory() },
+    gameWon: false, // Tracks if the game has been won (both players reached exit)
+    currentLevel: 'level1', // Current difficulty level
+    levelProgression: 1, // Track overall progression: 1 = Level 1, 2 = Level 2, etc.
+    bridges: [], // Chasm tiles bridged this level: [{ x, y, builtBy }]
+    itemVisibility: { mode: ITEM_VISIBILITY.HIDDEN, afterTurns: null }, // Set per level by loadNewMap
+    revealedItems: { player1: false, player2: false }, // Players who showed their partner their items
+    turnsThisLevel: 0, // Turns played since the level started (both players' turns count)
+    livesRemaining: RUN_LIVES, // Respawns left for the whole run, shared by both players
+    fallenPlayers: {}, // Dead players waiting to come back: { player1: { respawnAt } } (null once out of lives)
+    restartVotes: { player1: false, player2: false }, // Votes to restart the current level
+    downedPlayers: {}, // Players at 0 health waiting for help: { player1: { turnsLeft, reviveProgress } }
+    pendingGift: null, // Item offered to the partner, awaiting their answer: { from, to, slot, item, count }
+    // Level-specific objects will be initialized by loadNewMap
+    pickups: null, // Items lying on the map (the key is one): [{ id, x, y, item, count }]
+    fires: null,
+    doors: null,
+    pressurePlates: null,
+    trapDoors: null,
+    enemies: null, // Enemies and NPCs: [{ id, type, x, y, health, ... }] (see ENEMY_TYPES)
+    checkpoints: null, // [{ id, x, y, isActive }] - the active one is where fallen players respawn
+    crates: null, // [{ id, x, y, isSunk }] - a sunk crate fills the chasm it was pushed into
+    levers: null, // [{ id, x, y, isOn }]
+    gates: null, // [{ x, y, direction }] - one-way gates
+  };
+}
 
 // Function to find safe starting positions in the map
-function findSafeStartingPositions(dungeonLayout) {
-  const levelData = LEVELS[currentLevel];
-  const levelStartingPositions = levelData.startingPositions;
-
-  if (levelStartingPositions) {
-    return levelStartingPositions;
+// Players start on their level's spawn objects; one without a spawn on the map starts on a
+// floor tile instead
+function findSafeStartingPositions(room, dungeonLayout) {
+  const levelData = LEVELS[room.gameState.currentLevel];
+  const spawns = {};
+  for (const [playerId, spawn] of Object.entries(levelData.startingPositions || {})) {
+    const isOnMap =
+      spawn.y >= 0 &&
+      spawn.y < dungeonLayout.length &&
+      spawn.x >= 0 &&
+      spawn.x < dungeonLayout[spawn.y].length;
+    if (isOnMap) {
+      spawns[playerId] = { x: spawn.x, y: spawn.y };
+    } else {
+      console.warn(`⚠️  Ignoring ${playerId} spawn off the map at (${spawn.x}, ${spawn.y})`);
+    }
   }
 
   const safePositions = [];
 
-  // Find all floor tiles
+  // Find all floor tiles not taken by a spawn
   for (let y = 0; y < dungeonLayout.length; y++) {
     for (let x = 0; x < dungeonLayout[y].length; x++) {
-      if (dungeonLayout[y][x] === 0) {
+      const isSpawn = Object.values(spawns).some(spawn => spawn.x === x && spawn.y === y);
+      if (dungeonLayout[y][x] === 0 && !isSpawn) {
         // Floor tile
         safePositions.push({ x, y });
       }
     }
   }
 
+  let floorPositions;
   if (safePositions.length >= 2) {
     // Use first and last safe positions for maximum separation
-    const pos1 = safePositions[0];
-    const pos2 = safePositions[safePositions.length - 1];
-
-    return {
-      player1: pos1,
-      player2: pos2,
+    floorPositions = {
+      player1: safePositions[0],
+      player2: safePositions[safePositions.length - 1],
     };
   } else {
     // Fallback to corners if no safe positions found
     const width = dungeonLayout[0].length;
     const height = dungeonLayout.length;
-    return {
+    floorPositions = {
       player1: { x: 1, y: 1 },
       player2: { x: width - 2, y: height - 2 },
     };
   }
+
+  return {
+    player1: spawns.player1 || floorPositions.player1,
+    player2: spawns.player2 || floorPositions.player2,
+  };
 }
 
-// Function to update starting positions based on current map
-function updateStartingPositionsForMap(dungeonLayout) {
-  const newPositions = findSafeStartingPositions(dungeonLayout);
-  startingPositions = newPositions;
+// Function to update a room's starting positions based on its current map
+function updateStartingPositionsForMap(room, dungeonLayout) {
+  const newPositions = findSafeStartingPositions(room, dungeonLayout);
+  room.startingPositions = newPositions;
 
   console.log(
     `🎯 Updated starting positions: Player1(${newPositions.player1.x},${newPositions.player1.y}), Player2(${newPositions.player2.x},${newPositions.player2.y})`
   );
 }
 
-// Helper function to find an available player slot
-function findAvailablePlayerSlot() {
-  if (!gameState.players.player1) {
-    return 'player1';
-  } else if (!gameState.players.player2) {
-    return 'player2';
+// === ROOM MANAGEMENT ===
+// Each pair of players gets its own room: an isolated game state, level and set of timers.
+// Rooms are keyed by a short human-readable code (e.g. FIRE-4821) that players share with
+// their partner, and the code doubles as the Socket.IO room used for broadcasts.
+const rooms = new Map();
+
+// Requests that spend the active player's turn - refused while the enemies take theirs
+const TURN_ACTION_REQUESTS = new Set([
+  'moveRequest',
+  'useItemRequest',
+  'playerAttack',
+  'reviveRequest',
+  'giveItemRequest',
+  'undoRequest',
+  'endTurn',
+  'talkRequest',
+  'dialogueChoice',
+  'flipLeverRequest',
+]);
+
+// Room code format: WORD-NNNN, picked at random from enough codes that private rooms can't
+// be guessed
+const ROOM_CODE_WORDS = [
+  'FIRE',
+  'SLIME',
+  'KEY',
+  'DOOR',
+  'TORCH',
+  'SPIKE',
+  'ORC',
+  'SNAIL',
+  'CRYPT',
+  'EMBER',
+  'VAULT',
+  'STONE',
+  'BAT',
+  'BONE',
+  'SKULL',
+  'GOLD',
+  'LEVER',
+  'GATE',
+  'CRATE',
+  'CHASM',
+  'BRIDGE',
+  'RUNE',
+  'TOMB',
+  'WARDEN',
+  'ARCHER',
+  'SHIELD',
+  'SWORD',
+  'POTION',
+  'GEM',
+  'DRAGON',
+  'GOBLIN',
+  'ALTAR',
+];
+const ROOM_CODE_MIN_NUMBER = 1000;
+const ROOM_CODE_MAX_NUMBER = 9999;
+const ROOM_CODE_PATTERN = /^[A-Z]+-\d{4}$/;
+// Random codes tried before giving up, so a server with (nearly) every code in use can't hang
+const ROOM_CODE_MAX_ATTEMPTS = 50;
+const NO_FREE_ROOM_CODE_REASON = 'The server has no free rooms right now - try again later';
+
+// Sockets that have not picked a room yet sit in the lobby channel and receive room lifecycle events
+const LOBBY_CHANNEL = 'lobby';
+const MAX_PLAYERS_PER_ROOM = 2;
+const PLAYER_NAME_MAX_LENGTH = 16;
+
+// Session tokens let a player who dropped out of a running game reclaim their exact slot.
+// Tokens are HMAC-signed, so set SESSION_SECRET to keep them valid across server restarts.
+const SESSION_SECRET_BYTES = 32;
+const SESSION_ID_BYTES = 16;
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(SESSION_SECRET_BYTES).toString('hex');
+const SESSION_TOKEN_MAX_LENGTH = 512;
+const RECONNECT_GRACE_PERIOD_MS = 60000;
+
+// Retrying after a death
+const RUN_LIVES = 3; // Respawns the team gets for a whole run
+const RESPAWN_DELAY_MS = 5000;
+const PLAYER_MAX_HEALTH = 3;
+
+// Downed players and revives
+const DOWNED_TURNS = 3; // Turns a downed player holds on for before they die
+const REVIVE_ACTIONS = 2; // Actions the partner spends next to a downed player to get them up
+const REVIVE_HEALTH = 1;
+
+// Helper function to generate a room code that is not already in use (null if none was found)
+function generateRoomCode(registry = rooms) {
+  for (let attempt = 0; attempt < ROOM_CODE_MAX_ATTEMPTS; attempt++) {
+    const word = ROOM_CODE_WORDS[crypto.randomInt(ROOM_CODE_WORDS.length)];
+    const number = crypto.randomInt(ROOM_CODE_MIN_NUMBER, ROOM_CODE_MAX_NUMBER + 1);
+    const code = `${word}-${number}`;
+    if (!registry.has(code)) {
+      return code;
+    }
   }
-  return null; // No slots available
+  return null;
 }
 
-// Helper function to get connected player count
-function getConnectedPlayerCount() {
-  return Object.keys(gameState.players).length;
+// Helper function to normalize a room code typed by a player (null if malformed)
+function normalizeRoomCode(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const normalized = code.trim().toUpperCase();
+  return ROOM_CODE_PATTERN.test(normalized) ? normalized : null;
 }
 
-// Helper function to create customized game state for a specific player
-function createCustomizedGameState(playerId) {
-  try {
-    if (!playerId) {
-      console.error('❌ Error: createCustomizedGameState called with null/undefined playerId');
-      return gameState;
-    }
+// Helper function to clean up a display name typed by a player (fallback if empty or not a string)
+function sanitizePlayerName(name, fallback) {
+  if (typeof name !== 'string') {
+    return fallback;
+  }
+  const cleaned = name
+    .replace(/[^\w \-']/g, '')
+    .trim()
+    .slice(0, PLAYER_NAME_MAX_LENGTH);
+  return cleaned || fallback;
+}
 
-    const customizedState = {
-      ...gameState,
-      yourPlayerId: playerId,
-      yourItem: gameState.playerItems[playerId] || null,
-    };
+// Helper function to sign the payload part of a session token
+function signSessionPayload(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
 
-    // Remove debug logging for snail
+// Helper function to issue a session token for a player slot (replaces any earlier token for it)
+function issueSessionToken(room, playerId) {
+  const sessionId = crypto.randomBytes(SESSION_ID_BYTES).toString('hex');
+  room.sessions[playerId] = sessionId;
 
-    // Remove sensitive data (other player's items)
-    delete customizedState.playerItems;
-    return customizedState;
-  } catch (error) {
-    console.error('❌ Error in createCustomizedGameState:', error);
-    return gameState; // Fallback to basic game state
-  }
+  const payload = Buffer.from(JSON.stringify({ roomId: room.id, playerId, sessionId })).toString(
+    'base64url'
+  );
+  return `${payload}.${signSessionPayload(payload)}`;
 }
 
-// Helper function to broadcast customized game state to all connected players
-function broadcastCustomizedGameState() {
-  try {
-    if (!gameState.players || typeof gameState.players !== 'object') {
-      console.error('❌ Error: Invalid gameState.players in broadcastCustomizedGameState');
-      return;
-    }
-
-    let successfulBroadcasts = 0;
-    let failedBroadcasts = 0;
+// Helper function to check a session token's signature and read it (null if invalid or tampered)
+function verifySessionToken(token) {
+  if (typeof token !== 'string' || token.length > SESSION_TOKEN_MAX_LENGTH) {
+    return null;
+  }
 
-    for (const [playerId, player] of Object.entries(gameState.players)) {
-      try {
-        if (!player || !player.socketId) {
-          console.warn(`⚠️  Warning: Invalid player data for ${playerId}`);
-          failedBroadcasts++;
-          continue;
-        }
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
 
-        const socket = io.sockets.sockets.get(player.socketId);
-        if (socket && socket.connected) {
-          socket.emit('gameState', createCustomizedGameState(playerId));
-          successfulBroadcasts++;
-        } else {
-          console.warn(`⚠️  Warning: Socket not found or disconnected for ${playerId}`);
-          failedBroadcasts++;
-        }
-      } catch (playerError) {
-        console.error(`❌ Error broadcasting to ${playerId}:`, playerError);
-        failedBroadcasts++;
-      }
-    }
+  const expected = Buffer.from(signSessionPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
 
-    if (failedBroadcasts > 0) {
-      console.log(
-        `📡 Broadcast complete: ${successfulBroadcasts} successful, ${failedBroadcasts} failed`
-      );
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session || typeof session.roomId !== 'string' || typeof session.playerId !== 'string') {
+      return null;
     }
-  } catch (error) {
-    console.error('❌ Critical error in broadcastCustomizedGameState:', error);
+    return session;
+  } catch (parseError) {
+    return null;
   }
 }
 
-// Helper function to check adjacency between two positions
-function isAdjacent(pos1, pos2) {
-  const dx = Math.abs(pos1.x - pos2.x);
-  const dy = Math.abs(pos1.y - pos2.y);
-  return (dx === 1 && dy === 0) || (dx === 0 && dy === 1);
+// Helper function to build the invite link for a room from the requesting client's origin
+function buildInviteUrl(socket, roomId) {
+  const origin = socket.handshake.headers.origin;
+  return origin ? `${origin}/?room=${encodeURIComponent(roomId)}` : null;
 }
 
-// Helper function to check door win condition (both players at unlocked door)
-function checkDoorWinCondition() {
-  if (!gameState.door || !gameState.door.isUnlocked) {
+// Helper function to create a new room with Level 1 loaded
+// Private rooms can only be entered with their code; public rooms are also used for quick match
+// Returns null when no free room code could be found
+// registry: the map the room is kept in - the server's rooms unless the tests bring their own
+function createRoom({ isPrivate = false, registry = rooms } = {}) {
+  const roomId = generateRoomCode(registry);
+  if (!roomId) {
+    console.warn(`⚠️  No free room code found after ${ROOM_CODE_MAX_ATTEMPTS} attempts`);
+    return null;
+  }
+
+  const room = {
+    id: roomId,
+    isPrivate: isPrivate,
+    hostName: null, // Name of the player who opened the room, shown in the lobby browser
+    gameState: createInitialGameState(roomId),
+    // Player starting positions (will be updated based on map size)
+    startingPositions: {
+      player1: { x: 1, y: 8 }, // Player 1 new spawn: bottom-left
+      player2: { x: 10, y: 6 },
+    },
+    hotSeat: false, // One socket plays both slots on a shared keyboard
+    realtimeTickTimeout: null, // Next real-time world tick while the game runs, see startRealtimeTicks
+    spectators: new Set(), // Socket ids watching the game read-only
+    sessions: {}, // Current session id per player slot, see issueSessionToken
+    reconnectTimeout: null, // Grace period timer while a player's slot is held for them
+    timeouts: new Set(), // Pending delayed callbacks, cancelled when the room is destroyed
+    levelTimeouts: new Set(), // The ones loadNewMap cancels too, see setLevelTimeout
+    fallenPlayers: {}, // Dead players' slots (socket, name...) while they wait to respawn
+    undoSnapshots: [], // State before each of the active player's actions this turn, see saveUndoSnapshot
+    enemyPhasePending: false, // Between a turn switch and the enemies acting - turn actions wait
+    dialogues: {}, // NPC id -> its conversation on this level (see parseDialogue)
+    conversations: {}, // Player id -> { npcId, nodeId } while they talk to an NPC
+    quests: {}, // Quest name -> its state on this level, set by NPC conversations
+    createdAt: Date.now(),
+  };
+
+  registry.set(roomId, room);
+  loadNewMap(room, 'level1');
+
+  console.log(
+    `🏠 Created ${isPrivate ? 'private' : 'public'} room ${roomId} (${registry.size} active rooms)`
+  );
+  return room;
+}
+
+// Helper function to tear down a room and cancel everything it still has scheduled
+function destroyRoom(room, registry = rooms) {
+  releaseSpectators(room);
+  stopRealtimeTicks(room);
+  room.timeouts.forEach(handle => clearTimeout(handle));
+  room.timeouts.clear();
+  registry.delete(room.id);
+
+  console.log(`🧹 Destroyed ${room.id} (${registry.size} active rooms)`);
+  publishLobbyEvent(room, 'abandoned');
+}
+
+// Helper function to describe a room for the lobby browser (no game internals)
+function summarizeRoom(room) {
+  const { gameState } = room;
+  const level = LEVELS[gameState.currentLevel];
+  return {
+    roomCode: room.id,
+    hostName: room.hostName,
+    currentLevel: gameState.currentLevel,
+    levelName: level ? level.name : gameState.currentLevel,
+    createdAt: room.createdAt,
+    playerCount: Object.keys(gameState.players).length, // Slots held for reconnecting players are taken
+    spectatorCount: room.spectators.size,
+    maxPlayers: MAX_PLAYERS_PER_ROOM,
+    gameStarted: gameState.gameStarted,
+  };
+}
+
+// Helper function to list the public rooms shown in the lobby browser
+function listLobbyRooms() {
+  return [...rooms.values()].filter(room => !room.isPrivate).map(summarizeRoom);
+}
+
+// Helper function to tell lobby sockets that a public room changed
+// Event types: created, filled, started, finished, abandoned, updated (level change or freed slot)
+function publishLobbyEvent(room, type) {
+  if (room.isPrivate) {
+    return;
+  }
+  io.to(LOBBY_CHANNEL).emit('lobbyRoomEvent', { type, room: summarizeRoom(room) });
+}
+
+// Helper function to schedule a callback owned by a room (cleared on room teardown)
+function setRoomTimeout(room, callback, delay) {
+  const handle = setTimeout(() => {
+    room.timeouts.delete(handle);
+    callback();
+  }, delay);
+  room.timeouts.add(handle);
+  return handle;
+}
+
+// Helper function to cancel a callback scheduled with setRoomTimeout
+function clearRoomTimeout(room, handle) {
+  clearTimeout(handle);
+  room.timeouts.delete(handle);
+}
+
+// Helper function to schedule a callback that only makes sense on the current level (cancelled
+// when a level is loaded, as well as on room teardown)
+function setLevelTimeout(room, callback, delay) {
+  const handle = setRoomTimeout(
+    room,
+    () => {
+      room.levelTimeouts.delete(handle);
+      callback();
+    },
+    delay
+  );
+  room.levelTimeouts.add(handle);
+  return handle;
+}
+
+// Helper function to cancel every callback scheduled with setLevelTimeout
+function clearLevelTimeouts(room) {
+  room.levelTimeouts.forEach(handle => clearRoomTimeout(room, handle));
+  room.levelTimeouts.clear();
+}
+
+// Helper function to find a public room that still has a free player slot
+function findOpenRoom() {
+  for (const room of rooms.values()) {
+    if (!room.isPrivate && findAvailablePlayerSlot(room)) {
+      return room;
+    }
+  }
+  return null;
+}
+
+// Helper function to look up the room and player slot a socket is bound to
+function getSocketSession(socket) {
+  const { roomId, playerId, hotSeat } = socket.data;
+  const room = roomId ? rooms.get(roomId) : null;
+  if (room && hotSeat) {
+    // A hot-seat socket owns both slots and acts as whoever's turn it is
+    return { room, playerId: getHotSeatPlayerId(room) };
+  }
+  if (!room || !playerId) {
+    return null;
+  }
+  return { room, playerId };
+}
+
+// Helper function to get the slot a hot-seat room's keyboard currently controls
+function getHotSeatPlayerId(room) {
+  return room.gameState.currentPlayerTurn || 'player1';
+}
+
+// Helper function to send spectators back to the lobby when the room they watch closes
+function releaseSpectators(room) {
+  for (const socketId of room.spectators) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.leave(room.id);
+      socket.data = {};
+      socket.join(LOBBY_CHANNEL);
+      socket.emit('roomClosed', { roomCode: room.id });
+    }
+  }
+  room.spectators.clear();
+}
+
+// Helper function to send an event to every socket in a room
+function emitToRoom(room, eventName, data) {
+  io.to(room.id).emit(eventName, data);
+}
+
+// Helper function to send an event to a single player in a room
+function emitToPlayer(room, playerId, eventName, data) {
+  const player = room.gameState.players[playerId];
+  const socket = player ? io.sockets.sockets.get(player.socketId) : null;
+  if (socket) {
+    socket.emit(eventName, data);
+  }
+}
+
+// Helper function to send an event to everyone watching a room
+function emitToSpectators(room, eventName, data) {
+  for (const socketId of room.spectators) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.emit(eventName, data);
+    }
+  }
+}
+
+// Helper function to find an available player slot
+function findAvailablePlayerSlot(room) {
+  if (!room.gameState.players.player1) {
+    return 'player1';
+  } else if (!room.gameState.players.player2) {
+    return 'player2';
+  }
+  return null; // No slots available
+}
+
+// Helper function to get connected player count (players whose slot is held for reconnection don't count)
+function getConnectedPlayerCount(room) {
+  return Object.values(room.gameState.players).filter(player => player.connected).length;
+}
+
+// Helper function to count the connected players that are people (not the AI partner)
+function getHumanPlayerCount(room) {
+  return Object.values(room.gameState.players).filter(player => player.connected && !player.isBot)
+    .length;
+}
+
+// Helper function to create customized game state for a specific player
+function createCustomizedGameState(room, playerId) {
+  const { gameState } = room;
+  try {
+    if (!playerId) {
+      console.error('❌ Error: createCustomizedGameState called with null/undefined playerId');
+      return gameState;
+    }
+
+    const customizedState = {
+      ...gameState,
+      yourPlayerId: playerId,
+      yourInventory: gameState.inventories[playerId] || createEmptyInventory(),
+      partnerInventory: getVisiblePartnerInventory(gameState, playerId),
+      canUndo: gameState.currentPlayerTurn === playerId && room.undoSnapshots.length > 0,
+      keyItems: getKeyItems(gameState),
+      spectatorCount: room.spectators.size,
+      serverTime: Date.now(), // Lets clients turn the reconnect deadline into a countdown
+      isHotSeat: room.hotSeat,
+    };
+
+    // Remove sensitive data (other player's items)
+    delete customizedState.inventories;
+    return customizedState;
+  } catch (error) {
+    console.error('❌ Error in createCustomizedGameState:', error);
+    return gameState; // Fallback to basic game state
+  }
+}
+
+// Helper function to get the partner's inventory if this player may see it (null if hidden)
+function getVisiblePartnerInventory(gameState, playerId) {
+  const partnerId = playerId === 'player1' ? 'player2' : 'player1';
+  const { mode, afterTurns } = gameState.itemVisibility;
+  const visible =
+    mode === ITEM_VISIBILITY.VISIBLE ||
+    (mode === ITEM_VISIBILITY.AFTER_TURNS && gameState.turnsThisLevel >= afterTurns) ||
+    gameState.revealedItems[partnerId];
+  return visible ? gameState.inventories[partnerId] || null : null;
+}
+
+// Helper function to create the read-only view sent to spectators
+// Spectators cannot act, so they see both players' inventories
+function createSpectatorGameState(room) {
+  return {
+    ...room.gameState,
+    yourPlayerId: null,
+    yourInventory: null,
+    partnerInventory: null,
+    keyItems: getKeyItems(room.gameState),
+    isSpectator: true,
+    spectatorCount: room.spectators.size,
+    serverTime: Date.now(),
+  };
+}
+
+// Helper function to broadcast customized game state to all players in a room
+function broadcastCustomizedGameState(room) {
+  const { gameState } = room;
+  try {
+    if (!gameState.players || typeof gameState.players !== 'object') {
+      console.error('❌ Error: Invalid gameState.players in broadcastCustomizedGameState');
+      return;
+    }
+
+    let successfulBroadcasts = 0;
+    let failedBroadcasts = 0;
+
+    // Fallen players keep watching while they wait to respawn
+    const recipients = { ...gameState.players, ...room.fallenPlayers };
+    for (const [playerId, player] of Object.entries(recipients)) {
+      try {
+        if (player && (!player.connected || player.isBot)) {
+          continue; // Slot held for a disconnected player, or the AI partner (no socket)
+        }
+
+        if (room.hotSeat && playerId !== getHotSeatPlayerId(room)) {
+          continue; // The shared screen only shows the view of the player whose turn it is
+        }
+
+        if (!player || !player.socketId) {
+          console.warn(`⚠️  Warning: Invalid player data for ${playerId}`);
+          failedBroadcasts++;
+          continue;
+        }
+
+        const socket = io.sockets.sockets.get(player.socketId);
+        if (socket && socket.connected) {
+          socket.emit('gameState', createCustomizedGameState(room, playerId));
+          successfulBroadcasts++;
+        } else {
+          console.warn(`⚠️  Warning: Socket not found or disconnected for ${playerId}`);
+          failedBroadcasts++;
+        }
+      } catch (playerError) {
+        console.error(`❌ Error broadcasting to ${playerId}:`, playerError);
+        failedBroadcasts++;
+      }
+    }
+
+    emitToSpectators(room, 'gameState', createSpectatorGameState(room));
+
+    if (failedBroadcasts > 0) {
+      console.log(
+        `📡 [${room.id}] Broadcast complete: ${successfulBroadcasts} successful, ${failedBroadcasts} failed`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Critical error in broadcastCustomizedGameState:', error);
+  }
+}
+
+// Helper function to check adjacency between two positions
+function isAdjacent(pos1, pos2) {
+  const dx = Math.abs(pos1.x - pos2.x);
+  const dy = Math.abs(pos1.y - pos2.y);
+  return (dx === 1 && dy === 0) || (dx === 0 && dy === 1);
+}
+
+// Helper function to list the pressure plates (by index) wired to a door or trap door
+function getControllingPlates(actuator) {
+  return actuator.signal ? actuator.signal.plates : [];
+}
+
+// Helper function to list the wired actuators in the current level
+function getWiredActuators(gameState) {
+  const actuators = [];
+  for (const [objectKey, stateKey] of Object.entries(WIRED_ACTUATORS)) {
+    const objects = gameState[objectKey] || [];
+    objects.forEach((object, index) => {
+      if (object.signal) {
+        actuators.push({ objectKey, index, object, stateKey });
+      }
+    });
+  }
+  return actuators;
+}
+
+// Helper function to check whether one of a signal's plates or levers was just used
+// justPressed holds the indices of plates that went down with this move, justFlipped the levers
+function isSignalTriggered(signal, justPressed, justFlipped) {
+  return (
+    signal.plates.some(index => justPressed.has(index)) ||
+    signal.levers.some(index => justFlipped.has(index))
+  );
+}
+
+// Helper function to work out an actuator's state from its plates and levers
+function evaluateSignal(signal, gameState, isActive, justPressed, justFlipped) {
+  const pressed = [
+    ...signal.plates.map(index => gameState.pressurePlates[index].isPressed),
+    ...signal.levers.map(index => gameState.levers[index].isOn),
+  ];
+
+  switch (signal.logic) {
+    case SIGNAL_LOGIC.AND:
+      return pressed.length > 0 && pressed.every(Boolean);
+    case SIGNAL_LOGIC.TOGGLE:
+      return isSignalTriggered(signal, justPressed, justFlipped) ? !isActive : isActive;
+    case SIGNAL_LOGIC.LATCHED:
+      return isActive || pressed.some(Boolean);
+    case SIGNAL_LOGIC.TIMED:
+      return isActive || isSignalTriggered(signal, justPressed, justFlipped); // See tickTimedActuators
+    default:
+      return pressed.some(Boolean);
+  }
+}
+
+// Helper function to update every wired actuator from the plates and levers, returning the ones
+// that changed
+function updateWiredActuators(gameState, justPressed, justFlipped = new Set()) {
+  const changed = [];
+  for (const actuator of getWiredActuators(gameState)) {
+    const { object, stateKey } = actuator;
+    const { signal } = object;
+    const isActive = evaluateSignal(signal, gameState, object[stateKey], justPressed, justFlipped);
+
+    // Using a timed actuator's switch again winds its timer back up
+    if (
+      signal.logic === SIGNAL_LOGIC.TIMED &&
+      isSignalTriggered(signal, justPressed, justFlipped)
+    ) {
+      object.openTurnsLeft = signal.openTurns;
+    }
+
+    if (isActive !== object[stateKey]) {
+      object[stateKey] = isActive;
+      changed.push(actuator);
+    }
+  }
+  return changed;
+}
+
+// Helper function to press or release every pressure plate from the players and crates on it,
+// drive the wired actuators from them and tell the players which plates changed
+function updatePressurePlates(room) {
+  const { gameState } = room;
+  if (!gameState.pressurePlates) {
+    return;
+  }
+
+  const plateActivationMessages = [];
+  const justPressed = new Set(); // Plates that went down with this move
+
+  // Check each pressure plate
+  gameState.pressurePlates.forEach((plate, index) => {
+    const wasPressed = plate.isPressed;
+
+    // Check if any player or crate is currently on this pressure plate
+    const playersOnPlate = Object.values(gameState.players).filter(
+      p => p.x === plate.x && p.y === plate.y
+    );
+    const crateOnPlate = findCrateAt(gameState, plate.x, plate.y);
+
+    plate.isPressed = playersOnPlate.length > 0 || Boolean(crateOnPlate);
+
+    // If this plate's state changed, log it and prepare messages
+    if (wasPressed !== plate.isPressed) {
+      if (plate.isPressed && playersOnPlate.length === 0) {
+        justPressed.add(index);
+        console.log(`📦 PRESSURE PLATE ${index + 1} held down by ${crateOnPlate.id}`);
+        plateActivationMessages.push({
+          message: `📦 Pressure plate ${index + 1} held down by a crate!`,
+          isPressed: true,
+        });
+      } else if (plate.isPressed) {
+        justPressed.add(index);
+        const playerOnPlate = playersOnPlate[0];
+        const playerIds = Object.keys(gameState.players);
+        const playerName =
+          playerIds.indexOf(
+            playerOnPlate === gameState.players[playerIds[0]] ? playerIds[0] : playerIds[1]
+          ) === 0
+            ? 'Player 1'
+            : 'Player 2';
+        console.log(
+          `🔘 PRESSURE PLATE ${index + 1} ACTIVATED by ${playerName} at (${plate.x}, ${plate.y})`
+        );
+
+        plateActivationMessages.push({
+          message: `🔘 Pressure plate ${index + 1} activated by ${playerName}!`,
+          isPressed: true,
+        });
+      } else {
+        console.log(`⚪ PRESSURE PLATE ${index + 1} DEACTIVATED at (${plate.x}, ${plate.y})`);
+
+        plateActivationMessages.push({
+          message: `⚪ Pressure plate ${index + 1} deactivated`,
+          isPressed: false,
+        });
+      }
+    }
+  });
+
+  // === WIRED ACTUATORS ===
+  // Drive doors and trap doors from the plates the level wires them to
+  applyActuatorChanges(room, updateWiredActuators(gameState, justPressed));
+
+  // Send pressure plate activation messages
+  plateActivationMessages.forEach(msg => {
+    emitToRoom(room, 'pressurePlateMessage', msg);
+  });
+}
+
+// Helper function to apply what changed actuators do to the board and tell the players:
+// a trap door closing knocks down whoever stands on it, a weak point opening or closing is
+// announced, and so are the paths that are open now
+function applyActuatorChanges(room, changedActuators) {
+  const { gameState } = room;
+
+  changedActuators.forEach(({ objectKey, index, object }) => {
+    if (objectKey === 'enemies') {
+      const { label } = object.signal;
+      const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+      emitToRoom(room, 'enemyMessage', {
+        message: object.weakPointExposed
+          ? `🎯 ${capitalized} is exposed - attack now!`
+          : `🛡️ ${capitalized} is shielded again`,
+      });
+      return;
+    }
+
+    if (objectKey !== 'trapDoors') {
+      console.log(`🚪 ${object.signal.label} ${object.isUnlocked ? 'unlocked' : 'locked'}`);
+      return;
+    }
+
+    const trap = object;
+    if (trap.isOpen) {
+      console.log(
+        `🟢 TRAP ${index + 1} DISABLED (safe to pass) at (${trap.x}, ${trap.y}) - wired switches active`
+      );
+      return;
+    }
+
+    console.log(
+      `🔴 TRAP ${index + 1} ACTIVATED (blocks movement) at (${trap.x}, ${trap.y}) - wired switches inactive`
+    );
+
+    // Check for deaths on newly activated trap
+    const trapX = trap.x;
+    const trapY = trap.y;
+
+    // Check for player deaths
+    for (const deathPlayerId in gameState.players) {
+      const checkPlayer = gameState.players[deathPlayerId];
+      if (checkPlayer.x === trapX && checkPlayer.y === trapY) {
+        console.log(`Player ${deathPlayerId} fell through a trap!`);
+        downPlayer(room, deathPlayerId);
+      }
+    }
+
+    // Check for enemy deaths - flyers stay up, and NPCs are never caught out
+    if (gameState.enemies) {
+      gameState.enemies = gameState.enemies.filter(enemy => {
+        const { hostile, flying } = getEnemyType(enemy);
+        if (enemy.x === trapX && enemy.y === trapY && hostile && !flying) {
+          console.log(`${enemy.id} died on a trap!`);
+          clearUndoHistory(room, 'death');
+          return false; // Remove enemy from array
+        }
+        return true;
+      });
+    }
+  });
+
+  // Tell the players which paths are open now, using the labels from the level data
+  const isPath = ({ objectKey }) => objectKey !== 'enemies';
+  if (changedActuators.some(isPath)) {
+    const paths = getWiredActuators(gameState).filter(isPath);
+    emitToRoom(room, 'trapStateMessage', describeWiredPaths(paths));
+  }
+}
+
+// Helper function to count down the open actuators with timed logic, closing the ones whose
+// time is up (in the enemy phase after every turn)
+function tickTimedActuators(room) {
+  const closed = getWiredActuators(room.gameState).filter(({ object, stateKey }) => {
+    if (object.signal.logic !== SIGNAL_LOGIC.TIMED || !object[stateKey]) {
+      return false;
+    }
+    if (object.openTurnsLeft > 0) {
+      object.openTurnsLeft--;
+      return false;
+    }
+    object[stateKey] = false;
+    return true;
+  });
+  applyActuatorChanges(room, closed);
+}
+
+// Helper function to join labels for a message ("a", "a and b", "a, b and c")
+function joinLabels(labels) {
+  if (labels.length <= 1) {
+    return labels.join('');
+  }
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+// Helper function to describe which wired paths are open, using the labels from the level data
+// Actuators sharing a label (e.g. a two-tile trap door) count as one path, open only when all are
+function describeWiredPaths(actuators) {
+  const pathOpen = new Map();
+  for (const { object, stateKey } of actuators) {
+    const { label } = object.signal;
+    pathOpen.set(label, (pathOpen.has(label) ? pathOpen.get(label) : true) && object[stateKey]);
+  }
+
+  const openPaths = [...pathOpen.keys()].filter(label => pathOpen.get(label));
+  const blockedPaths = [...pathOpen.keys()].filter(label => !pathOpen.get(label));
+  const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+  if (blockedPaths.length === 0) {
+    return { message: '🟢 All paths unlocked!', isOpen: true };
+  }
+  if (openPaths.length === 0) {
+    const usesLevers = actuators.some(({ object }) => object.signal.levers.length > 0);
+    return {
+      message: `🔴 All paths blocked! Find the ${usesLevers ? 'switches' : 'pressure plates'}.`,
+      isOpen: false,
+    };
+  }
+  return {
+    message: `🟢 ${capitalize(joinLabels(openPaths))} unlocked! ${capitalize(joinLabels(blockedPaths))} still blocked.`,
+    isOpen: true,
+  };
+}
+
+// Helper function to find the door on a tile
+function findDoorAt(gameState, x, y) {
+  return (gameState.doors || []).find(door => door.x === x && door.y === y);
+}
+
+// Helper function to check whether a player carries the key for a door - doors wired to
+// pressure plates or levers are opened by those instead
+function canUnlockDoor(gameState, playerId, door) {
+  return !door.signal && hasItem(gameState, playerId, DOOR_KEYS[door.color]);
+}
+
+// Helper function to open a door with the key of its color, using the key up
+function unlockDoor(room, playerId, door) {
+  const { gameState } = room;
+  const key = DOOR_KEYS[door.color];
+  const inventory = gameState.inventories[playerId];
+  consumeInventorySlot(inventory, findItemSlot(inventory, key));
+  door.isUnlocked = true;
+  console.log(`Player ${playerId} unlocked ${door.id} with the ${key}`);
+  emitToRoom(room, 'doorMessage', {
+    message: `🔓 ${playerId === 'player1' ? 'Player 1' : 'Player 2'} unlocked the ${door.color} door!`,
+  });
+}
+
+// Helper function to remind a player at a locked door that they need its key, unless someone
+// already has it
+function remindDoorKey(room, playerId, door) {
+  const key = DOOR_KEYS[door.color];
+  if (Object.values(getKeyItems(room.gameState)).some(items => items.includes(key))) {
+    return;
+  }
+  console.log(`Player ${playerId} approached ${door.id} but needs the ${key} first`);
+  emitToPlayer(room, playerId, 'doorMessage', {
+    message: `🔒 You need the ${key.toLowerCase()} to unlock this door! Find it first.`,
+  });
+}
+
+// Helper function to unlock the doors next to a player that they carry the key for
+function unlockDoorsBeside(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+  const lockedDoors = (gameState.doors || []).filter(
+    door => isAdjacent(player, door) && !door.signal && !door.isUnlocked
+  );
+
+  for (const door of lockedDoors) {
+    if (canUnlockDoor(gameState, playerId, door)) {
+      unlockDoor(room, playerId, door);
+    } else {
+      remindDoorKey(room, playerId, door);
+    }
+  }
+}
+
+// Helper function to check door win condition (both players at an unlocked exit door)
+function checkDoorWinCondition(room) {
+  const { gameState } = room;
+  if (gameState.gameWon || gameState.levelTransition) {
+    return false; // Already won - the next level is on its way
+  }
+
+  const players = Object.values(gameState.players);
+  if (players.length < 2) {
     return false;
   }
 
-  const players = Object.values(gameState.players);
-  if (players.length < 2) {
-    return false;
+  // Check if both players are at an open exit - doors on the way out don't count
+  const bothAtDoor = players.every(player => {
+    const door = findDoorAt(gameState, player.x, player.y);
+    return door && door.isExit && door.isUnlocked;
+  });
+
+  if (bothAtDoor) {
+    console.log('🎉 Both players reached the door! Level completed!');
+    gameState.gameWon = true;
+    gameState.victoryTime = new Date().toISOString();
+
+    // Advance to next level after a brief delay
+    setRoomTimeout(
+      room,
+      () => {
+        advanceToNextLevel(room);
+      },
+      LEVEL_TRANSITION_DELAY_MS
+    );
+
+    // Broadcast victory state
+    broadcastCustomizedGameState(room);
+    return true;
+  }
+
+  return false;
+}
+
+// Helper function to check boss win condition (the level's boss is defeated)
+function checkBossWinCondition(room) {
+  const { gameState } = room;
+  if (gameState.gameWon || !gameState.gameStarted) {
+    return false; // Already won or game not started
+  }
+
+  const bossStanding = (gameState.enemies || []).some(enemy => getEnemyType(enemy).isBoss);
+  if (bossStanding) {
+    return false;
+  }
+
+  console.log('🎉 The boss is defeated! Level completed!');
+  gameState.gameWon = true;
+  gameState.victoryTime = new Date().toISOString();
+  emitToRoom(room, 'enemyMessage', { message: '🏆 The boss is defeated!' });
+
+  // Advance to next level after a brief delay
+  setRoomTimeout(
+    room,
+    () => {
+      advanceToNextLevel(room);
+    },
+    LEVEL_TRANSITION_DELAY_MS
+  );
+
+  // Broadcast victory state
+  broadcastCustomizedGameState(room);
+  return true;
+}
+
+// Helper function to create an empty inventory (a fixed list of slots so slot numbers stay put)
+function createEmptyInventory() {
+  return new Array(INVENTORY_SLOTS).fill(null);
+}
+
+// Helper function to find the slot holding an item (-1 if none)
+function findItemSlot(inventory, item) {
+  return inventory.findIndex(slot => slot && slot.item === item);
+}
+
+// Helper function to check whether a player carries an item
+function hasItem(gameState, playerId, item) {
+  const inventory = gameState.inventories[playerId];
+  return Boolean(inventory) && findItemSlot(inventory, item) !== -1;
+}
+
+// Helper function to add items to a player's inventory, stacking where the item allows
+// Returns how many did not fit
+function addItemToInventory(gameState, playerId, item, count = 1) {
+  const inventory = gameState.inventories[playerId];
+  const { maxStack } = ITEM_RULES[item];
+  let remaining = count;
+
+  // Top up existing stacks first, then fill empty slots
+  for (const slot of inventory) {
+    if (remaining > 0 && slot && slot.item === item && slot.count < maxStack) {
+      const added = Math.min(maxStack - slot.count, remaining);
+      slot.count += added;
+      remaining -= added;
+    }
+  }
+  for (let i = 0; i < inventory.length && remaining > 0; i++) {
+    if (!inventory[i]) {
+      inventory[i] = { item, count: Math.min(maxStack, remaining) };
+      remaining -= inventory[i].count;
+    }
+  }
+
+  return remaining;
+}
+
+// Helper function to check whether a whole stack fits in an inventory
+function canFitInInventory(inventory, item, count) {
+  const { maxStack } = ITEM_RULES[item];
+  const space = inventory.reduce((total, slot) => {
+    if (!slot) {
+      return total + maxStack;
+    }
+    return slot.item === item ? total + maxStack - slot.count : total;
+  }, 0);
+  return space >= count;
+}
+
+// Helper function to spend one item from an inventory slot
+function consumeInventorySlot(inventory, slotIndex) {
+  inventory[slotIndex].count--;
+  if (inventory[slotIndex].count <= 0) {
+    inventory[slotIndex] = null;
+  }
+}
+
+// Helper function to list the key items each player carries (public - everyone can see who has the key)
+function getKeyItems(gameState) {
+  const keyItems = {};
+  for (const [playerId, inventory] of Object.entries(gameState.inventories)) {
+    keyItems[playerId] = inventory
+      .filter(slot => slot && ITEM_RULES[slot.item].isKeyItem)
+      .map(slot => slot.item);
+  }
+  return keyItems;
+}
+
+// Helper function to hand out the level's starting items (loadNewMap empties the inventories)
+function grantStartingItems(room) {
+  const { gameState } = room;
+  const levelData = LEVELS[gameState.currentLevel];
+  const startingItems = levelData.startingItems;
+
+  for (const playerId of ['player1', 'player2']) {
+    if (startingItems) {
+      // Levels grant fixed items from their spawn points
+      for (const { item, count } of startingItems[playerId] || []) {
+        addItemToInventory(gameState, playerId, item, count);
+      }
+    } else {
+      // For other levels, assign a random usable item
+      const usableItems = Object.values(ITEM_TYPES).filter(item => ITEM_RULES[item].usable);
+      addItemToInventory(
+        gameState,
+        playerId,
+        usableItems[Math.floor(Math.random() * usableItems.length)]
+      );
+    }
+  }
+
+  const describe = inventory =>
+    inventory
+      .filter(Boolean)
+      .map(slot => `${slot.item} x${slot.count}`)
+      .join(', ') || 'NO ITEMS';
+  console.log(
+    `Items granted - Player1: ${describe(gameState.inventories.player1)}, Player2: ${describe(gameState.inventories.player2)}`
+  );
+}
+
+// Helper function to advance to next level after victory
+function advanceToNextLevel(room) {
+  const { gameState } = room;
+
+  // Determine what level we're currently on and what's next (levels play in LEVEL_MAP_FILES order)
+  const levelIds = Object.keys(LEVELS);
+  const levelNumber = levelIds.indexOf(gameState.currentLevel) + 1;
+  const nextLevel = levelIds[levelNumber];
+
+  if (nextLevel) {
+    // Completing this level → advance to the next one
+    console.log(`🚀 ADVANCING FROM LEVEL ${levelNumber} TO LEVEL ${levelNumber + 1}!`);
+
+    // Set transition state for level change
+    gameState.levelTransition = {
+      isTransitioning: true,
+      fromLevel: gameState.currentLevel,
+      toLevel: nextLevel,
+      transitionStartTime: Date.now(),
+      message: `Level ${levelNumber} Complete! Advancing to Level ${levelNumber + 1}...`,
+    };
+
+    // Broadcast transition state first
+    broadcastCustomizedGameState(room);
+
+    // After transition delay, load the next level
+    setRoomTimeout(
+      room,
+      () => {
+        // First load the new map which resets item usage
+        loadNewMap(room, nextLevel);
+
+        // Reset game state for new level
+        gameState.gameWon = false;
+        gameState.gameStarted = true; // Both players still connected
+        gameState.currentPlayerTurn = 'player1'; // Player 1 starts new level
+        gameState.actionsRemaining = 2; // Reset actions for new level
+        gameState.levelProgression = levelNumber + 1; // Update progression tracker
+        gameState.levelTransition = null; // Clear transition state
+
+        // Reset player positions to the new level's starting positions
+        if (gameState.players.player1) {
+          gameState.players.player1.x = room.startingPositions.player1.x;
+          gameState.players.player1.y = room.startingPositions.player1.y;
+        }
+        if (gameState.players.player2) {
+          gameState.players.player2.x = room.startingPositions.player2.x;
+          gameState.players.player2.y = room.startingPositions.player2.y;
+        }
+
+        // Assign new items for the new level
+        // loadNewMap emptied the inventories, so players start with just the new level's items
+        grantStartingItems(room);
+
+        console.log(`✨ Level ${levelNumber + 1} ready! Players reset to starting positions.`);
+        publishLobbyEvent(room, 'updated');
+
+        // Broadcast final new level state
+        broadcastCustomizedGameState(room);
+      },
+      3000 // 3 second transition screen
+    );
+  } else {
+    // Completing the last level → Game Complete! Show Easter Egg!
+    console.log('🏆 GAME COMPLETED! All levels mastered!');
+    console.log('🎉 Triggering Nyan Cat Easter Egg!');
+
+    // Set final victory state
+    gameState.gameCompleted = true;
+    gameState.finalVictoryTime = new Date().toISOString();
+    gameState.levelTransition = {
+      isTransitioning: true,
+      fromLevel: gameState.currentLevel,
+      toLevel: 'complete',
+      transitionStartTime: Date.now(),
+      message: 'Congratulations! You have completed Dungeon Escape Duo!',
+    };
+
+    // Broadcast final victory state
+    broadcastCustomizedGameState(room);
+
+    // After showing the transition message, trigger the easter egg
+    setRoomTimeout(
+      room,
+      () => {
+        gameState.levelTransition = null;
+
+        // Emit the easter egg event to all clients
+        emitToRoom(room, 'showEasterEgg');
+        console.log(`🐱 Emitted showEasterEgg event to all clients in ${room.id}`);
+
+        // Reset game state for potential replay
+        gameState.gameStarted = false;
+        gameState.currentPlayerTurn = null;
+        gameState.gameCompleted = false;
+
+        broadcastCustomizedGameState(room);
+        publishLobbyEvent(room, 'finished');
+      },
+      3000 // 3 second transition before easter egg
+    );
+  }
+}
+
+// Helper function to check if both players are on exit tiles (win condition)
+function checkWinCondition(room) {
+  const { gameState } = room;
+  const levelData = LEVELS[gameState.currentLevel];
+  const winCondition = levelData.winCondition;
+
+  if (winCondition === 'door') {
+    // Level 1 uses door-based win condition
+    return checkDoorWinCondition(room);
+  } else if (winCondition === 'boss') {
+    return checkBossWinCondition(room);
+  } else if (winCondition === 'exit') {
+    // Other levels use exit tile win condition
+    if (gameState.gameWon || !gameState.gameStarted) {
+      return false; // Already won or game not started
+    }
+
+    const player1 = gameState.players.player1;
+    const player2 = gameState.players.player2;
+
+    if (!player1 || !player2) {
+      return false; // Both players must be connected
+    }
+
+    // Check if both players are on exit tiles
+    const player1OnExit = gameState.dungeonLayout[player1.y][player1.x] === TILE_TYPES.EXIT;
+    const player2OnExit = gameState.dungeonLayout[player2.y][player2.x] === TILE_TYPES.EXIT;
+
+    if (player1OnExit && player2OnExit) {
+      gameState.gameWon = true;
+      gameState.victoryTime = new Date().toISOString();
+      console.log('🎉 VICTORY! Both players reached the exit!');
+
+      // Trigger level progression after a longer celebration period
+      setRoomTimeout(
+        room,
+        () => {
+          advanceToNextLevel(room);
+          // Broadcast new level to all clients
+          broadcastCustomizedGameState(room);
+        },
+        5000 // 5 second victory celebration before advancing
+      );
+
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Helper function to start the game when both players are connected
+function startGame(room) {
+  const { gameState } = room;
+  if (getConnectedPlayerCount(room) === 2 && !gameState.gameStarted) {
+    gameState.gameStarted = true;
+    gameState.currentPlayerTurn = 'player1'; // Player 1 starts first
+    gameState.actionsRemaining = 2; // Initialize actions remaining
+
+    // Hand out the level's starting items
+    grantStartingItems(room);
+
+    // Start the enemies and NPCs that act in real time
+    startRealtimeTicks(room);
+
+    console.log(`Game started in ${room.id}! Player 1's turn.`);
+    publishLobbyEvent(room, 'started');
+
+    // Emit gameStart event to each client with customized state
+    for (const playerId of Object.keys(gameState.players)) {
+      if (room.hotSeat && playerId !== getHotSeatPlayerId(room)) {
+        continue; // Don't reveal the other hot-seat player's item
+      }
+      emitToPlayer(room, playerId, 'gameStart', createCustomizedGameState(room, playerId));
+    }
+    emitToSpectators(room, 'gameStart', createSpectatorGameState(room));
+
+    // Broadcast game start to all players (customized for each)
+    broadcastCustomizedGameState(room);
+  }
+}
+
+// === ENEMIES AND NPCS ===
+// Every enemy or NPC lives in gameState.enemies and gets its stats and policies from its entry
+// in ENEMY_TYPES. When it acts comes from its type's tick (see WORLD TICKS below).
+
+function calculateDistance(pos1, pos2) {
+  return Math.max(Math.abs(pos1.x - pos2.x), Math.abs(pos1.y - pos2.y)); // Chebyshev distance (chess king movement)
+}
+
+// Helper function to look up an enemy's type definition
+function getEnemyType(enemy) {
+  return ENEMY_TYPES[enemy.type];
+}
+
+// Helper function to get an enemy's stats with its current phase's overrides applied
+function getEnemyStats(enemy) {
+  const type = getEnemyType(enemy);
+  return type.phases ? { ...type, ...type.phases[enemy.phase] } : type;
+}
+
+// Helper function to check whether a tile is part of an enemy's footprint
+function isOnEnemy(enemy, x, y) {
+  return x >= enemy.x && x < enemy.x + enemy.width && y >= enemy.y && y < enemy.y + enemy.height;
+}
+
+// Helper function to count the steps from a tile to the nearest tile of an enemy's footprint
+// (1 means adjacent, diagonals don't count)
+function getDistanceToEnemy(enemy, { x, y }) {
+  const dx = Math.max(enemy.x - x, 0, x - (enemy.x + enemy.width - 1));
+  const dy = Math.max(enemy.y - y, 0, y - (enemy.y + enemy.height - 1));
+  return dx + dy;
+}
+
+// Helper function to check whether an enemy can be hurt right now - a wired weak point has to be
+// exposed by its pressure plates first
+function isEnemyVulnerable(enemy) {
+  return !enemy.signal || enemy.weakPointExposed;
+}
+
+// Helper function to find a hostile enemy on a tile (null if none)
+function findHostileEnemyAt(gameState, x, y) {
+  return (
+    (gameState.enemies || []).find(
+      enemy => isOnEnemy(enemy, x, y) && getEnemyType(enemy).hostile
+    ) || null
+  );
+}
+
+// Helper function to check whether an enemy may step onto a tile
+// Mirrors the player move rules (flyers cross chasms and fire), and keeps walkers off closed
+// trap doors (they'd fall in)
+function isEnemyWalkable(room, enemy, x, y) {
+  const { gameState } = room;
+  const { flying } = getEnemyType(enemy);
+
+  if (x < 0 || x >= gameState.gridWidth || y < 0 || y >= gameState.gridHeight) {
+    return false;
+  }
+
+  const tile = gameState.dungeonLayout[y][x];
+  const isGate = (gameState.gates || []).some(gate => gate.x === x && gate.y === y);
+  const door = findDoorAt(gameState, x, y);
+  const isLockedDoor = Boolean(door) && !door.isUnlocked;
+  if (tile === TILE_TYPES.WALL || findCrateAt(gameState, x, y) || isGate || isLockedDoor) {
+    return false; // Crates are too tall to fly over, and gates and locked doors only open for players
+  }
+  if (flying) {
+    return true;
+  }
+  if (tile === TILE_TYPES.FIRE_HAZARD || tile === TILE_TYPES.CHASM) {
+    return false;
+  }
+
+  if (findUndousedFire(gameState, x, y)) {
+    return false;
+  }
+
+  return !(gameState.trapDoors || []).some(trap => trap.x === x && trap.y === y && !trap.isOpen);
+}
+
+// Helper function to check whether a tile holds a player or another enemy
+function isOccupiedForEnemy(room, enemy, x, y) {
+  const { gameState } = room;
+  return (
+    Object.values(gameState.players).some(player => player.x === x && player.y === y) ||
+    (gameState.enemies || []).some(other => other !== enemy && isOnEnemy(other, x, y))
+  );
+}
+
+// Helper function to find the shortest path between two tiles (A* with a Manhattan heuristic)
+// Returns the tiles to step on, excluding the start, or null when the goal is unreachable.
+// The goal only has to be on the grid, so a path can end on a player.
+function findGridPath(room, start, goal, isPassable) {
+  const { gameState } = room;
+  const keyOf = ({ x, y }) => `${x},${y}`;
+  const estimate = ({ x, y }) => Math.abs(x - goal.x) + Math.abs(y - goal.y);
+
+  const costs = new Map([[keyOf(start), 0]]);
+  const previous = new Map([[keyOf(start), null]]);
+  const open = [{ x: start.x, y: start.y, score: estimate(start) }];
+
+  while (open.length > 0) {
+    // The open list stays small on these maps, so a sorted array does instead of a heap
+    open.sort((a, b) => a.score - b.score);
+    const current = open.shift();
+
+    if (current.x === goal.x && current.y === goal.y) {
+      const path = [];
+      for (let step = current; step; step = previous.get(keyOf(step))) {
+        path.unshift({ x: step.x, y: step.y });
+      }
+      return path.slice(1);
+    }
+
+    for (const delta of Object.values(DIRECTION_DELTAS)) {
+      const next = { x: current.x + delta.x, y: current.y + delta.y };
+      const isGoal = next.x === goal.x && next.y === goal.y;
+      const onGrid =
+        next.x >= 0 && next.x < gameState.gridWidth && next.y >= 0 && next.y < gameState.gridHeight;
+      if (!onGrid || (!isGoal && !isPassable(next.x, next.y))) {
+        continue;
+      }
+
+      const cost = costs.get(keyOf(current)) + 1;
+      if (cost < (costs.get(keyOf(next)) ?? Infinity)) {
+        costs.set(keyOf(next), cost);
+        previous.set(keyOf(next), current);
+        open.push({ ...next, score: cost + estimate(next) });
+      }
+    }
+  }
+
+  return null;
+}
+
+// Helper function to find an enemy's path to a tile
+// Routes around other enemies when it can, otherwise queues up behind them
+function findEnemyPath(room, enemy, goal) {
+  const clearPath = findGridPath(
+    room,
+    enemy,
+    goal,
+    (x, y) => isEnemyWalkable(room, enemy, x, y) && !isOccupiedForEnemy(room, enemy, x, y)
+  );
+  return clearPath || findGridPath(room, enemy, goal, (x, y) => isEnemyWalkable(room, enemy, x, y));
+}
+
+// Helper function to find the player an enemy can reach fastest (null if none)
+function findClosestReachablePlayer(room, enemy, players) {
+  let closestPlayer = null;
+  let closestPathLength = Infinity;
+  players.forEach(player => {
+    const path = findEnemyPath(room, enemy, player);
+    if (path && path.length < closestPathLength) {
+      closestPlayer = player;
+      closestPathLength = path.length;
+    }
+  });
+  return closestPlayer;
+}
+
+// Helper function to decide which tile a pathfinding enemy heads for this turn (null to stay put)
+function chooseEnemyGoal(room, enemy) {
+  const players = Object.values(room.gameState.players);
+  const playersNear = (position, range) =>
+    players.filter(player => calculateDistance(position, player) <= range);
+
+  // Shaking off a stun: back away from whoever is closest
+  if (enemy.recoveryTurns > 0) {
+    return findFleeTile(room, enemy, players);
+  }
+
+  if (enemy.behavior === ENEMY_BEHAVIORS.GUARD) {
+    // Chase intruders near the post, then go back to it
+    const intruders = playersNear(enemy.post, enemy.guardRange);
+    return findClosestReachablePlayer(room, enemy, intruders) || enemy.post;
+  }
+
+  const { activationRange } = getEnemyType(enemy);
+  const prey = findClosestReachablePlayer(room, enemy, playersNear(enemy, activationRange));
+  if (prey) {
+    return prey;
+  }
+
+  if (enemy.behavior === ENEMY_BEHAVIORS.PATROL && enemy.route.length > 0) {
+    // Move on to the next route tile once this one is reached
+    const waypoint = enemy.route[enemy.routeIndex];
+    if (enemy.x === waypoint.x && enemy.y === waypoint.y) {
+      enemy.routeIndex = (enemy.routeIndex + 1) % enemy.route.length;
+    }
+    return enemy.route[enemy.routeIndex];
+  }
+
+  return null; // Chasers stay dormant until someone comes close
+}
+
+// Helper function to pick the free neighbouring tile furthest from the players (null if none)
+function findFleeTile(room, enemy, players) {
+  if (players.length === 0) {
+    return null;
+  }
+
+  const distanceToPlayers = position =>
+    Math.min(...players.map(player => calculateDistance(position, player)));
+  let bestTile = null;
+  let bestDistance = distanceToPlayers(enemy);
+  Object.values(DIRECTION_DELTAS).forEach(delta => {
+    const tile = { x: enemy.x + delta.x, y: enemy.y + delta.y };
+    if (
+      !isEnemyWalkable(room, enemy, tile.x, tile.y) ||
+      isOccupiedForEnemy(room, enemy, tile.x, tile.y)
+    ) {
+      return;
+    }
+    const distance = distanceToPlayers(tile);
+    if (distance > bestDistance) {
+      bestTile = tile;
+      bestDistance = distance;
+    }
+  });
+  return bestTile;
+}
+
+// Helper function to move an enemy one step along its path to a goal
+function moveEnemyToward(room, enemy, goal) {
+  const path = findEnemyPath(room, enemy, goal);
+  if (!path || path.length === 0) {
+    return false; // Unreachable, or already there
+  }
+
+  const next = path[0];
+  if (isOccupiedForEnemy(room, enemy, next.x, next.y)) {
+    return false; // Waiting for a player or another enemy to clear the way
+  }
+
+  // Store direction for sprite flipping
+  enemy.lastMoveDirection = Object.keys(DIRECTION_DELTAS).find(
+    name =>
+      enemy.x + DIRECTION_DELTAS[name].x === next.x && enemy.y + DIRECTION_DELTAS[name].y === next.y
+  );
+  enemy.x = next.x;
+  enemy.y = next.y;
+  console.log(`🟢 ${enemy.id} moved to (${next.x}, ${next.y}) facing ${enemy.lastMoveDirection}`);
+  return true;
+}
+
+// Movement policies (the movement field of an enemy type)
+const ENEMY_MOVEMENT_POLICIES = {
+  // Chase, patrol or guard along A* paths (see ENEMY_BEHAVIORS)
+  [ENEMY_MOVEMENT.PATHFIND]: (room, enemy) => {
+    const goal = chooseEnemyGoal(room, enemy);
+    return goal ? moveEnemyToward(room, enemy, goal) : false;
+  },
+  // Walk back and forth along a row, up to moveRange tiles left of the starting tile
+  [ENEMY_MOVEMENT.PACE]: (room, enemy) => {
+    const { gameState } = room;
+    const newX = enemy.x + enemy.direction;
+    const leftBound = enemy.startX - enemy.moveRange;
+    const rightBound = enemy.startX + 1; // Allow the enemy to reach startX again
+
+    if (
+      newX <= leftBound ||
+      newX >= rightBound ||
+      newX < 0 ||
+      newX >= gameState.gridWidth ||
+      (gameState.dungeonLayout[enemy.y] &&
+        gameState.dungeonLayout[enemy.y][newX] === TILE_TYPES.WALL) ||
+      findCrateAt(gameState, newX, enemy.y)
+    ) {
+      enemy.direction *= -1; // Turn around
+      return false;
+    }
+    enemy.x = newX;
+    return true;
+  },
+  [ENEMY_MOVEMENT.STATIONARY]: () => false,
+};
+
+// Helper function to check whether a tile stops shots and slams: walls, crates and locked doors
+function blocksLineOfSight(gameState, x, y) {
+  const tile = gameState.dungeonLayout[y] && gameState.dungeonLayout[y][x];
+  const door = findDoorAt(gameState, x, y);
+  return (
+    tile === undefined ||
+    tile === TILE_TYPES.WALL ||
+    Boolean(findCrateAt(gameState, x, y)) ||
+    (Boolean(door) && !door.isUnlocked)
+  );
+}
+
+// Helper function to list the tiles an enemy can shoot along: one lane per direction, up to
+// its activation range and stopping at the first wall, crate or locked door
+function findLinesOfFire(gameState, enemy) {
+  const { activationRange } = getEnemyType(enemy);
+  return Object.values(DIRECTION_DELTAS)
+    .map(delta => {
+      const lane = [];
+      for (let step = 1; step <= activationRange; step++) {
+        const x = enemy.x + delta.x * step;
+        const y = enemy.y + delta.y * step;
+        if (blocksLineOfSight(gameState, x, y)) {
+          break;
+        }
+        lane.push({ x, y });
+      }
+      return lane;
+    })
+    .filter(lane => lane.length > 0);
+}
+
+// Helper function to list the open tiles within reach of an enemy's footprint
+function findTilesInReach(gameState, enemy, reach) {
+  const tiles = [];
+  for (let y = enemy.y - reach; y < enemy.y + enemy.height + reach; y++) {
+    for (let x = enemy.x - reach; x < enemy.x + enemy.width + reach; x++) {
+      const distance = getDistanceToEnemy(enemy, { x, y });
+      if (distance >= 1 && distance <= reach && !blocksLineOfSight(gameState, x, y)) {
+        tiles.push({ x, y });
+      }
+    }
+  }
+  return tiles;
+}
+
+// Helper function to find the player standing on a tile (null if none)
+function findPlayerAt(gameState, { x, y }) {
+  return Object.values(gameState.players).find(player => player.x === x && player.y === y) || null;
+}
+
+// Helper function to check whether a ranged enemy will fire across a tile next enemy phase
+function isTileAimedAt(gameState, x, y) {
+  return (gameState.enemies || []).some(
+    enemy =>
+      enemy.aimedLanes && enemy.aimedLanes.some(lane => lane.some(t => t.x === x && t.y === y))
+  );
+}
+
+// Helper function to fire a ranged enemy's shots along the lanes it aimed at last enemy phase
+// Each shot hits the first player in its lane - anyone who stepped out of the lanes is safe, and
+// so is anyone behind a crate pushed (or a door locked) into the lane since the enemy took aim
+function fireAimedLanes(room, enemy) {
+  const { gameState } = room;
+  const lanes = enemy.aimedLanes;
+  enemy.aimedLanes = null;
+
+  lanes.forEach(aimedLane => {
+    const blockedAt = aimedLane.findIndex(tile => blocksLineOfSight(gameState, tile.x, tile.y));
+    const lane = blockedAt === -1 ? aimedLane : aimedLane.slice(0, blockedAt);
+    if (lane.length === 0) {
+      return; // Blocked right in front of the shooter
+    }
+    const victim = lane.map(tile => findPlayerAt(gameState, tile)).find(Boolean);
+    const target = victim ? { x: victim.x, y: victim.y } : lane[lane.length - 1];
+    emitToRoom(room, 'enemyShot', {
+      enemyId: enemy.id,
+      from: { x: enemy.x, y: enemy.y },
+      to: target,
+    });
+    if (victim) {
+      hitPlayer(room, enemy, victim);
+    }
+  });
+}
+
+// Attack patterns (the attack field of an enemy type) - each returns true if it attacked
+const ENEMY_ATTACK_PATTERNS = {
+  // Hit one adjacent player
+  [ENEMY_ATTACKS.MELEE]: (room, enemy) => {
+    const { gameState } = room;
+    const victim = Object.values(gameState.players).find(
+      player => getDistanceToEnemy(enemy, player) === 1
+    );
+    if (!victim) {
+      return false;
+    }
+    hitPlayer(room, enemy, victim);
+    return true;
+  },
+  // Fire along last phase's aimed lanes, or take aim at the player whose turn is starting.
+  // Aiming is telegraphed to the clients, so that player gets their turn to step aside.
+  [ENEMY_ATTACKS.RANGED]: (room, enemy) => {
+    const { gameState } = room;
+    if (enemy.aimedLanes) {
+      fireAimedLanes(room, enemy);
+      return true;
+    }
+
+    const target = gameState.players[gameState.currentPlayerTurn];
+    const lanes = findLinesOfFire(gameState, enemy).filter(
+      lane => target && lane.some(tile => tile.x === target.x && tile.y === target.y)
+    );
+    if (lanes.length === 0) {
+      return false;
+    }
+    enemy.aimedLanes = lanes;
+    console.log(`🏹 ${enemy.id} takes aim along ${lanes.length} lane(s)`);
+    const { icon, name } = getEnemyType(enemy);
+    emitToRoom(room, 'enemyMessage', {
+      message: `${icon} ${name} takes aim - get off the marked tiles!`,
+    });
+    return true;
+  },
+  // Slam everything within reach: marked when the player whose turn is starting comes within
+  // reach, and it lands on whoever is still in the area next enemy phase
+  [ENEMY_ATTACKS.SLAM]: (room, enemy) => {
+    const { gameState } = room;
+    if (enemy.aimedLanes) {
+      const area = enemy.aimedLanes.flat();
+      enemy.aimedLanes = null;
+      emitToRoom(room, 'enemySlam', { enemyId: enemy.id, tiles: area });
+      area
+        .map(tile => findPlayerAt(gameState, tile))
+        .filter(Boolean)
+        .forEach(victim => hitPlayer(room, enemy, victim));
+      return true;
+    }
+
+    const { activationRange, icon, name } = getEnemyStats(enemy);
+    const target = gameState.players[gameState.currentPlayerTurn];
+    if (!target || getDistanceToEnemy(enemy, target) > activationRange) {
+      return false;
+    }
+    enemy.aimedLanes = [findTilesInReach(gameState, enemy, activationRange)];
+    console.log(`👊 ${enemy.id} winds up a slam (reach ${activationRange})`);
+    emitToRoom(room, 'enemyMessage', {
+      message: `${icon} The ${name} raises its fists - get off the marked tiles!`,
+    });
+    return true;
+  },
+};
+
+// Helper function to deal an enemy's damage to a player and play the attack on the clients
+function hitPlayer(room, enemy, player) {
+  const { damage, name } = getEnemyStats(enemy);
+  player.health -= damage;
+  clearUndoHistory(room, 'enemy attack');
+  console.log(
+    `🔴 ${name.toUpperCase()} ATTACK: ${enemy.id} hit ${player.id}! Health is now ${player.health}`
+  );
+
+  // Face the victim: left or right, keeping the last move direction for vertical attacks
+  let attackDirection = enemy.lastMoveDirection || 'right';
+  if (player.x < enemy.x) {
+    attackDirection = 'left';
+  } else if (player.x > enemy.x) {
+    attackDirection = 'right';
+  }
+
+  // Notify clients to play animation with direction
+  emitToRoom(room, 'playAttackAnimation', {
+    attackerId: enemy.id,
+    victimId: player.id,
+    direction: attackDirection,
+  });
+
+  // Knock the player down - or finish them off if they already are
+  if (player.health <= 0) {
+    console.log(`💀 Player ${player.id} has been defeated!`);
+    downPlayer(room, player.id);
+  }
+}
+
+// Helper function to move an enemy with phases into the phase its remaining health calls for
+function updateEnemyPhase(room, enemy) {
+  const { phases, icon, name } = getEnemyType(enemy);
+  if (!phases) {
+    return;
+  }
+
+  const healthFraction = enemy.health / enemy.maxHealth;
+  const phase = phases.reduce(
+    (current, candidate, index) => (candidate.healthFraction >= healthFraction ? index : current),
+    0
+  );
+  if (phase !== enemy.phase) {
+    enemy.phase = phase;
+    enemy.phaseName = phases[phase].label;
+    console.log(`👹 ${enemy.id} enters its ${enemy.phaseName} phase`);
+    emitToRoom(room, 'enemyMessage', { message: `${icon} The ${name} is ${enemy.phaseName}!` });
+  }
+}
+
+// Helper function to let every enemy and NPC on one of the given ticks attack or move once
+function updateEnemies(room, ticks) {
+  const { gameState } = room;
+  const actors = (gameState.enemies || []).filter(
+    enemy => ticks.includes(getEnemyType(enemy).tick) && !enemy.hasMoved
+  );
+  if (actors.length === 0) {
+    return;
+  }
+
+  console.log(`🟢 Updating enemies (${ticks.join(', ')})...`);
+  // NPCs stay put while someone talks to them
+  const talking = new Set(Object.values(room.conversations).map(({ npcId }) => npcId));
+
+  actors.forEach(enemy => {
+    const type = getEnemyType(enemy);
+    if (talking.has(enemy.id)) {
+      return;
+    }
+
+    // Handle stun duration
+    if (enemy.isStunned && enemy.stunDuration > 0) {
+      enemy.stunDuration--;
+      console.log(`🟢 ${enemy.id} stunned for ${enemy.stunDuration} more turns`);
+
+      if (enemy.stunDuration <= 0) {
+        enemy.isStunned = false;
+        enemy.recoveryTurns = STUN_RECOVERY_TURNS;
+        console.log(`🟢 ${enemy.id} is no longer stunned and backs off`);
+      }
+      return; // Skip movement when stunned
+    }
+
+    // Attacks take priority over movement - a recovering enemy keeps its distance instead
+    const attack = enemy.recoveryTurns > 0 ? null : ENEMY_ATTACK_PATTERNS[type.attack];
+    if (!attack || !attack(room, enemy)) {
+      if (!ENEMY_MOVEMENT_POLICIES[type.movement](room, enemy)) {
+        console.log(`🟢 ${enemy.id} stays put`);
+      }
+      if (enemy.recoveryTurns > 0) {
+        enemy.recoveryTurns--;
+      }
+    }
+    // Real-time actors act on every tick, the others once per enemy phase
+    enemy.hasMoved = type.tick !== WORLD_TICKS.REALTIME;
+  });
+
+  // After all enemies have acted, broadcast the updated state
+  broadcastCustomizedGameState(room);
+}
+
+// === WORLD TICKS ===
+// Every enemy and NPC type declares when it acts (its tick, see WORLD_TICKS): per turn and per
+// round ones in the enemy phase after a turn switch, real-time ones on the room's real-time
+// ticker. The timers are the room's own: the ticker stops while a player is disconnected, level
+// timers are cancelled when a level loads, and all of them when the room is torn down.
+
+// Helper function to let the world act after a turn switch - timed doors count down, and every
+// second turn ends a round
+function runEnemyPhase(room) {
+  const { gameState } = room;
+  tickTimedActuators(room);
+  const ticks = [WORLD_TICKS.TURN];
+  if (gameState.turnsThisLevel % 2 === 0) {
+    ticks.push(WORLD_TICKS.ROUND);
+  }
+  updateEnemies(room, ticks);
+}
+
+// Helper function to start (or restart) the room's real-time ticker
+function startRealtimeTicks(room) {
+  stopRealtimeTicks(room);
+  room.realtimeTickTimeout = setRoomTimeout(
+    room,
+    () => {
+      room.realtimeTickTimeout = null;
+      if (room.gameState.gameStarted) {
+        updateEnemies(room, [WORLD_TICKS.REALTIME]);
+      }
+      startRealtimeTicks(room);
+    },
+    REALTIME_TICK_MS
+  );
+}
+
+// Helper function to stop the room's real-time ticker
+function stopRealtimeTicks(room) {
+  if (room.realtimeTickTimeout) {
+    clearRoomTimeout(room, room.realtimeTickTimeout);
+    room.realtimeTickTimeout = null;
+  }
+}
+
+// === NPC CONVERSATIONS ===
+// Players next to an NPC with a dialogue can talk to it on their turn. Talking costs no action;
+// options can trade items and move the NPC's quest on (room.quests), which picks where the
+// next conversation with it starts
+
+// Handle talk requests
+// data: { npcId }
+function handleTalkRequest(room, playerId, data) {
+  const { gameState } = room;
+
+  // Validate input data
+  if (!data || typeof data !== 'object' || typeof data.npcId !== 'string') {
+    console.warn(`⚠️  Invalid talkRequest data from ${playerId}:`, data);
+    return;
+  }
+
+  if (!gameState.gameStarted || gameState.gameWon) {
+    console.log(`Talk rejected: Game not in progress`);
+    return;
+  }
+
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(`Talk rejected: Not ${playerId}'s turn`);
+    return;
+  }
+
+  const npc = (gameState.enemies || []).find(enemy => enemy.id === data.npcId);
+  const dialogue = room.dialogues[data.npcId];
+  if (!npc || !dialogue) {
+    console.log(`Talk rejected: ${data.npcId} has nothing to say`);
+    return;
+  }
+
+  if (getDistanceToEnemy(npc, gameState.players[playerId]) !== 1) {
+    emitToPlayer(room, playerId, 'enemyMessage', {
+      message: `💬 Stand next to the ${npc.name} to talk to it.`,
+    });
+    return;
+  }
+
+  // Pick up where the quest left off
+  const questState = dialogue.quest && room.quests[dialogue.quest];
+  const nodeId = questState && dialogue.nodes[questState] ? questState : 'start';
+  console.log(`💬 ${playerId} talks to ${npc.id} (${nodeId})`);
+  showDialogueNode(room, playerId, npc, nodeId);
+}
+
+// Handle a player's answer in a conversation
+// data: { option } - index into the current node's options
+function handleDialogueChoice(room, playerId, data) {
+  const { gameState } = room;
+  const conversation = room.conversations[playerId];
+
+  // Validate input data
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.option)) {
+    console.warn(`⚠️  Invalid dialogueChoice data from ${playerId}:`, data);
+    return;
+  }
+
+  if (!conversation) {
+    console.log(`Dialogue choice ignored: ${playerId} isn't talking to anyone`);
+    return;
+  }
+
+  const npc = (gameState.enemies || []).find(enemy => enemy.id === conversation.npcId);
+  const dialogue = room.dialogues[conversation.npcId];
+  const option = dialogue.nodes[conversation.nodeId].options[data.option];
+  if (!npc || !option || !isDialogueOptionAvailable(gameState, playerId, option)) {
+    console.log(`Dialogue choice rejected: option ${data.option} isn't available to ${playerId}`);
+    return;
+  }
+
+  // Walking off ends the conversation
+  if (getDistanceToEnemy(npc, gameState.players[playerId]) !== 1) {
+    endConversation(room, playerId);
+    return;
+  }
+
+  if (option.take || option.give) {
+    // Make sure the trade fits before taking anything
+    const inventory = gameState.inventories[playerId];
+    const afterTake = inventory.map(slot => slot && { ...slot });
+    if (option.take) {
+      consumeInventorySlot(afterTake, findItemSlot(afterTake, option.take));
+    }
+    if (option.give && !canFitInInventory(afterTake, option.give, option.count || 1)) {
+      emitToPlayer(room, playerId, 'enemyMessage', {
+        message: `🎒 Make room in your inventory for the ${option.give} first.`,
+      });
+      return;
+    }
+
+    if (option.take) {
+      consumeInventorySlot(inventory, findItemSlot(inventory, option.take));
+      console.log(`💬 ${npc.id} took ${option.take} from ${playerId}`);
+    }
+    if (option.give) {
+      addItemToInventory(gameState, playerId, option.give, option.count || 1);
+      console.log(`💬 ${npc.id} gave ${option.count || 1} ${option.give} to ${playerId}`);
+      emitToPlayer(room, playerId, 'pickupMessage', {
+        message: `🎒 The ${npc.name} gave you ${option.count > 1 ? `${option.count}x ` : ''}${option.give}!`,
+      });
+    }
+    clearUndoHistory(room, 'traded with an NPC'); // The NPC won't give it back
+  }
+
+  if (option.quest && dialogue.quest) {
+    room.quests[dialogue.quest] = option.quest;
+    console.log(`📜 [${room.id}] Quest ${dialogue.quest} is now ${option.quest}`);
+  }
+
+  if (option.next) {
+    showDialogueNode(room, playerId, npc, option.next);
+  } else {
+    endConversation(room, playerId);
+  }
+
+  if (option.take || option.give) {
+    broadcastCustomizedGameState(room);
+  }
+}
+
+// Handle a player walking away from a conversation
+function handleEndDialogue(room, playerId) {
+  if (room.conversations[playerId]) {
+    endConversation(room, playerId);
+  }
+}
+
+// Helper function to check whether a player can pick a dialogue option (they carry what it needs)
+function isDialogueOptionAvailable(gameState, playerId, option) {
+  return [option.requires, option.take]
+    .filter(Boolean)
+    .every(item => hasItem(gameState, playerId, item));
+}
+
+// Helper function to move a player's conversation to a node and show it to them
+function showDialogueNode(room, playerId, npc, nodeId) {
+  const { gameState } = room;
+  const node = room.dialogues[npc.id].nodes[nodeId];
+  room.conversations[playerId] = { npcId: npc.id, nodeId };
+
+  // Options the player can't pick yet stay hidden; indexes still refer to the node's full list
+  const options = node.options
+    .map((option, index) => ({ index, text: option.text, option }))
+    .filter(({ option }) => isDialogueOptionAvailable(gameState, playerId, option))
+    .map(({ index, text }) => ({ index, text }));
+
+  emitToPlayer(room, playerId, 'dialogue', {
+    npcId: npc.id,
+    name: npc.name,
+    icon: npc.icon,
+    text: node.text,
+    options,
+  });
+}
+
+// Helper function to end a player's conversation and close their dialogue box
+function endConversation(room, playerId) {
+  delete room.conversations[playerId];
+  emitToPlayer(room, playerId, 'dialogueEnd', {});
+}
+
+// Helper function to end every conversation in the room (the turn or the level changed)
+function endConversations(room) {
+  for (const playerId of Object.keys(room.conversations)) {
+    endConversation(room, playerId);
+  }
+}
+
+// Helper function to switch turns and reset actions
+function switchTurn(room) {
+  const { gameState } = room;
+  console.log(`🔄 SWITCHING TURN from ${gameState.currentPlayerTurn}...`);
+
+  // Offers, undo and conversations only last for the player's own turn
+  cancelPendingGift(room, 'The offer ran out with the turn');
+  clearUndoHistory(room, 'turn ended');
+  endConversations(room);
+
+  // Downed players get a turn closer to dying with every turn that passes
+  tickDownedPlayers(room);
+
+  const nextPlayerId = gameState.currentPlayerTurn === 'player1' ? 'player2' : 'player1';
+  // A fallen or downed partner sits their turns out - the survivor keeps playing
+  if (
+    isPlayerActive(gameState, nextPlayerId) ||
+    !isPlayerActive(gameState, gameState.currentPlayerTurn)
+  ) {
+    gameState.currentPlayerTurn = nextPlayerId;
+  }
+  gameState.actionsRemaining = 2; // Reset actions to 2 for the new turn
+  gameState.turnsThisLevel++;
+  console.log(
+    `Turn switched to: ${gameState.currentPlayerTurn} (${gameState.actionsRemaining} actions remaining)`
+  );
+
+  // Reset enemy actions for the new turn
+  if (gameState.enemies) {
+    gameState.enemies.forEach(enemy => {
+      enemy.hasMoved = false;
+    });
+  }
+
+  console.log('🟢 About to update enemies after turn switch...');
+  // Update enemies after turn switch
+  // Add delay to allow any ongoing animations to complete. The next player waits for the
+  // enemy phase, so shots aimed at them land before they can act.
+  room.enemyPhasePending = true;
+  setLevelTimeout(
+    room,
+    () => {
+      room.enemyPhasePending = false;
+      runEnemyPhase(room);
+
+      console.log('📡 Broadcasting updated game state after turn switch and enemy update...');
+      // Broadcast updated game state after entity movement
+      broadcastCustomizedGameState(room);
+    },
+    600 // 600ms delay to allow attack animations to complete
+  );
+
+  // Let the AI partner play if the turn is now theirs
+  scheduleBotTurn(room);
+}
+
+// Console commands for testing
+console.log('\n🎮 TESTING COMMANDS:');
+console.log('📝 Available levels:');
+for (const [levelId, levelData] of Object.entries(LEVELS)) {
+  console.log(`   ${levelData.name || levelId} (won by ${levelData.winCondition})`);
+}
+console.log('💡 To switch levels during development:');
+console.log('   - Press L in a game to skip to the next level (debugLoadLevel request)');
+console.log('');
+
+// === PLAYER REQUEST HANDLERS ===
+// Each handler validates and applies one request from a player slot in a room.
+
+// Handle use item requests
+// data: { slot, target: { x, y } } - use an inventory slot on an adjacent tile
+// Without a slot the first slot holding data.item is used, and without a target the item
+// goes on the first adjacent tile it works on
+function handleUseItemRequest(room, playerId, data) {
+  const { gameState } = room;
+
+  // Validate input data
+  if (!data || typeof data !== 'object') {
+    console.warn(`⚠️  Invalid useItemRequest data from ${playerId}:`, data);
+    return;
+  }
+
+  const player = gameState.players[playerId];
+
+  if (!player) {
+    console.warn(`⚠️  useItemRequest from non-existent player: ${playerId}`);
+    return;
+  }
+
+  const inventory = gameState.inventories[playerId];
+  let slotIndex;
+  if (data.slot !== undefined) {
+    if (!Number.isInteger(data.slot) || data.slot < 0 || data.slot >= INVENTORY_SLOTS) {
+      console.warn(`⚠️  Invalid inventory slot from ${playerId}:`, data.slot);
+      return;
+    }
+    slotIndex = data.slot;
+  } else {
+    // Validate item is one of the allowed types
+    if (typeof data.item !== 'string' || !Object.values(ITEM_TYPES).includes(data.item)) {
+      console.warn(`⚠️  Unknown item type '${data.item}' from ${playerId}`);
+      return;
+    }
+    slotIndex = findItemSlot(inventory, data.item);
+  }
+
+  let target = null;
+  if (data.target !== undefined) {
+    if (
+      !data.target ||
+      typeof data.target !== 'object' ||
+      !Number.isInteger(data.target.x) ||
+      !Number.isInteger(data.target.y)
+    ) {
+      console.warn(`⚠️  Invalid item target from ${playerId}:`, data.target);
+      return;
+    }
+    target = { x: data.target.x, y: data.target.y };
+  }
+
+  // Check if game has started and it's this player's turn
+  if (!gameState.gameStarted) {
+    console.log(`Use item rejected: Game not started`);
+    return;
+  }
+
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(`Use item rejected: Not ${playerId}'s turn`);
+    return;
+  }
+
+  if (gameState.actionsRemaining <= 0) {
+    console.log(`Use item rejected: ${playerId} has no actions left`);
+    return;
+  }
+
+  // The level is won - nothing is used up until the next one has loaded
+  if (gameState.gameWon || gameState.levelTransition) {
+    console.log(`Use item rejected: the level is over`);
+    return;
+  }
+
+  // Check if player has an item in the slot they're trying to use
+  const slot = inventory[slotIndex];
+  if (!slot) {
+    console.log(`Use item rejected: ${playerId} has nothing to use in slot ${slotIndex}`);
+    return;
+  }
+
+  const { item } = slot;
+  if (!ITEM_RULES[item].usable) {
+    console.log(`Use item rejected: ${item} is a key item and works on its own`);
+    return;
+  }
+
+  if (target && !isAdjacent(player, target)) {
+    console.log(`Use item rejected: (${target.x}, ${target.y}) is not next to ${playerId}`);
+    return;
+  }
+
+  // Use the item on the chosen tile, or on the first adjacent tile it has an effect on
+  const playerX = player.x;
+  const playerY = player.y;
+  const adjacentPositions = [
+    { x: playerX, y: playerY - 1 }, // Up
+    { x: playerX, y: playerY + 1 }, // Down
+    { x: playerX - 1, y: playerY }, // Left
+    { x: playerX + 1, y: playerY }, // Right
+  ];
+  const candidates = (target ? [target] : adjacentPositions).filter(
+    pos => pos.x >= 0 && pos.x < gameState.gridWidth && pos.y >= 0 && pos.y < gameState.gridHeight
+  );
+  saveUndoSnapshot(room);
+  const itemUsed = candidates.some(pos => applyItemToTile(room, playerId, item, pos));
+
+  if (itemUsed) {
+    // Spend one from the stack - the slot empties when the last one is used
+    consumeInventorySlot(inventory, slotIndex);
+    console.log(
+      `🎒 ${playerId} has ${inventory[slotIndex] ? inventory[slotIndex].count : 0} ${item} left`
+    );
+
+    // Decrement actions remaining after successful item use
+    gameState.actionsRemaining--;
+    console.log(
+      `${playerId} used 1 action (item), ${gameState.actionsRemaining} actions remaining`
+    );
+
+    // Auto-switch turns if no actions remaining
+    if (gameState.actionsRemaining <= 0) {
+      switchTurn(room);
+    }
+
+    // Broadcast updated game state to all clients
+    broadcastCustomizedGameState(room);
+  } else {
+    room.undoSnapshots.pop(); // Nothing changed, so there is nothing to undo
+    console.log(`${playerId} tried to use ${item} but no valid targets found`);
+    console.log(`Player at (${playerX}, ${playerY}), tiles checked:`);
+    for (const pos of candidates) {
+      console.log(`  (${pos.x}, ${pos.y}): tile type ${gameState.dungeonLayout[pos.y][pos.x]}`);
+    }
+  }
+}
+
+// Helper function to apply an item to one tile, returning true if it had any effect
+function applyItemToTile(room, playerId, item, pos) {
+  const { gameState } = room;
+  const tileType = gameState.dungeonLayout[pos.y][pos.x];
+
+  if (item === ITEM_TYPES.DOUSE_FIRE) {
+    let itemUsed = false;
+
+    // Check for enemies at this position (stunning mechanic)
+    if (Array.isArray(gameState.enemies)) {
+      const enemyAtPos = gameState.enemies.find(
+        e => isOnEnemy(e, pos.x, pos.y) && !e.isStunned && getEnemyType(e).stunnable
+      );
+      if (enemyAtPos) {
+        const { name } = getEnemyType(enemyAtPos);
+        enemyAtPos.isStunned = true;
+        enemyAtPos.stunDuration = 3; // Stun for 3 turns
+        if (enemyAtPos.aimedLanes) {
+          enemyAtPos.aimedLanes = null; // A stun spoils its aim
+        }
+        console.log(
+          `${playerId} used ${item} to stun ${enemyAtPos.id} at (${pos.x}, ${pos.y}) for 3 turns`
+        );
+
+        // Send message to all clients about the stun
+        emitToRoom(room, 'enemyMessage', {
+          message: `🟢 ${name} stunned! ${name} is immobilized for 3 turns.`,
+          playerId: playerId,
+        });
+
+        itemUsed = true;
+      }
+    }
+
+    // Check fires array (used by both Level 1 and Level 2)
+    if (Array.isArray(gameState.fires)) {
+      const fireAtPos = gameState.fires.find(f => f.x === pos.x && f.y === pos.y && !f.isDoused);
+      if (fireAtPos) {
+        fireAtPos.isDoused = true;
+        console.log(`${playerId} used ${item} to douse fire at (${pos.x}, ${pos.y})`);
+        itemUsed = true;
+      }
+    } else if (tileType === TILE_TYPES.FIRE_HAZARD) {
+      // Fallback for other levels - use dungeon layout
+      gameState.dungeonLayout[pos.y][pos.x] = TILE_TYPES.FLOOR;
+      console.log(`${playerId} used ${item} to douse fire at (${pos.x}, ${pos.y})`);
+      itemUsed = true;
+    }
+
+    return itemUsed;
+  }
+
+  if (item === ITEM_TYPES.BUILD_BRIDGE && tileType === TILE_TYPES.CHASM) {
+    gameState.dungeonLayout[pos.y][pos.x] = TILE_TYPES.FLOOR;
+    gameState.bridges.push({ x: pos.x, y: pos.y, builtBy: playerId });
+    console.log(`${playerId} used ${item} to bridge the chasm at (${pos.x}, ${pos.y})`);
+
+    emitToRoom(room, 'bridgeMessage', {
+      message: `🌉 ${playerId === 'player1' ? 'Player 1' : 'Player 2'} built a bridge over the chasm!`,
+      playerId: playerId,
+    });
+    return true;
+  }
+
+  return false;
+}
+
+// Handle give item requests
+// data: { slot } - offer the whole stack in that slot to the adjacent partner
+function handleGiveItemRequest(room, playerId, data) {
+  const { gameState } = room;
+
+  // Validate input data
+  if (!data || typeof data !== 'object') {
+    console.warn(`⚠️  Invalid giveItemRequest data from ${playerId}:`, data);
+    return;
+  }
+
+  if (!Number.isInteger(data.slot) || data.slot < 0 || data.slot >= INVENTORY_SLOTS) {
+    console.warn(`⚠️  Invalid inventory slot from ${playerId}:`, data.slot);
+    return;
+  }
+
+  // Check if game has started and it's this player's turn
+  if (!gameState.gameStarted) {
+    console.log(`Give item rejected: Game not started`);
+    return;
+  }
+
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(`Give item rejected: Not ${playerId}'s turn`);
+    return;
+  }
+
+  if (gameState.pendingGift) {
+    emitToPlayer(room, playerId, 'giveItemMessage', {
+      message: '⏳ Wait for your partner to answer your last offer.',
+    });
+    return;
+  }
+
+  const gift = validateGift(room, playerId, data.slot);
+  if (!gift) {
+    return;
+  }
+
+  // The AI partner always takes what it is given, and on a shared hot-seat keyboard the giver
+  // would only be answering their own offer
+  if (gameState.players[gift.to].isBot || room.hotSeat) {
+    completeGift(room, gift);
+    return;
+  }
+
+  gameState.pendingGift = gift;
+  console.log(`🎁 ${playerId} offers ${gift.count} ${gift.item} to ${gift.to}`);
+
+  emitToPlayer(room, gift.to, 'giveItemOffer', {
+    from: playerId,
+    to: gift.to,
+    item: gift.item,
+    count: gift.count,
+  });
+  emitToPlayer(room, playerId, 'giveItemMessage', {
+    message: `🎁 Offered ${gift.item} - waiting for your partner to accept...`,
+  });
+}
+
+// Handle the partner's answer to an item offer
+// data: { accept }
+function handleGiveItemResponse(room, playerId, data) {
+  const { gameState } = room;
+  const offer = gameState.pendingGift;
+
+  // Validate input data
+  if (!data || typeof data !== 'object' || typeof data.accept !== 'boolean') {
+    console.warn(`⚠️  Invalid giveItemResponse data from ${playerId}:`, data);
+    return;
+  }
+
+  if (!offer) {
+    console.log(`Give item response ignored: no offer pending`);
+    return;
+  }
+
+  if (playerId !== offer.to) {
+    console.log(`Give item response rejected: the offer is not for ${playerId}`);
+    return;
+  }
+
+  gameState.pendingGift = null;
+
+  if (!data.accept) {
+    console.log(`🎁 ${offer.to} declined ${offer.item} from ${offer.from}`);
+    emitToPlayer(room, offer.from, 'giveItemMessage', {
+      message: `🙅 Your partner declined the ${offer.item}.`,
+    });
+    return;
+  }
+
+  // Things may have changed while the offer was open - check it all again
+  const gift = validateGift(room, offer.from, offer.slot);
+  if (!gift || gift.item !== offer.item || gift.count !== offer.count) {
+    console.log(`Give item rejected: the offer from ${offer.from} is no longer valid`);
+    emitToPlayer(room, offer.to, 'giveItemMessage', {
+      message: '❌ That offer is no longer available.',
+    });
+    return;
+  }
+
+  completeGift(room, gift);
+}
+
+// Helper function to check a player can give a slot to their partner right now
+// Returns { from, to, slot, item, count }, or null after telling the giver why not
+function validateGift(room, playerId, slotIndex) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+  const partnerId = playerId === 'player1' ? 'player2' : 'player1';
+  const partner = gameState.players[partnerId];
+  const slot = gameState.inventories[playerId][slotIndex];
+
+  const reject = message => {
+    console.log(`Give item rejected for ${playerId}: ${message}`);
+    emitToPlayer(room, playerId, 'giveItemMessage', { message });
+    return null;
+  };
+
+  if (!player || gameState.currentPlayerTurn !== playerId || gameState.actionsRemaining <= 0) {
+    return reject('⏳ You can only give items during your turn.');
+  }
+  if (!slot) {
+    return reject(`🎒 Slot ${slotIndex + 1} is empty.`);
+  }
+  if (!partner || !isAdjacent(player, partner)) {
+    return reject('🤝 Stand next to your partner to hand them an item.');
+  }
+  if (!canFitInInventory(gameState.inventories[partnerId], slot.item, slot.count)) {
+    return reject(`🎒 Your partner has no room for ${slot.item}.`);
+  }
+
+  return { from: playerId, to: partnerId, slot: slotIndex, item: slot.item, count: slot.count };
+}
+
+// Helper function to move an offered stack to the partner's inventory, spending one action
+function completeGift(room, gift) {
+  const { gameState } = room;
+
+  gameState.inventories[gift.from][gift.slot] = null;
+  addItemToInventory(gameState, gift.to, gift.item, gift.count);
+  clearUndoHistory(room, 'item handed over'); // The partner has it now
+  console.log(`🎁 ${gift.from} gave ${gift.count} ${gift.item} to ${gift.to}`);
+
+  // Clients play the hand-over animation from this
+  emitToRoom(room, 'itemGiven', {
+    from: gift.from,
+    to: gift.to,
+    item: gift.item,
+    count: gift.count,
+  });
+
+  // Decrement actions remaining after the hand-over
+  gameState.actionsRemaining--;
+  console.log(`${gift.from} used 1 action (give), ${gameState.actionsRemaining} actions remaining`);
+
+  // Auto-switch turns if no actions remaining
+  if (gameState.actionsRemaining <= 0) {
+    switchTurn(room);
+  }
+
+  broadcastCustomizedGameState(room);
+}
+
+// Helper function to withdraw an unanswered offer and close the receiver's prompt
+function cancelPendingGift(room, reason) {
+  const { gameState } = room;
+  const offer = gameState.pendingGift;
+  if (!offer) {
+    return;
+  }
+
+  gameState.pendingGift = null;
+  console.log(`🎁 Offer of ${offer.item} from ${offer.from} cancelled: ${reason}`);
+  emitToPlayer(room, offer.to, 'giveItemCancelled', { message: `${reason}.` });
+}
+
+// Game state an undo puts back - everything a move or item use can change
+const UNDO_STATE_KEYS = [
+  'dungeonLayout',
+  'inventories',
+  'pickups',
+  'fires',
+  'doors',
+  'pressurePlates',
+  'trapDoors',
+  'enemies',
+  'bridges',
+  'crates',
+  'levers',
+  'gates',
+  'checkpoints',
+  'actionsRemaining',
+];
+
+// Helper function to remember the state before an action, so the player can undo it this turn
+function saveUndoSnapshot(room) {
+  const { gameState } = room;
+  const snapshot = { players: {} };
+
+  for (const key of UNDO_STATE_KEYS) {
+    snapshot[key] = JSON.parse(JSON.stringify(gameState[key]));
+  }
+  for (const [playerId, player] of Object.entries(gameState.players)) {
+    const { x, y, lastMoveDirection, health } = player;
+    snapshot.players[playerId] = { x, y, lastMoveDirection, health };
+  }
+
+  room.undoSnapshots.push(snapshot);
+}
+
+// Helper function to put the game back to a snapshot taken by saveUndoSnapshot
+function restoreUndoSnapshot(room, snapshot) {
+  const { gameState } = room;
+
+  for (const key of UNDO_STATE_KEYS) {
+    gameState[key] = snapshot[key];
+  }
+  // Only position and health - connection details belong to the live player objects
+  for (const [playerId, saved] of Object.entries(snapshot.players)) {
+    if (gameState.players[playerId]) {
+      Object.assign(gameState.players[playerId], saved);
+    }
+  }
+}
+
+// Helper function to forget the undo history once something happened that can't be taken back
+function clearUndoHistory(room, reason) {
+  if (room.undoSnapshots.length > 0) {
+    console.log(`↩️ [${room.id}] Undo history cleared: ${reason}`);
+  }
+  room.undoSnapshots = [];
+}
+
+// Handle reveal item requests - shows this player's inventory to their partner for the rest
+// of the level. Talking is free, so it costs no action and works outside your turn
+function handleRevealItemsRequest(room, playerId) {
+  const { gameState } = room;
+
+  if (!gameState.gameStarted) {
+    console.log(`Reveal items rejected: Game not started`);
+    return;
+  }
+
+  if (gameState.revealedItems[playerId]) {
+    console.log(`Reveal items ignored: ${playerId} already revealed their items`);
+    return;
+  }
+
+  gameState.revealedItems[playerId] = true;
+  console.log(`👀 ${playerId} revealed their items to their partner`);
+
+  emitToRoom(room, 'revealMessage', {
+    message: `👀 ${playerId === 'player1' ? 'Player 1' : 'Player 2'} showed their items!`,
+    playerId: playerId,
+  });
+
+  broadcastCustomizedGameState(room);
+}
+
+// Handle undo requests - takes back the active player's last move or item use this turn
+function handleUndoRequest(room, playerId) {
+  const { gameState } = room;
+
+  if (!gameState.gameStarted || gameState.gameWon) {
+    console.log(`Undo rejected: Game not in progress`);
+    return;
+  }
+
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(`Undo rejected: Not ${playerId}'s turn`);
+    return;
+  }
+
+  const snapshot = room.undoSnapshots.pop();
+  if (!snapshot) {
+    emitToPlayer(room, playerId, 'undoMessage', {
+      message: '↩️ Nothing to undo this turn.',
+    });
+    return;
+  }
+
+  restoreUndoSnapshot(room, snapshot);
+  console.log(
+    `↩️ ${playerId} undid their last action (${gameState.actionsRemaining} actions remaining)`
+  );
+
+  emitToRoom(room, 'undoMessage', {
+    message: `↩️ ${playerId === 'player1' ? 'Player 1' : 'Player 2'} took back their last action.`,
+    playerId: playerId,
+  });
+
+  broadcastCustomizedGameState(room);
+}
+
+// Handle move requests
+function handleMoveRequest(room, playerId, data) {
+  const { gameState } = room;
+
+  // Validate input data
+  if (!data || typeof data !== 'object') {
+    console.warn(`⚠️  Invalid moveRequest data from ${playerId}:`, data);
+    return;
+  }
+
+  const { direction } = data;
+  const player = gameState.players[playerId];
+
+  if (!player) {
+    console.warn(`⚠️  moveRequest from non-existent player: ${playerId}`);
+    return;
+  }
+
+  if (!direction || typeof direction !== 'string') {
+    console.warn(`⚠️  Invalid direction from ${playerId}:`, direction);
+    return;
+  }
+
+  // Validate direction is one of the allowed values
+  const validDirections = ['up', 'down', 'left', 'right'];
+  if (!validDirections.includes(direction)) {
+    console.warn(`⚠️  Invalid direction '${direction}' from ${playerId}`);
+    return;
+  }
+
+  // Check if game has started and it's this player's turn
+  if (!gameState.gameStarted) {
+    console.log(`Move rejected: Game not started (waiting for both players)`);
+    return;
+  }
+
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(`Move rejected: Not ${playerId}'s turn (current: ${gameState.currentPlayerTurn})`);
+    return;
+  }
+
+  if (gameState.actionsRemaining <= 0) {
+    console.log(`Move rejected: ${playerId} has no actions left`);
+    return;
+  }
+
+  // The level is won - nobody moves until the next one has loaded
+  if (gameState.gameWon || gameState.levelTransition) {
+    console.log(`Move rejected: the level is over`);
+    return;
+  }
+
+  // Calculate new position based on direction
+  let deltaX = 0,
+    deltaY = 0;
+  switch (direction) {
+    case 'up':
+      deltaY = -1;
+      break;
+    case 'down':
+      deltaY = 1;
+      break;
+    case 'left':
+      deltaX = -1;
+      break;
+    case 'right':
+      deltaX = 1;
+      break;
+    default:
+      return; // Invalid direction
+  }
+
+  const newX = player.x + deltaX;
+  const newY = player.y + deltaY;
+
+  // Validate move (bounds check and collision detection)
+  if (newX < 0 || newX >= gameState.gridWidth || newY < 0 || newY >= gameState.gridHeight) {
+    return; // Out of bounds
+  }
+
+  const targetTile = gameState.dungeonLayout[newY][newX];
+
+  // Check for walls
+  if (targetTile === TILE_TYPES.WALL) {
+    return; // Hit a wall
+  }
+
+  if (!canPassGates(gameState, player, { x: newX, y: newY }, direction)) {
+    console.log(`Move blocked: ${playerId} tried to go against a one-way gate`);
+    return;
+  }
+
+  // Check for hazards - players cannot move onto hazards without using items
+  if (targetTile === TILE_TYPES.FIRE_HAZARD || targetTile === TILE_TYPES.CHASM) {
+    console.log(`Move blocked: ${playerId} tried to move onto hazard at (${newX}, ${newY})`);
+    return; // Cannot move onto hazards directly
+  }
+
+  // Prevent movement onto undoused fire tiles (from fires array)
+  if (Array.isArray(gameState.fires)) {
+    const fireAtTarget = gameState.fires.find(f => f.x === newX && f.y === newY && !f.isDoused);
+    if (fireAtTarget) {
+      console.log(
+        `Move blocked: ${playerId} tried to move onto undoused fire at (${newX}, ${newY})`
+      );
+      return; // Cannot move onto undoused fire
+    }
+  }
+
+  // Locked doors block the way - walking into one with its key opens it, once the move is on
+  const doorAtTarget = findDoorAt(gameState, newX, newY);
+  const doorToUnlock = doorAtTarget && !doorAtTarget.isUnlocked ? doorAtTarget : null;
+  if (doorToUnlock && !canUnlockDoor(gameState, playerId, doorToUnlock)) {
+    console.log(`Move blocked: ${playerId} tried to walk through locked ${doorToUnlock.id}`);
+    if (!doorToUnlock.signal) {
+      remindDoorKey(room, playerId, doorToUnlock);
+    }
+    return;
+  }
+
+  // Check for active trap - allow movement first, then trigger death
+  let willDieOnTrap = false;
+  if (gameState.trapDoors) {
+    const trapAtTarget = gameState.trapDoors.find(
+      trap => trap.x === newX && trap.y === newY && !trap.isOpen
+    );
+
+    if (trapAtTarget) {
+      console.log(`Player ${playerId} will die by moving onto active trap at (${newX}, ${newY})!`);
+      willDieOnTrap = true;
+      // Don't return here - let the movement complete first
+    }
+  }
+
+  // Check for enemy collision - players cannot move onto hostile enemies
+  const enemyOnTarget = findHostileEnemyAt(gameState, newX, newY);
+  if (enemyOnTarget) {
+    console.log(
+      `Move blocked: ${playerId} tried to move onto ${enemyOnTarget.id} at (${newX}, ${newY})`
+    );
+    return; // Abort the move
+  }
+
+  // Walking into a crate pushes it one tile further - if nothing is behind it
+  const crate = findCrateAt(gameState, newX, newY);
+  const cratePush = crate && findCratePush(gameState, newX + deltaX, newY + deltaY);
+  if (crate && !cratePush) {
+    console.log(`Move blocked: ${playerId} can't push ${crate.id} at (${newX}, ${newY})`);
+    return;
+  }
+
+  // Exit tiles are walkable (no blocking needed)
+
+  // Valid move - remember the state before it so the player can take it back
+  saveUndoSnapshot(room);
+
+  if (doorToUnlock) {
+    unlockDoor(room, playerId, doorToUnlock);
+  }
+
+  // The crate moves out of the way first, so the plates below see both of them
+  if (crate) {
+    pushCrate(room, playerId, crate, cratePush);
+  }
+
+  // Update player position and direction in game state
+  player.x = newX;
+  player.y = newY;
+  player.lastMoveDirection = direction; // Store direction for sprite flipping
+
+  // === PRESSURE PLATE DETECTION LOGIC ===
+  if (gameState.pressurePlates) {
+    updatePressurePlates(room);
+
+    // Broadcast position updates after pressure plate/trap logic
+    // This ensures all clients see movement before any death processing
+    broadcastCustomizedGameState(room);
+  }
+
+  // === ITEM PICKUP LOGIC ===
+  if (Array.isArray(gameState.pickups)) {
+    gameState.pickups = gameState.pickups.filter(pickup => {
+      if (pickup.x !== player.x || pickup.y !== player.y) {
+        return true;
+      }
+
+      const leftOver = addItemToInventory(gameState, playerId, pickup.item, pickup.count);
+      const taken = pickup.count - leftOver;
+      if (taken > 0) {
+        console.log(`Player ${playerId} picked up ${taken} ${pickup.item}`);
+        if (ITEM_RULES[pickup.item].isKeyItem) {
+          clearUndoHistory(room, 'key item picked up'); // Everyone has seen who holds it
+        }
+        emitToPlayer(room, playerId, 'pickupMessage', {
+          message: `🎒 Picked up ${taken > 1 ? `${taken}x ` : ''}${pickup.item}!`,
+        });
+      }
+      if (leftOver > 0) {
+        emitToPlayer(room, playerId, 'pickupMessage', {
+          message: `🎒 Your inventory is full - ${leftOver}x ${pickup.item} left on the floor.`,
+        });
+      }
+
+      // Keep whatever didn't fit lying on the tile
+      pickup.count = leftOver;
+      return leftOver > 0;
+    });
+  }
+
+  // === CHECKPOINT LOGIC ===
+  const checkpoint = (gameState.checkpoints || []).find(c => c.x === player.x && c.y === player.y);
+  if (checkpoint && !checkpoint.isActive) {
+    gameState.checkpoints.forEach(c => {
+      c.isActive = c === checkpoint;
+    });
+    console.log(`🚩 ${playerId} reached checkpoint ${checkpoint.id}`);
+    emitToRoom(room, 'checkpointMessage', {
+      message: '🚩 Checkpoint reached! Fallen players will respawn here.',
+    });
+  }
+
+  // === DOOR INTERACTION LOGIC ===
+  // Carrying a door's key up to it unlocks it
+  unlockDoorsBeside(room, playerId);
+
+  console.log(`${playerId} moved to (${newX}, ${newY}) facing ${direction}`);
+
+  // Check for win condition after the move - use appropriate win condition for level
+  let gameWon = false;
+  const levelData = LEVELS[gameState.currentLevel];
+  if (levelData && levelData.winCondition === 'door') {
+    // Levels using door-based win condition
+    gameWon = checkDoorWinCondition(room);
+  } else {
+    // Other levels use exit tile win condition
+    gameWon = checkWinCondition(room);
+  }
+
+  if (!gameWon) {
+    // Decrement actions remaining after valid move
+    gameState.actionsRemaining--;
+    console.log(`${playerId} used 1 action, ${gameState.actionsRemaining} actions remaining`);
+
+    // Auto-switch turns if no actions remaining
+    if (gameState.actionsRemaining <= 0) {
+      switchTurn(room);
+    }
+  }
+
+  // Falling into an active trap knocks the player down on the spot
+  if (willDieOnTrap) {
+    console.log(`Player ${playerId} fell into active trap at (${player.x}, ${player.y})!`);
+    downPlayer(room, playerId);
+  }
+
+  // Broadcast updated game state to all clients (customized for each)
+  broadcastCustomizedGameState(room);
+}
+
+// Helper function to find the crate on a tile that can still be pushed (null if none)
+function findCrateAt(gameState, x, y) {
+  return (
+    (gameState.crates || []).find(crate => crate.x === x && crate.y === y && !crate.isSunk) || null
+  );
+}
+
+// Helper function to check where a crate pushed onto a tile ends up
+// Returns { x, y, sinks } - sinks when it drops into a chasm and fills it - or null when the
+// tile is blocked. Crates only go onto plain floor (plates included) so they can never cover
+// something the players need, like a pickup, a door or a checkpoint
+function findCratePush(gameState, x, y) {
+  if (x < 0 || x >= gameState.gridWidth || y < 0 || y >= gameState.gridHeight) {
+    return null;
+  }
+
+  const tile = gameState.dungeonLayout[y][x];
+  const isOn = objects => (objects || []).some(object => object.x === x && object.y === y);
+  const blocked =
+    tile === TILE_TYPES.WALL ||
+    tile === TILE_TYPES.FIRE_HAZARD ||
+    tile === TILE_TYPES.EXIT ||
+    findUndousedFire(gameState, x, y) ||
+    findCrateAt(gameState, x, y) ||
+    isOn(gameState.doors) ||
+    isOn(gameState.trapDoors) ||
+    isOn(gameState.levers) ||
+    isOn(gameState.gates) ||
+    isOn(gameState.pickups) ||
+    isOn(gameState.checkpoints) ||
+    isOn(Object.values(gameState.players)) ||
+    (gameState.enemies || []).some(enemy => isOnEnemy(enemy, x, y));
+  if (blocked) {
+    return null;
+  }
+
+  return { x, y, sinks: tile === TILE_TYPES.CHASM };
+}
+
+// Helper function to move a crate to where findCratePush said it goes
+function pushCrate(room, playerId, crate, push) {
+  const { gameState } = room;
+  crate.x = push.x;
+  crate.y = push.y;
+
+  if (!push.sinks) {
+    console.log(`📦 ${playerId} pushed ${crate.id} to (${crate.x}, ${crate.y})`);
+    return;
+  }
+
+  // It wedges into the chasm and becomes floor to walk on
+  crate.isSunk = true;
+  gameState.dungeonLayout[crate.y][crate.x] = TILE_TYPES.FLOOR;
+  console.log(`📦 ${playerId} filled the chasm at (${crate.x}, ${crate.y}) with ${crate.id}`);
+  emitToRoom(room, 'crateMessage', {
+    message: `📦 ${playerId === 'player1' ? 'Player 1' : 'Player 2'} filled the chasm with a crate!`,
+    playerId: playerId,
+  });
+}
+
+// Helper function to check a step against the one-way gates: a gate can only be entered moving in
+// its direction, and never left against it
+function canPassGates(gameState, from, to, direction) {
+  const gateAt = ({ x, y }) => (gameState.gates || []).find(gate => gate.x === x && gate.y === y);
+  const entered = gateAt(to);
+  const left = gateAt(from);
+  const isBackwards =
+    left &&
+    DIRECTION_DELTAS[left.direction].x === -DIRECTION_DELTAS[direction].x &&
+    DIRECTION_DELTAS[left.direction].y === -DIRECTION_DELTAS[direction].y;
+  return (!entered || entered.direction === direction) && !isBackwards;
+}
+
+// Handle lever flip requests - flips the lever the player stands on or next to for an action
+function handleFlipLeverRequest(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+
+  if (!player) {
+    console.warn(`⚠️  flipLeverRequest from non-existent player: ${playerId}`);
+    return;
+  }
+
+  if (!gameState.gameStarted || gameState.currentPlayerTurn !== playerId) {
+    console.log(`Lever flip rejected: Not ${playerId}'s turn`);
+    return;
+  }
+
+  if (gameState.actionsRemaining <= 0) {
+    console.log(`Lever flip rejected: ${playerId} has no actions left`);
+    return;
+  }
+
+  const leverIndex = (gameState.levers || []).findIndex(
+    lever => (lever.x === player.x && lever.y === player.y) || isAdjacent(player, lever)
+  );
+  if (leverIndex === -1) {
+    emitToPlayer(room, playerId, 'leverMessage', {
+      message: '🕹️ Stand next to a lever to flip it.',
+    });
+    return;
+  }
+
+  // Flipping it back is just another flip, so it can be taken back like a move
+  saveUndoSnapshot(room);
+
+  const lever = gameState.levers[leverIndex];
+  lever.isOn = !lever.isOn;
+  gameState.actionsRemaining--;
+
+  const playerName = playerId === 'player1' ? 'Player 1' : 'Player 2';
+  console.log(`🕹️ ${playerId} flipped ${lever.id} ${lever.isOn ? 'on' : 'off'}`);
+  emitToRoom(room, 'leverMessage', {
+    message: `🕹️ ${playerName} flipped lever ${leverIndex + 1} ${lever.isOn ? 'on' : 'off'}`,
+  });
+  applyActuatorChanges(room, updateWiredActuators(gameState, new Set(), new Set([leverIndex])));
+
+  // Auto-switch turns if no actions remaining
+  if (gameState.actionsRemaining <= 0) {
+    switchTurn(room);
+  }
+
+  broadcastCustomizedGameState(room);
+}
+
+// Handle end turn requests
+function handleEndTurn(room, playerId) {
+  const { gameState } = room;
+
+  const player = gameState.players[playerId];
+
+  if (!player) {
+    console.warn(`⚠️  endTurn from non-existent player: ${playerId}`);
+    return;
+  }
+
+  // Check if game has started and it's this player's turn
+  if (!gameState.gameStarted) {
+    console.log(`End turn rejected: Game not started`);
+    return;
+  }
+
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(
+      `End turn rejected: Not ${playerId}'s turn (current: ${gameState.currentPlayerTurn})`
+    );
+    return;
+  }
+
+  // The level is won - the turn order starts over on the next one
+  if (gameState.gameWon || gameState.levelTransition) {
+    console.log(`End turn rejected: the level is over`);
+    return;
   }
 
-  // Check if both players are at the door tile
-  const bothAtDoor = players.every(
-    player => player.x === gameState.door.x && player.y === gameState.door.y
+  // Player is ending their turn early
+  console.log(
+    `${playerId} ended their turn early (had ${gameState.actionsRemaining} actions remaining)`
   );
 
-  if (bothAtDoor) {
-    console.log('🎉 Both players reached the door! Level completed!');
-    gameState.gameWon = true;
-    gameState.victoryTime = new Date().toISOString();
+  // Switch turns immediately
+  switchTurn(room);
 
-    // Advance to next level after a brief delay
-    setTimeout(() => {
-      advanceToNextLevel();
-    }, LEVEL_TRANSITION_DELAY_MS);
+  // Broadcast updated game state to all clients
+  broadcastCustomizedGameState(room);
+}
 
-    // Broadcast victory state
-    broadcastCustomizedGameState();
-    return true;
-  }
+// Handle player attack requests
+// data: { enemyId } - a hostile enemy next to the player
+function handlePlayerAttack(room, playerId, data) {
+  const { gameState } = room;
 
-  return false;
-}
+  // Validate input data
+  if (!data || typeof data !== 'object') {
+    console.warn(`⚠️  Invalid playerAttack data from ${playerId}:`, data);
+    return;
+  }
 
-// Helper function to assign items to players (respecting per-level douse fire limits)
-function assignRandomItems() {
-  const levelData = LEVELS[currentLevel];
-  const playerItems = levelData.playerItems;
+  const { enemyId } = data;
+  const player = gameState.players[playerId];
 
-  if (playerItems) {
-    // Check if each player can still get their douse fire item for this level
-    gameState.playerItems.player1 = gameState.douseFireUsed.player1 ? null : playerItems.player1;
-    gameState.playerItems.player2 = gameState.douseFireUsed.player2 ? null : playerItems.player2;
-  } else {
-    // For other levels, assign random items (this logic can be extended for other item types in future)
-    const itemTypes = Object.values(ITEM_TYPES);
-    gameState.playerItems.player1 = gameState.douseFireUsed.player1
-      ? null
-      : itemTypes[Math.floor(Math.random() * itemTypes.length)];
-    gameState.playerItems.player2 = gameState.douseFireUsed.player2
-      ? null
-      : itemTypes[Math.floor(Math.random() * itemTypes.length)];
+  // Check if game has started and it's this player's turn
+  if (!gameState.gameStarted) {
+    console.log(`Attack rejected: Game not started`);
+    return;
   }
 
-  console.log(
-    `Items assigned - Player1: ${gameState.playerItems.player1 || 'NO ITEM'}, Player2: ${gameState.playerItems.player2 || 'NO ITEM'}`
-  );
-}
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(
+      `Attack rejected: Not ${playerId}'s turn (current: ${gameState.currentPlayerTurn})`
+    );
+    return;
+  }
 
-// Helper function to advance to next level after victory
-function advanceToNextLevel() {
-  // Determine what level we're currently on and what's next
-  if (currentLevel === 'level1') {
-    // Completing Level 1 → advance to Level 2
-    console.log('🚀 ADVANCING FROM LEVEL 1 TO LEVEL 2!');
+  console.log(`🎯 Player ${playerId} attempting to attack: ${enemyId}`);
 
-    // Set transition state for level change
-    gameState.levelTransition = {
-      isTransitioning: true,
-      fromLevel: 'level1',
-      toLevel: 'level2',
-      transitionStartTime: Date.now(),
-      message: 'Level 1 Complete! Advancing to Level 2...',
-    };
+  const enemy = gameState.enemies?.find(e => e.id === enemyId && getEnemyType(e).hostile);
 
-    // Broadcast transition state first
-    broadcastCustomizedGameState();
-
-    // After transition delay, load Level 2
-    setTimeout(() => {
-      // First load the new map which resets douse fire usage
-      loadNewMap('level2');
-
-      // Reset game state for new level
-      gameState.gameWon = false;
-      gameState.gameStarted = true; // Both players still connected
-      gameState.currentPlayerTurn = 'player1'; // Player 1 starts new level
-      gameState.actionsRemaining = 2; // Reset actions for new level
-      gameState.levelProgression = 2; // Update progression tracker
-      gameState.levelTransition = null; // Clear transition state
-
-      // Reset player positions to Level 2 starting positions
-      if (gameState.players.player1) {
-        gameState.players.player1.x = startingPositions.player1.x;
-        gameState.players.player1.y = startingPositions.player1.y;
-      }
-      if (gameState.players.player2) {
-        gameState.players.player2.x = startingPositions.player2.x;
-        gameState.players.player2.y = startingPositions.player2.y;
-      }
+  if (!player || !enemy || gameState.actionsRemaining <= 0) {
+    // Validation failed
+    console.log(
+      `Attack rejected: player=${!!player}, enemy=${!!enemy}, actions=${gameState.actionsRemaining}`
+    );
+    return;
+  }
 
-      // Assign new items for the new level
-      // loadNewMap already reset douseFireUsed, so items will be assigned properly
-      assignRandomItems();
+  // 1. Validate adjacency (to any tile of a big enemy)
+  if (getDistanceToEnemy(enemy, player) === 1) {
+    // A wired weak point has to be exposed first - the blow bounces off without costing an action
+    if (!isEnemyVulnerable(enemy)) {
+      emitToPlayer(room, playerId, 'enemyMessage', {
+        message: `🛡️ The ${getEnemyType(enemy).name} shrugs off the blow - someone has to hold a pressure plate to expose its weak point`,
+      });
+      return;
+    }
 
-      console.log(`✨ Level 2 ready! Players reset to starting positions.`);
+    // 2. Reduce enemy health (fights can't be taken back)
+    enemy.health -= 1;
+    clearUndoHistory(room, 'attack');
+    console.log(`${enemy.id} was hit! Health is now ${enemy.health}`);
 
-      // Broadcast final new level state
-      broadcastCustomizedGameState();
-    }, 3000); // 3 second transition screen
-  } else if (currentLevel === 'level2') {
-    // Completing Level 2 → Game Complete! Show Easter Egg!
-    console.log('🏆 GAME COMPLETED! Both levels mastered!');
-    console.log('🎉 Triggering Nyan Cat Easter Egg!');
+    // 3. Check for enemy death
+    if (enemy.health <= 0) {
+      gameState.enemies = gameState.enemies.filter(e => e.id !== enemyId);
+      console.log(`${enemy.id} defeated!`);
 
-    // Set final victory state
-    gameState.gameCompleted = true;
-    gameState.finalVictoryTime = new Date().toISOString();
-    gameState.levelTransition = {
-      isTransitioning: true,
-      fromLevel: 'level2',
-      toLevel: 'complete',
-      transitionStartTime: Date.now(),
-      message: 'Congratulations! You have completed Dungeon Escape Duo!',
-    };
+      // Don't reassign IDs - keep them stable
+      // This prevents confusion when tracking which enemy is which
+    } else {
+      updateEnemyPhase(room, enemy);
+    }
 
-    // Broadcast final victory state
-    broadcastCustomizedGameState();
+    // 4. Use up player's action
+    gameState.actionsRemaining -= 1;
 
-    // After showing the transition message, trigger the easter egg
-    setTimeout(() => {
-      gameState.levelTransition = null;
+    // 5. Notify clients to play animation
+    emitToRoom(room, 'playAttackAnimation', { attackerId: playerId, victimId: enemyId });
 
-      // Emit the easter egg event to all clients
-      io.emit('showEasterEgg');
-      console.log('🐱 Emitted showEasterEgg event to all clients');
+    // Beating the boss wins a boss level
+    if (checkWinCondition(room)) {
+      return;
+    }
 
-      // Reset game state for potential replay
-      gameState.gameStarted = false;
-      gameState.currentPlayerTurn = null;
-      gameState.gameCompleted = false;
+    // 6. Auto-switch turns if no actions remaining - straight away, so no other action can
+    // sneak in on a turn with no actions left
+    if (gameState.actionsRemaining <= 0) {
+      switchTurn(room);
+    }
 
-      broadcastCustomizedGameState();
-    }, 3000); // 3 second transition before easter egg
+    // 7. Broadcast state changes
+    broadcastCustomizedGameState(room);
+  } else {
+    console.log(`Attack rejected: ${enemyId} not adjacent to player`);
   }
 }
 
-// Helper function to check if both players are on exit tiles (win condition)
-function checkWinCondition() {
-  const levelData = LEVELS[currentLevel];
-  const winCondition = levelData.winCondition;
+// DEBUG: Handle debug level loading request
+function handleDebugLoadLevel(room, playerId, { level }) {
+  const { gameState } = room;
 
-  if (winCondition === 'door') {
-    // Level 1 uses door-based win condition
-    return checkDoorWinCondition();
-  } else if (winCondition === 'exit') {
-    // Other levels use exit tile win condition
-    if (gameState.gameWon || !gameState.gameStarted) {
-      return false; // Already won or game not started
-    }
+  if (Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    console.log(`🚀 DEBUG: Fast forwarding to ${level} requested by ${playerId}`);
 
-    const player1 = gameState.players.player1;
-    const player2 = gameState.players.player2;
+    loadNewMap(room, level);
 
-    if (!player1 || !player2) {
-      return false; // Both players must be connected
-    }
+    // Reset game state for the new level
+    gameState.gameStarted = true;
+    gameState.currentPlayerTurn = 'player1';
+    gameState.actionsRemaining = 2;
+    gameState.levelProgression = Object.keys(LEVELS).indexOf(level) + 1;
 
-    // Check if both players are on exit tiles
-    const player1OnExit = gameState.dungeonLayout[player1.y][player1.x] === TILE_TYPES.EXIT;
-    const player2OnExit = gameState.dungeonLayout[player2.y][player2.x] === TILE_TYPES.EXIT;
+    // Hand out the new level's starting items
+    grantStartingItems(room);
 
-    if (player1OnExit && player2OnExit) {
-      gameState.gameWon = true;
-      gameState.victoryTime = new Date().toISOString();
-      console.log('🎉 VICTORY! Both players reached the exit!');
+    // Broadcast the new state to all clients
+    broadcastCustomizedGameState(room);
 
-      // Trigger level progression after a longer celebration period
-      setTimeout(() => {
-        advanceToNextLevel();
-        // Broadcast new level to all clients
-        broadcastCustomizedGameState();
-      }, 5000); // 5 second victory celebration before advancing
+    console.log(`✅ DEBUG: ${level} loaded successfully!`);
+  }
+}
 
-      return true;
-    }
+// Temporary command to reset player positions (for testing)
+function handleResetPositions(room, playerId) {
+  const { gameState } = room;
+
+  console.log('🔄 Reset positions triggered by', playerId);
+  clearUndoHistory(room, 'positions reset');
+
+  // Update starting positions for current level
+  updateStartingPositionsForMap(room, gameState.dungeonLayout);
+
+  // Reset all connected players to starting positions
+  if (gameState.players.player1) {
+    gameState.players.player1.x = room.startingPositions.player1.x;
+    gameState.players.player1.y = room.startingPositions.player1.y;
+    console.log(
+      `Reset player1 to (${room.startingPositions.player1.x}, ${room.startingPositions.player1.y})`
+    );
+  }
+  if (gameState.players.player2) {
+    gameState.players.player2.x = room.startingPositions.player2.x;
+    gameState.players.player2.y = room.startingPositions.player2.y;
+    console.log(
+      `Reset player2 to (${room.startingPositions.player2.x}, ${room.startingPositions.player2.y})`
+    );
   }
 
-  return false;
+  // Ensure positions are safe
+  ensureSafeStartingPositions(room);
+
+  // Broadcast updated positions
+  broadcastCustomizedGameState(room);
+
+  console.log('✅ Player positions reset successfully');
 }
 
-// Helper function to start the game when both players are connected
-function startGame() {
-  if (getConnectedPlayerCount() === 2 && !gameState.gameStarted) {
-    gameState.gameStarted = true;
-    gameState.currentPlayerTurn = 'player1'; // Player 1 starts first
-    gameState.actionsRemaining = 2; // Initialize actions remaining
+// === DOWNED PLAYERS ===
+// At 0 health a player goes down instead of dying: they stay on the board, sit their turns out
+// and die after DOWNED_TURNS turns unless their partner spends REVIVE_ACTIONS actions next to them.
+// Another hit (an enemy, a closing trap) finishes them off.
 
-    // Assign random items to players
-    assignRandomItems();
+// Helper function to check whether a player is on the board and able to take turns
+function isPlayerActive(gameState, playerId) {
+  return Boolean(gameState.players[playerId]) && !gameState.downedPlayers[playerId];
+}
 
-    // Start continuous snail movement
-    startContinuousSnailMovement();
+// Helper function to knock a player down at 0 health - or finish them off if they already are
+function downPlayer(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+  if (!player) {
+    return;
+  }
 
-    console.log("Game started! Player 1's turn.");
+  player.health = 0;
+  clearUndoHistory(room, 'player downed');
 
-    // Emit gameStart event to each client with customized state
-    for (const [playerId, player] of Object.entries(gameState.players)) {
-      const socket = io.sockets.sockets.get(player.socketId);
-      if (socket && socket.connected) {
-        socket.emit('gameStart', createCustomizedGameState(playerId));
-      }
-    }
+  // Already down, or nobody left standing to help them up
+  const partnerId = playerId === 'player1' ? 'player2' : 'player1';
+  if (gameState.downedPlayers[playerId] || !isPlayerActive(gameState, partnerId)) {
+    killPlayer(room, playerId);
+    return;
+  }
 
-    // Broadcast game start to all players (customized for each)
-    broadcastCustomizedGameState();
+  // Hand the turn over first so it doesn't cost the downed player one of their turns
+  if (gameState.currentPlayerTurn === playerId) {
+    switchTurn(room);
   }
-}
 
-// Slime AI Functions
-function calculateDistance(pos1, pos2) {
-  return Math.max(Math.abs(pos1.x - pos2.x), Math.abs(pos1.y - pos2.y)); // Chebyshev distance (chess king movement)
+  gameState.downedPlayers[playerId] = { turnsLeft: DOWNED_TURNS, reviveProgress: 0 };
+  console.log(`🩸 ${playerId} is down - ${DOWNED_TURNS} turns to revive them`);
+
+  const victimName = playerId === 'player1' ? 'Player 1' : 'Player 2';
+  emitToRoom(room, 'playerDowned', {
+    playerId: playerId,
+    turnsLeft: DOWNED_TURNS,
+    message: `🩸 ${victimName} is down! Stand next to them and press V to help them up.`,
+  });
+  broadcastCustomizedGameState(room);
 }
 
-function findNearestPlayer(slime) {
-  const players = Object.values(gameState.players);
-  if (players.length === 0) {
-    return null;
+// Helper function to kill a player for good (they still respawn while the run has lives)
+function killPlayer(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+  if (!player) {
+    return;
   }
 
-  let nearestPlayer = players[0];
-  let minDistance = calculateDistance(slime, nearestPlayer);
+  player.health = 0;
+  delete gameState.downedPlayers[playerId];
+
+  // Broadcast health=0 first so all clients see it
+  broadcastCustomizedGameState(room);
+
+  // Send death notification to victim
+  emitToRoom(room, 'playerDied', { playerId: playerId });
+
+  // Send death message to other players
+  const victimName = playerId === 'player1' ? 'Player 1' : 'Player 2';
+  console.log(`🔔 SENDING deathMessage: ${victimName} died! (deadPlayerId: ${playerId})`);
+  emitToRoom(room, 'deathMessage', {
+    message: `💀 ${victimName} died!`,
+    deadPlayerId: playerId,
+  });
+
+  // A downed partner can't get up without this player
+  Object.keys(gameState.downedPlayers).forEach(downedId => killPlayer(room, downedId));
+
+  removeDeadPlayer(room, playerId);
+  broadcastCustomizedGameState(room);
+}
 
-  for (let i = 1; i < players.length; i++) {
-    const distance = calculateDistance(slime, players[i]);
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestPlayer = players[i];
+// Helper function to count down the downed players' turns, killing those who run out
+function tickDownedPlayers(room) {
+  const { gameState } = room;
+  for (const [playerId, downed] of Object.entries(gameState.downedPlayers)) {
+    downed.turnsLeft--;
+    if (downed.turnsLeft <= 0) {
+      console.log(`💀 ${playerId} wasn't revived in time`);
+      killPlayer(room, playerId);
     }
   }
-
-  return nearestPlayer;
 }
 
-function moveSlimeToward(slime, target, allSlimes) {
-  if (!target) {
-    return false;
+// Handle revive requests - each one spends an action next to the downed partner
+function handleReviveRequest(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+
+  if (!player) {
+    console.warn(`⚠️  reviveRequest from non-existent player: ${playerId}`);
+    return;
   }
 
-  let newX = slime.x;
-  let newY = slime.y;
+  // Check if game has started and it's this player's turn
+  if (!gameState.gameStarted) {
+    console.log(`Revive rejected: Game not started`);
+    return;
+  }
 
-  // Move one step toward target (simple AI)
-  let moveDirection = null;
-  if (target.x > slime.x) {
-    newX++;
-    moveDirection = 'right';
-  } else if (target.x < slime.x) {
-    newX--;
-    moveDirection = 'left';
-  } else if (target.y > slime.y) {
-    newY++;
-    moveDirection = 'down';
-  } else if (target.y < slime.y) {
-    newY--;
-    moveDirection = 'up';
+  if (gameState.currentPlayerTurn !== playerId) {
+    console.log(`Revive rejected: Not ${playerId}'s turn`);
+    return;
   }
 
-  // Check if the new position is valid (within bounds and not a wall)
-  if (newX < 0 || newX >= gameState.gridWidth || newY < 0 || newY >= gameState.gridHeight) {
-    return false; // Out of bounds
+  const partnerId = playerId === 'player1' ? 'player2' : 'player1';
+  const partner = gameState.players[partnerId];
+  const downed = gameState.downedPlayers[partnerId];
+  if (!partner || !downed) {
+    emitToPlayer(room, playerId, 'reviveMessage', { message: "Your partner isn't down." });
+    return;
   }
 
-  const targetTile = gameState.dungeonLayout[newY][newX];
-  if (
-    targetTile === TILE_TYPES.WALL ||
-    targetTile === TILE_TYPES.FIRE_HAZARD ||
-    targetTile === TILE_TYPES.CHASM
-  ) {
-    return false; // Cannot move onto walls or hazards
+  if (!isAdjacent(player, partner)) {
+    emitToPlayer(room, playerId, 'reviveMessage', {
+      message: '🩹 Stand next to your partner to help them up.',
+    });
+    return;
   }
 
-  // Check if another slime is already at this position
-  if (allSlimes) {
-    const slimeAtTarget = allSlimes.find(s => s !== slime && s.x === newX && s.y === newY);
-    if (slimeAtTarget) {
-      return false; // Another slime is in the way
-    }
+  downed.reviveProgress++;
+  clearUndoHistory(room, 'revive');
+  gameState.actionsRemaining--;
+
+  const partnerName = partnerId === 'player1' ? 'Player 1' : 'Player 2';
+  if (downed.reviveProgress >= REVIVE_ACTIONS) {
+    delete gameState.downedPlayers[partnerId];
+    partner.health = REVIVE_HEALTH;
+    console.log(`💚 ${playerId} revived ${partnerId}`);
+    emitToRoom(room, 'playerRevived', {
+      playerId: partnerId,
+      message: `💚 ${partnerName} is back on their feet!`,
+    });
+  } else {
+    emitToRoom(room, 'reviveMessage', {
+      message: `🩹 Helping ${partnerName} up... (${downed.reviveProgress}/${REVIVE_ACTIONS})`,
+    });
   }
 
-  // Check if a player is at this position (slimes don't move onto players directly)
-  const playerAtTarget = Object.values(gameState.players).find(p => p.x === newX && p.y === newY);
-  if (playerAtTarget) {
-    return false; // Player is in the way
+  // Auto-switch turns if no actions remaining
+  if (gameState.actionsRemaining <= 0) {
+    switchTurn(room);
   }
 
-  // Valid move - update slime position and direction
-  slime.x = newX;
-  slime.y = newY;
-  slime.lastMoveDirection = moveDirection; // Store direction for sprite flipping
-  console.log(`🟢 Slime moved to (${newX}, ${newY}) facing ${moveDirection} pursuing player`);
-  return true;
+  broadcastCustomizedGameState(room);
 }
 
-function updateSlimes() {
-  if (!gameState.slimes || gameState.slimes.length === 0) {
+// === DEATH AND RETRIES ===
+// A dead player leaves the board (so slimes, plates and win checks ignore them) but keeps their
+// slot in room.fallenPlayers. They respawn at the active checkpoint while the run has lives left,
+// and either way both players can vote to restart the level.
+
+// Helper function to take a dead player off the board and start their way back
+function removeDeadPlayer(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
+  if (!player) {
     return;
   }
 
-  console.log('🟢 Updating slimes...');
-
-  gameState.slimes.forEach((slime, index) => {
-    if (slime.hasMoved) {
-      return;
-    } // Skip if already acted this turn
-
-    // Handle stun duration
-    if (slime.isStunned && slime.stunDuration > 0) {
-      slime.stunDuration--;
-      console.log(`🟢 Slime ${index} stunned for ${slime.stunDuration} more turns`);
+  delete gameState.players[playerId];
+  room.fallenPlayers[playerId] = player;
+  clearUndoHistory(room, 'death');
+
+  // A plate they were standing on comes back up, and whatever it held shut again
+  updatePressurePlates(room);
+
+  if (gameState.livesRemaining > 0) {
+    gameState.livesRemaining--;
+    const respawnAt = Date.now() + RESPAWN_DELAY_MS;
+    gameState.fallenPlayers[playerId] = { respawnAt };
+    console.log(
+      `💀 ${playerId} fell - respawning in ${RESPAWN_DELAY_MS}ms (${gameState.livesRemaining} lives left)`
+    );
+
+    setLevelTimeout(
+      room,
+      () => {
+        // Skip if they fell again in the meantime
+        const fallen = gameState.fallenPlayers[playerId];
+        if (fallen && fallen.respawnAt === respawnAt) {
+          respawnPlayer(room, playerId);
+        }
+      },
+      RESPAWN_DELAY_MS
+    );
+  } else {
+    gameState.fallenPlayers[playerId] = { respawnAt: null };
+    console.log(`💀 ${playerId} fell with no lives left - only a restart vote brings them back`);
+    emitToRoom(room, 'restartVoteMessage', {
+      message: '💀 Out of lives! Vote to restart the run from Level 1.',
+    });
+  }
 
-      if (slime.stunDuration <= 0) {
-        slime.isStunned = false;
-        console.log(`🟢 Slime ${index} is no longer stunned`);
-      }
-      return; // Skip movement when stunned
-    }
+  // The survivor plays on - don't leave the turn with someone who can't take it
+  if (gameState.currentPlayerTurn === playerId && Object.keys(gameState.players).length > 0) {
+    switchTurn(room);
+  }
+}
 
-    let attacked = false;
-    // Check for adjacent players to attack (priority over movement)
-    for (const playerId in gameState.players) {
-      const player = gameState.players[playerId];
-      const dx = Math.abs(player.x - slime.x);
-      const dy = Math.abs(player.y - slime.y);
+// Helper function to put a fallen player back at the active checkpoint (or their spawn)
+function respawnPlayer(room, playerId) {
+  const { gameState } = room;
+  const player = room.fallenPlayers[playerId];
+  if (!player) {
+    return;
+  }
 
-      if ((dx === 1 && dy === 0) || (dx === 0 && dy === 1)) {
-        // Player is adjacent, ATTACK!
-        player.health -= 1;
-        console.log(
-          `🔴 SLIME ATTACK: Player ${playerId} was attacked by ${slime.id}! Health is now ${player.health}`
-        );
-        attacked = true;
-        slime.hasMoved = true;
-
-        // Calculate attack direction for sprite flipping
-        let attackDirection = 'right'; // Default
-        if (player.x < slime.x) {
-          attackDirection = 'left'; // Player is to the left of slime
-        } else if (player.x > slime.x) {
-          attackDirection = 'right'; // Player is to the right of slime
-        }
-        // For vertical attacks (up/down), keep the slime's last move direction
-        else if (slime.lastMoveDirection) {
-          attackDirection = slime.lastMoveDirection;
-        }
+  const checkpoint = (gameState.checkpoints || []).find(c => c.isActive);
+  const spawn = findRespawnTile(gameState, checkpoint || room.startingPositions[playerId]);
+  player.x = spawn.x;
+  player.y = spawn.y;
+  player.health = PLAYER_MAX_HEALTH;
 
-        console.log(`🔴 EMITTING playAttackAnimation for slime ${slime.id} attacking ${playerId}`);
-        // Notify clients to play animation with direction
-        io.emit('playAttackAnimation', {
-          attackerId: slime.id,
-          victimId: playerId,
-          direction: attackDirection,
-        });
+  delete room.fallenPlayers[playerId];
+  delete gameState.fallenPlayers[playerId];
+  gameState.players[playerId] = player;
+  console.log(`✨ ${playerId} respawned at (${player.x}, ${player.y})`);
 
-        // Check for player death
-        if (player.health <= 0) {
-          console.log(`💀 Player ${playerId} has been defeated!`);
+  // Coming back on a plate presses it
+  updatePressurePlates(room);
 
-          // Broadcast health=0 first so all clients see it
-          broadcastCustomizedGameState();
+  emitToRoom(room, 'playerRespawned', {
+    playerId: playerId,
+    message: `✨ ${playerId === 'player1' ? 'Player 1' : 'Player 2'} is back${checkpoint ? ' at the checkpoint' : ''}!`,
+  });
 
-          // Send death notification to victim
-          io.emit('playerDied', { playerId: playerId });
+  // Both had fallen: the first one back takes the turn
+  if (!gameState.players[gameState.currentPlayerTurn]) {
+    gameState.currentPlayerTurn = playerId;
+    gameState.actionsRemaining = 2;
+    scheduleBotTurn(room);
+  }
 
-          // Send death message to other players
-          const victimName = playerId === 'player1' ? 'Player 1' : 'Player 2';
-          console.log(`🔔 SENDING deathMessage: ${victimName} died! (deadPlayerId: ${playerId})`);
-          io.emit('deathMessage', {
-            message: `💀 ${victimName} died!`,
-            deadPlayerId: playerId,
-          });
+  broadcastCustomizedGameState(room);
+}
 
-          delete gameState.players[playerId];
-        }
-        break; // Slime attacks one player and ends its turn
-      }
+// Helper function to find the free tile nearest to a respawn point
+// Spreads out from the point the way a player could walk, passing over tiles that are taken by
+// the partner, an enemy or a crate (or would knock the player straight back down). Falls back to
+// the point itself when every reachable tile is taken.
+function findRespawnTile(gameState, point) {
+  const isFree = ({ x, y }) =>
+    !Object.values(gameState.players).some(player => player.x === x && player.y === y) &&
+    !(gameState.enemies || []).some(enemy => isOnEnemy(enemy, x, y)) &&
+    !findCrateAt(gameState, x, y) &&
+    !findUndousedFire(gameState, x, y) &&
+    !(gameState.trapDoors || []).some(trap => trap.x === x && trap.y === y && !trap.isOpen);
+
+  const visited = new Set([`${point.x},${point.y}`]);
+  const queue = [{ x: point.x, y: point.y }];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (isFree(current)) {
+      return current;
     }
 
-    // If no attack was made, then check for movement
-    if (!attacked) {
-      // Check if any player is within activation range (2 tiles)
-      const players = Object.values(gameState.players);
-      const playersInRange = players.filter(player => {
-        const distance = calculateDistance(slime, player);
-        return distance <= 2; // Activate when player is within 2 tiles
-      });
-
-      if (playersInRange.length === 0) {
-        console.log(`🟢 Slime ${index} dormant (no players within 2 tiles)`);
-        return; // Skip movement when no players are close enough
+    for (const [direction, delta] of Object.entries(DIRECTION_DELTAS)) {
+      const next = { x: current.x + delta.x, y: current.y + delta.y };
+      const nextKey = `${next.x},${next.y}`;
+      if (
+        visited.has(nextKey) ||
+        next.x < 0 ||
+        next.x >= gameState.gridWidth ||
+        next.y < 0 ||
+        next.y >= gameState.gridHeight
+      ) {
+        continue;
       }
 
-      // Move toward nearest player (only if activated)
-      const nearestPlayer = findNearestPlayer(slime);
-      if (nearestPlayer) {
-        const distance = calculateDistance(slime, nearestPlayer);
-        console.log(`🟢 Slime ${index} activated! Nearest player at distance ${distance}`);
-
-        const moved = moveSlimeToward(slime, nearestPlayer, gameState.slimes);
-        if (!moved) {
-          console.log(`🟢 Slime ${index} could not move (blocked path)`);
-        }
+      const tile = gameState.dungeonLayout[next.y][next.x];
+      const door = findDoorAt(gameState, next.x, next.y);
+      if (
+        tile === TILE_TYPES.WALL ||
+        tile === TILE_TYPES.FIRE_HAZARD ||
+        tile === TILE_TYPES.CHASM ||
+        tile === TILE_TYPES.EXIT ||
+        (door && !door.isUnlocked) ||
+        !canPassGates(gameState, current, next, direction)
+      ) {
+        continue;
       }
-      slime.hasMoved = true;
+
+      visited.add(nextKey);
+      queue.push(next);
     }
-  });
+  }
 
-  // After all slimes have acted, broadcast the updated state
-  broadcastCustomizedGameState();
+  return { x: point.x, y: point.y };
 }
 
-// Snail AI Functions
-function updateSnail() {
-  if (!gameState.snail) {
-    return;
+// Helper function to bring every fallen player back to the board (positions are set by the caller)
+function reviveFallenPlayers(room) {
+  const { gameState } = room;
+  for (const [playerId, player] of Object.entries(room.fallenPlayers)) {
+    player.health = PLAYER_MAX_HEALTH;
+    gameState.players[playerId] = player;
   }
+  room.fallenPlayers = {};
+  gameState.fallenPlayers = {};
 
-  // Check for player interactions first
-  const players = Object.values(gameState.players);
-  const playersNearSnail = players.filter(player => {
-    const distance = calculateDistance(gameState.snail, player);
-    return distance <= 1; // Player must be adjacent to snail
-  });
+  // Downed players get back up too
+  for (const playerId of Object.keys(gameState.downedPlayers)) {
+    if (gameState.players[playerId]) {
+      gameState.players[playerId].health = PLAYER_MAX_HEALTH;
+    }
+  }
+  gameState.downedPlayers = {};
+}
 
-  // If player is near and we haven't interacted recently, send message
-  if (playersNearSnail.length > 0) {
-    // Use timestamp-based cooldown instead of turn-based (5 seconds cooldown)
-    const now = Date.now();
-    if (!gameState.snail.lastInteractionTime || now - gameState.snail.lastInteractionTime > 5000) {
-      const messages = [
-        'Good Day, crawler.',
-        'Where is my key....',
-        'Have you seen any shiny objects?',
-        'The walls here are quite damp.',
-      ];
-      const randomMessage = messages[Math.floor(Math.random() * messages.length)];
+// Handle restart votes - the level restarts once both players want it
+// data: { vote } - true to ask for a restart, false to take the vote back
+function handleRestartVote(room, playerId, data) {
+  const { gameState } = room;
 
-      // Send message to all clients
-      const messageData = {
-        message: randomMessage,
-        snailPos: { x: gameState.snail.x, y: gameState.snail.y },
-      };
-      io.emit('snailMessage', messageData);
+  if (!data || typeof data !== 'object' || typeof data.vote !== 'boolean') {
+    console.warn(`⚠️  Invalid restartVote data from ${playerId}:`, data);
+    return;
+  }
+
+  if (!gameState.gameStarted || gameState.gameWon || gameState.levelTransition) {
+    console.log(`Restart vote rejected: no level in progress`);
+    return;
+  }
 
-      gameState.snail.lastInteractionTime = now;
+  gameState.restartVotes[playerId] = data.vote;
+  // The shared hot-seat keyboard speaks for both players, and the AI partner always agrees
+  for (const [seatId, seat] of Object.entries({ ...gameState.players, ...room.fallenPlayers })) {
+    if (room.hotSeat || seat.isBot) {
+      gameState.restartVotes[seatId] = data.vote;
     }
   }
+  console.log(`🔁 ${playerId} ${data.vote ? 'votes to restart' : 'withdrew their restart vote'}`);
 
-  // Move snail horizontally within its range
-  const newX = gameState.snail.x + gameState.snail.direction;
+  if (gameState.restartVotes.player1 && gameState.restartVotes.player2) {
+    restartLevel(room);
+    return;
+  }
 
-  // Check boundaries based on movement range
-  const leftBound = gameState.snail.startX - gameState.snail.moveRange;
-  const rightBound = gameState.snail.startX + 1; // Allow snail to reach startX position (4 tiles total)
+  const name = playerId === 'player1' ? 'Player 1' : 'Player 2';
+  emitToRoom(room, 'restartVoteMessage', {
+    message: data.vote
+      ? `🔁 ${name} wants to restart the level - vote too to agree.`
+      : `🔁 ${name} withdrew their restart vote.`,
+  });
+  broadcastCustomizedGameState(room);
+}
 
-  // Check if we hit a wall or boundary
-  if (
-    newX <= leftBound ||
-    newX >= rightBound ||
-    newX < 0 ||
-    newX >= gameState.gridWidth ||
-    (gameState.dungeonLayout[gameState.snail.y] &&
-      gameState.dungeonLayout[gameState.snail.y][newX] === TILE_TYPES.WALL)
-  ) {
-    // Reverse direction
-    gameState.snail.direction *= -1;
-  } else {
-    // Valid move
-    gameState.snail.x = newX;
+// Helper function to restart the current level, or the whole run once the lives are used up
+function restartLevel(room) {
+  const { gameState } = room;
+  const outOfLives = gameState.livesRemaining <= 0 && Object.keys(room.fallenPlayers).length > 0;
+
+  if (outOfLives) {
+    gameState.currentLevel = Object.keys(LEVELS)[0];
+    gameState.levelProgression = 1;
+    gameState.livesRemaining = RUN_LIVES;
   }
-}
 
-// Helper function to switch turns and reset actions
-function switchTurn() {
-  console.log(`🔄 SWITCHING TURN from ${gameState.currentPlayerTurn}...`);
+  loadNewMap(room, gameState.currentLevel);
+
+  // Everyone starts the level fresh
+  gameState.gameWon = false;
+  gameState.currentPlayerTurn = 'player1';
+  gameState.actionsRemaining = 2;
+  for (const [playerId, player] of Object.entries(gameState.players)) {
+    player.x = room.startingPositions[playerId].x;
+    player.y = room.startingPositions[playerId].y;
+    player.health = PLAYER_MAX_HEALTH;
+  }
+  ensureSafeStartingPositions(room);
+  grantStartingItems(room);
 
-  gameState.currentPlayerTurn = gameState.currentPlayerTurn === 'player1' ? 'player2' : 'player1';
-  gameState.actionsRemaining = 2; // Reset actions to 2 for the new turn
   console.log(
-    `Turn switched to: ${gameState.currentPlayerTurn} (${gameState.actionsRemaining} actions remaining)`
+    `🔁 [${room.id}] Restarted ${gameState.currentLevel}${outOfLives ? ' (new run)' : ''}`
   );
+  emitToRoom(room, 'levelRestarted', {
+    message: outOfLives ? '🔁 New run! Back to Level 1.' : '🔁 Level restarted!',
+  });
+  publishLobbyEvent(room, 'updated');
 
-  // Reset slime actions for the new turn
-  if (gameState.slimes) {
-    gameState.slimes.forEach(slime => {
-      slime.hasMoved = false;
-    });
-  }
+  broadcastCustomizedGameState(room);
+  scheduleBotTurn(room);
+}
+
+// === AI PARTNER ===
+// Single-player games seat a server-side partner in the player2 slot. It plays its turns through
+// the same request handlers as a human, so it is bound by exactly the same rules.
+const BOT_PLAYER_ID = 'player2';
+const BOT_NAME = 'Partner Bot';
+const BOT_ACTION_DELAY_MS = 700; // Pause between bot actions so the human can follow them
+const BOT_PLATE_ASSIST_RANGE = 2; // How close the human must be to a closed trap for the bot to help
+
+const DIRECTION_DELTAS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
+
+// Helper function to seat the AI partner in a room and start the game
+function addBotPartner(room) {
+  const { gameState } = room;
+
+  gameState.players[BOT_PLAYER_ID] = {
+    ...createPlayer(room, BOT_PLAYER_ID, null, BOT_NAME),
+    isBot: true,
+  };
 
-  console.log('🟢 About to update slimes after turn switch...');
-  // Update slimes after turn switch
-  // Add delay to allow any ongoing animations to complete
-  setTimeout(() => {
-    updateSlimes();
+  console.log(`🤖 ${BOT_NAME} joined ${room.id} as ${BOT_PLAYER_ID}`);
 
-    console.log('📡 Broadcasting updated game state after turn switch and slime update...');
-    // Broadcast updated game state after entity movement
-    broadcastCustomizedGameState();
-  }, 600); // 600ms delay to allow attack animations to complete
+  broadcastCustomizedGameState(room);
+  startGame(room);
+}
 
-  // Note: Snail now moves continuously via timer, not per turn
+// Helper function to let the AI partner act if it is its turn
+function scheduleBotTurn(room) {
+  const { gameState } = room;
+  const player = gameState.players[gameState.currentPlayerTurn];
+  if (player && player.isBot) {
+    setRoomTimeout(room, () => takeBotAction(room, player.id), BOT_ACTION_DELAY_MS);
+  }
 }
 
-// Initialize with Level 1 tilemap on server startup
-console.log('🎮 Initializing server with simplified map system...');
-loadNewMap('level1'); // Start with Level 1 as intended
+// Helper function to perform one action of the AI partner's turn
+function takeBotAction(room, botId) {
+  const { gameState } = room;
+  const bot = gameState.players[botId];
 
-// Console commands for testing
-console.log('\n🎮 TESTING COMMANDS:');
-console.log('📝 Available levels:');
-console.log('   Level 1: The Key and the Door (cooperative puzzle)');
-console.log('   Level 2: Pressure and Peril (advanced mechanics) - Coming soon');
-console.log('💡 To switch levels during development:');
-console.log('   - Use: loadNewMap("level1") or loadNewMap("level2")');
-console.log('');
+  if (
+    !bot ||
+    !gameState.gameStarted ||
+    gameState.gameWon ||
+    gameState.disconnectedPlayer ||
+    gameState.currentPlayerTurn !== botId
+  ) {
+    return; // Nothing to do (the game moved on while we were waiting)
+  }
 
-// Socket.io connection handling
-io.on('connection', socket => {
-  console.log('A user connected:', socket.id);
+  if (room.enemyPhasePending) {
+    scheduleBotTurn(room); // Let the enemies finish first
+    return;
+  }
 
-  // Find an available player slot
-  const playerId = findAvailablePlayerSlot();
-
-  if (playerId) {
-    // Check if this is a reconnection
-    const isReconnection =
-      gameState.disconnectedPlayer && gameState.disconnectedPlayer.playerId === playerId;
-
-    // Initialize player in game state
-    gameState.players[playerId] = {
-      id: playerId,
-      socketId: socket.id,
-      x: startingPositions[playerId].x,
-      y: startingPositions[playerId].y,
-      lastMoveDirection: null, // Track direction for sprite flipping
-      health: 3, // Players start with 3 health points
-      actionsRemaining: 2, // Reset actions each turn
-    };
+  const actionsBefore = gameState.actionsRemaining;
+  const action = chooseBotAction(room, bot);
+  console.log(`🤖 ${botId} at (${bot.x}, ${bot.y}) decides to ${action.type}`, action);
+
+  switch (action.type) {
+    case 'move':
+      handleMoveRequest(room, botId, { direction: action.direction });
+      break;
+    case 'useItem':
+      handleUseItemRequest(room, botId, { item: ITEM_TYPES.DOUSE_FIRE, target: action.target });
+      break;
+    case 'attack':
+      handlePlayerAttack(room, botId, { enemyId: action.enemyId });
+      break;
+    case 'revive':
+      handleReviveRequest(room, botId);
+      break;
+    default:
+      handleEndTurn(room, botId);
+      return;
+  }
 
-    if (isReconnection) {
-      console.log(`🔄 ${playerId} reconnected! Resuming game...`);
-      gameState.disconnectedPlayer = null; // Clear disconnect info
+  // Keep playing while the turn lasts, but hand it back if the action was refused
+  if (gameState.currentPlayerTurn === botId && gameState.players[botId] && !gameState.gameWon) {
+    if (gameState.actionsRemaining === actionsBefore) {
+      handleEndTurn(room, botId);
+    } else if (gameState.actionsRemaining > 0) {
+      scheduleBotTurn(room);
+    }
+  }
+}
 
-      // If it was an active game, restore it
-      if (gameState.disconnectedPlayer && gameState.disconnectedPlayer.wasInGame) {
-        // Could restore game state here if needed
-      }
-    } else {
-      console.log(`✨ ${playerId} joined fresh`);
+// Helper function to decide the AI partner's next action
+function chooseBotAction(room, bot) {
+  const { gameState } = room;
+  const partner = Object.values(gameState.players).find(player => player.id !== bot.id);
+
+  // Fight back against enemies next to us
+  const adjacentEnemy = (gameState.enemies || []).find(
+    enemy =>
+      getEnemyType(enemy).hostile &&
+      !enemy.isStunned &&
+      isEnemyVulnerable(enemy) &&
+      getDistanceToEnemy(enemy, bot) === 1
+  );
+  if (adjacentEnemy) {
+    return { type: 'attack', enemyId: adjacentEnemy.id };
+  }
+
+  // Get a downed partner back up before anything else
+  if (partner && gameState.downedPlayers[partner.id]) {
+    if (isAdjacent(bot, partner)) {
+      return { type: 'revive' };
     }
+    const besidePartner = findTileBeside(room, bot, partner);
+    return besidePartner ? stepToward(room, bot, besidePartner) : { type: 'wait' };
+  }
 
-    console.log(`Assigned ${playerId} to socket ${socket.id}`);
+  // Hold a pressure plate while the partner needs the trap it controls open, or to keep a
+  // boss's weak point exposed for them
+  const goal =
+    findPlateToHold(room, bot, partner) ||
+    findWeakPointPlate(room, bot) ||
+    chooseBotGoal(room, bot);
+  if (!goal || (bot.x === goal.x && bot.y === goal.y)) {
+    return { type: 'wait' };
+  }
 
-    // Send initial game state to the connecting player with customized view
-    const customizedState = {
-      ...gameState,
-      yourPlayerId: playerId,
-      yourItem: gameState.playerItems[playerId] || null, // Only send this player's item
-    };
-    // Remove sensitive data (other player's items)
-    delete customizedState.playerItems;
+  return stepToward(room, bot, goal);
+}
+
+// Helper function to find the pressure plate the partner needs us on (null if none)
+function findPlateToHold(room, bot, partner) {
+  const { gameState } = room;
+  if (!partner || !gameState.trapDoors || !gameState.pressurePlates) {
+    return null;
+  }
+
+  let bestPlate = null;
+  let bestPathLength = Infinity;
+
+  gameState.trapDoors.forEach(trap => {
+    const plates = getControllingPlates(trap).map(index => gameState.pressurePlates[index]);
+
+    // Already held open by someone else
+    const heldByOthers = plates.some(
+      plate => plate.isPressed && !(bot.x === plate.x && bot.y === plate.y)
+    );
+    const partnerDistance = Math.abs(partner.x - trap.x) + Math.abs(partner.y - trap.y);
+    if (heldByOthers || partnerDistance > BOT_PLATE_ASSIST_RANGE) {
+      return;
+    }
 
-    socket.emit('gameState', customizedState);
+    for (const plate of plates) {
+      if (bot.x === plate.x && bot.y === plate.y) {
+        bestPlate = plate; // Stay put - stepping off could close the trap under our partner
+        bestPathLength = 0;
+        return;
+      }
+      const path = findBotPath(room, bot, plate);
+      if (path && path.length < bestPathLength) {
+        bestPlate = plate;
+        bestPathLength = path.length;
+      }
+    }
+  });
 
-    // Notify all other players of the updated game state (customized for each player)
-    broadcastCustomizedGameState();
+  return bestPlate;
+}
 
-    // Check if we can start the game (both players connected)
-    startGame();
+// Helper function to find the closest pressure plate that exposes an enemy's weak point
+// (null if no enemy has one)
+function findWeakPointPlate(room, bot) {
+  const { gameState } = room;
+  const plates = (gameState.enemies || [])
+    .filter(enemy => enemy.signal)
+    .flatMap(enemy => enemy.signal.plates.map(index => gameState.pressurePlates[index]));
+
+  let bestPlate = null;
+  let bestPathLength = Infinity;
+  for (const plate of plates) {
+    if (bot.x === plate.x && bot.y === plate.y) {
+      return plate; // Stay put - the weak point closes as soon as we step off
+    }
+    const path = findBotPath(room, bot, plate);
+    if (path && path.length < bestPathLength) {
+      bestPlate = plate;
+      bestPathLength = path.length;
+    }
+  }
+  return bestPlate;
+}
 
-    // Handle use item requests from this client
-    socket.on('useItemRequest', data => {
-      try {
-        // Validate input data
-        if (!data || typeof data !== 'object') {
-          console.warn(`⚠️  Invalid useItemRequest data from ${playerId}:`, data);
-          return;
-        }
+// Helper function to find the closest reachable tile next to a position (null if none)
+function findTileBeside(room, bot, position) {
+  let bestTile = null;
+  let bestPathLength = Infinity;
+  Object.values(DIRECTION_DELTAS).forEach(delta => {
+    const tile = { x: position.x + delta.x, y: position.y + delta.y };
+    const path = findBotPath(room, bot, tile);
+    if (path && path.length < bestPathLength) {
+      bestTile = tile;
+      bestPathLength = path.length;
+    }
+  });
+  return bestTile;
+}
 
-        const { item } = data;
-        const player = gameState.players[playerId];
+// Helper function to pick where the AI partner should be heading for the current level
+function chooseBotGoal(room, bot) {
+  const { gameState } = room;
+  const throughFires = hasItem(gameState, bot.id, ITEM_TYPES.DOUSE_FIRE);
+  const key = (gameState.pickups || []).find(
+    pickup =>
+      Object.values(DOOR_KEYS).includes(pickup.item) &&
+      findBotPath(room, bot, pickup, { throughFires })
+  );
 
-        if (!player) {
-          console.warn(`⚠️  useItemRequest from non-existent player: ${playerId}`);
-          return;
-        }
+  if (key) {
+    return key; // Go and fetch the key
+  }
 
-        if (!item || typeof item !== 'string') {
-          console.warn(`⚠️  Invalid item from ${playerId}:`, item);
-          return;
-        }
+  const door = (gameState.doors || []).find(exitDoor => exitDoor.isExit);
+  if (door) {
+    // Carrying the key we unlock the door on arrival; otherwise wait beside it for our partner
+    const canEnter = door.isUnlocked || isBotWalkable(room, bot, door.x, door.y, throughFires);
+    return canEnter ? door : findTileBeside(room, bot, door) || door;
+  }
 
-        // Validate item is one of the allowed types
-        const validItems = Object.values(ITEM_TYPES);
-        if (!validItems.includes(item)) {
-          console.warn(`⚠️  Unknown item type '${item}' from ${playerId}`);
-          return;
+  // Exit-based levels: head for the closest exit tile
+  let closestExit = null;
+  let closestPathLength = Infinity;
+  gameState.dungeonLayout.forEach((row, y) => {
+    row.forEach((tile, x) => {
+      if (tile === TILE_TYPES.EXIT) {
+        const path = findBotPath(room, bot, { x, y }, { throughFires });
+        if (path && path.length < closestPathLength) {
+          closestExit = { x, y };
+          closestPathLength = path.length;
         }
+      }
+    });
+  });
+  return closestExit;
+}
 
-        // Check if game has started and it's this player's turn
-        if (!gameState.gameStarted) {
-          console.log(`Use item rejected: Game not started`);
-          return;
-        }
+// Helper function to turn a goal into a move, or a douse when a fire is in the way
+function stepToward(room, bot, goal) {
+  const { gameState } = room;
+  const canDouse = hasItem(gameState, bot.id, ITEM_TYPES.DOUSE_FIRE);
 
-        if (gameState.currentPlayerTurn !== playerId) {
-          console.log(`Use item rejected: Not ${playerId}'s turn`);
-          return;
-        }
+  const path =
+    findBotPath(room, bot, goal) ||
+    (canDouse && findBotPath(room, bot, goal, { throughFires: true }));
+  if (!path || path.length === 0) {
+    return { type: 'wait' };
+  }
 
-        // Check if player has the item they're trying to use
-        if (gameState.playerItems[playerId] !== item) {
-          console.log(`Use item rejected: ${playerId} doesn't have ${item}`);
-          return;
-        }
+  const next = path[0];
+  if (findUndousedFire(gameState, next.x, next.y)) {
+    return { type: 'useItem', target: next };
+  }
 
-        // === SPECIAL CASE: DOOR ESCAPE ===
-        // Check if player is trying to escape through the door
-        if (
-          gameState.door &&
-          gameState.key &&
-          gameState.key.heldBy === playerId &&
-          gameState.door.isUnlocked &&
-          isAdjacent(player, gameState.door)
-        ) {
-          console.log(`Player ${playerId} is escaping through the door!`);
-
-          // Send escape message to player
-          const socket = io.sockets.sockets.get(gameState.players[playerId].socketId);
-          if (socket) {
-            socket.emit('doorMessage', {
-              message: '🎉 You escaped! Checking if your partner is ready...',
-            });
-          }
+  const direction = Object.keys(DIRECTION_DELTAS).find(
+    name =>
+      bot.x + DIRECTION_DELTAS[name].x === next.x && bot.y + DIRECTION_DELTAS[name].y === next.y
+  );
+  return { type: 'move', direction };
+}
 
-          // Check if both players are at the door for level completion
-          checkDoorWinCondition();
-          return; // Don't process as regular item use
-        }
+// Helper function to find an undoused fire on a tile
+function findUndousedFire(gameState, x, y) {
+  return (gameState.fires || []).find(fire => fire.x === x && fire.y === y && !fire.isDoused);
+}
 
-        // Find adjacent hazard tiles that this item can affect
-        const playerX = player.x;
-        const playerY = player.y;
-        const adjacentPositions = [
-          { x: playerX, y: playerY - 1 }, // Up
-          { x: playerX, y: playerY + 1 }, // Down
-          { x: playerX - 1, y: playerY }, // Left
-          { x: playerX + 1, y: playerY }, // Right
-        ];
-
-        let itemUsed = false;
-
-        for (const pos of adjacentPositions) {
-          // Check bounds
-          if (
-            pos.x < 0 ||
-            pos.x >= gameState.gridWidth ||
-            pos.y < 0 ||
-            pos.y >= gameState.gridHeight
-          ) {
-            continue;
-          }
+// Helper function to check whether the AI partner may step onto a tile
+// Mirrors the move rules, and only crosses trap doors held open by someone else
+function isBotWalkable(room, bot, x, y, throughFires) {
+  const { gameState } = room;
 
-          const tileType = gameState.dungeonLayout[pos.y][pos.x];
-
-          // Check if item can be used on this tile
-          if (item === ITEM_TYPES.DOUSE_FIRE) {
-            // Check for slimes at this position (slime stunning mechanic)
-            if (Array.isArray(gameState.slimes)) {
-              const slimeAtPos = gameState.slimes.find(
-                s => s.x === pos.x && s.y === pos.y && !s.isStunned
-              );
-              if (slimeAtPos) {
-                slimeAtPos.isStunned = true;
-                slimeAtPos.stunDuration = 3; // Stun for 3 turns
-                console.log(
-                  `${playerId} used ${item} to stun slime at (${pos.x}, ${pos.y}) for 3 turns`
-                );
-
-                // Send message to all clients about slime stunning
-                io.emit('slimeMessage', {
-                  message: `🟢 Slime stunned! Slime is immobilized for 3 turns.`,
-                  playerId: playerId,
-                });
-
-                itemUsed = true;
-              }
-            }
+  if (x < 0 || x >= gameState.gridWidth || y < 0 || y >= gameState.gridHeight) {
+    return false;
+  }
 
-            // Check fires array (used by both Level 1 and Level 2)
-            if (Array.isArray(gameState.fires)) {
-              const fireAtPos = gameState.fires.find(
-                f => f.x === pos.x && f.y === pos.y && !f.isDoused
-              );
-              if (fireAtPos) {
-                fireAtPos.isDoused = true;
-                console.log(`${playerId} used ${item} to douse fire at (${pos.x}, ${pos.y})`);
-                itemUsed = true;
-              }
-            } else if (tileType === TILE_TYPES.FIRE_HAZARD) {
-              // Fallback for other levels - use dungeon layout
-              gameState.dungeonLayout[pos.y][pos.x] = TILE_TYPES.FLOOR;
-              console.log(`${playerId} used ${item} to douse fire at (${pos.x}, ${pos.y})`);
-              itemUsed = true;
-            }
-          }
-        }
+  const tile = gameState.dungeonLayout[y][x];
+  if (tile === TILE_TYPES.WALL || tile === TILE_TYPES.FIRE_HAZARD || tile === TILE_TYPES.CHASM) {
+    return false;
+  }
 
-        if (itemUsed) {
-          // Mark douse fire as used for this level if it was a douse fire item
-          if (item === ITEM_TYPES.DOUSE_FIRE) {
-            gameState.douseFireUsed[playerId] = true;
-            // Remove the item immediately since it's now used up for this level
-            gameState.playerItems[playerId] = null;
-            console.log(
-              `🔥 ${playerId} has used their douse fire for this level and won't get another until next level`
-            );
-          }
+  if (findUndousedFire(gameState, x, y)) {
+    return throughFires;
+  }
 
-          // Decrement actions remaining after successful item use
-          gameState.actionsRemaining--;
-          console.log(
-            `${playerId} used 1 action (item), ${gameState.actionsRemaining} actions remaining`
-          );
-
-          // Auto-switch turns if no actions remaining
-          if (gameState.actionsRemaining <= 0) {
-            switchTurn();
-            // Reassign new random items for next turn
-            assignRandomItems();
-          }
+  // The AI partner leaves the crates to the humans
+  if (
+    findHostileEnemyAt(gameState, x, y) ||
+    isTileAimedAt(gameState, x, y) ||
+    findCrateAt(gameState, x, y)
+  ) {
+    return false;
+  }
 
-          // Broadcast updated game state to all clients
-          broadcastCustomizedGameState();
-        } else {
-          console.log(`${playerId} tried to use ${item} but no valid targets found`);
-          console.log(`Player at (${playerX}, ${playerY}), adjacent tiles checked:`);
-          for (const pos of adjacentPositions) {
-            if (
-              pos.x >= 0 &&
-              pos.x < gameState.gridWidth &&
-              pos.y >= 0 &&
-              pos.y < gameState.gridHeight
-            ) {
-              console.log(
-                `  (${pos.x}, ${pos.y}): tile type ${gameState.dungeonLayout[pos.y][pos.x]}`
-              );
-            }
-          }
-        }
-      } catch (itemError) {
-        console.error(`❌ Error processing item use for ${playerId}:`, itemError);
-        // Send error state to player
-        socket.emit('gameError', {
-          message: 'Item use processing failed',
-          error: itemError.message,
-        });
-      }
+  const trap = (gameState.trapDoors || []).find(trapDoor => trapDoor.x === x && trapDoor.y === y);
+  if (trap && trap.signal && trap.signal.logic === SIGNAL_LOGIC.TIMED) {
+    return trap.isOpen && trap.openTurnsLeft > 0; // Still open once this turn is over
+  }
+  if (trap) {
+    const heldByOthers = getControllingPlates(trap).some(plateIndex => {
+      const plate = gameState.pressurePlates[plateIndex];
+      return plate.isPressed && !(bot.x === plate.x && bot.y === plate.y);
     });
+    return trap.isOpen && heldByOthers;
+  }
 
-    // Handle move requests from this client
-    socket.on('moveRequest', data => {
-      try {
-        // Validate input data
-        if (!data || typeof data !== 'object') {
-          console.warn(`⚠️  Invalid moveRequest data from ${playerId}:`, data);
-          return;
-        }
+  // Locked doors only let in whoever carries their key (walking into one opens it)
+  const door = findDoorAt(gameState, x, y);
+  if (door && !door.isUnlocked) {
+    return !door.signal && hasItem(gameState, bot.id, DOOR_KEYS[door.color]);
+  }
 
-        const { direction } = data;
-        const player = gameState.players[playerId];
+  return true;
+}
 
-        if (!player) {
-          console.warn(`⚠️  moveRequest from non-existent player: ${playerId}`);
-          return;
-        }
+// Helper function to find the shortest path for the AI partner (breadth-first search)
+// Returns the tiles to step on, excluding the starting tile, or null when the goal is unreachable
+function findBotPath(room, bot, goal, { throughFires = false } = {}) {
+  const start = `${bot.x},${bot.y}`;
+  const previous = new Map([[start, null]]);
+  const queue = [{ x: bot.x, y: bot.y }];
 
-        if (!direction || typeof direction !== 'string') {
-          console.warn(`⚠️  Invalid direction from ${playerId}:`, direction);
-          return;
-        }
+  while (queue.length > 0) {
+    const current = queue.shift();
 
-        // Validate direction is one of the allowed values
-        const validDirections = ['up', 'down', 'left', 'right'];
-        if (!validDirections.includes(direction)) {
-          console.warn(`⚠️  Invalid direction '${direction}' from ${playerId}`);
-          return;
-        }
+    if (current.x === goal.x && current.y === goal.y) {
+      const path = [];
+      for (let step = current; step; step = previous.get(`${step.x},${step.y}`)) {
+        path.unshift(step);
+      }
+      return path.slice(1);
+    }
 
-        // Check if game has started and it's this player's turn
-        if (!gameState.gameStarted) {
-          console.log(`Move rejected: Game not started (waiting for both players)`);
-          return;
-        }
+    for (const [direction, delta] of Object.entries(DIRECTION_DELTAS)) {
+      const next = { x: current.x + delta.x, y: current.y + delta.y };
+      const nextKey = `${next.x},${next.y}`;
+      if (
+        !previous.has(nextKey) &&
+        isBotWalkable(room, bot, next.x, next.y, throughFires) &&
+        canPassGates(room.gameState, current, next, direction)
+      ) {
+        previous.set(nextKey, current);
+        queue.push(next);
+      }
+    }
+  }
 
-        if (gameState.currentPlayerTurn !== playerId) {
-          console.log(
-            `Move rejected: Not ${playerId}'s turn (current: ${gameState.currentPlayerTurn})`
-          );
-          return;
-        }
+  return null;
+}
 
-        // Calculate new position based on direction
-        let deltaX = 0,
-          deltaY = 0;
-        switch (direction) {
-          case 'up':
-            deltaY = -1;
-            break;
-          case 'down':
-            deltaY = 1;
-            break;
-          case 'left':
-            deltaX = -1;
-            break;
-          case 'right':
-            deltaX = 1;
-            break;
-          default:
-            return; // Invalid direction
-        }
+// Helper function to create a player at their slot's starting position
+function createPlayer(room, playerId, socketId, playerName) {
+  return {
+    id: playerId,
+    socketId: socketId,
+    name: sanitizePlayerName(playerName, playerId === 'player1' ? 'Player 1' : 'Player 2'),
+    x: room.startingPositions[playerId].x,
+    y: room.startingPositions[playerId].y,
+    lastMoveDirection: null, // Track direction for sprite flipping
+    health: PLAYER_MAX_HEALTH, // Players start with 3 health points
+    actionsRemaining: 2, // Reset actions each turn
+    connected: true, // False while the slot is held for a reconnecting player
+  };
+}
 
-        const newX = player.x + deltaX;
-        const newY = player.y + deltaY;
+// Helper function to seat a socket in a free player slot of a room
+function joinRoom(socket, room, playerId, playerName) {
+  const { gameState } = room;
+
+  // Initialize player in game state
+  gameState.players[playerId] = createPlayer(room, playerId, socket.id, playerName);
+
+  // Bind the socket to this room so broadcasts and requests are scoped to it
+  socket.data.roomId = room.id;
+  socket.data.playerId = playerId;
+  socket.join(room.id);
+  socket.leave(LOBBY_CHANNEL);
+
+  console.log(`✨ ${playerId} joined ${room.id} fresh`);
+  console.log(`Assigned ${playerId} in ${room.id} to socket ${socket.id}`);
+
+  // Tell the player which room they are in, how to invite their partner and how to come back
+  socket.emit('roomJoined', {
+    roomCode: room.id,
+    inviteUrl: buildInviteUrl(socket, room.id),
+    isPrivate: room.isPrivate,
+    playerId: playerId,
+    sessionToken: issueSessionToken(room, playerId),
+  });
 
-        // Validate move (bounds check and collision detection)
-        if (newX < 0 || newX >= gameState.gridWidth || newY < 0 || newY >= gameState.gridHeight) {
-          return; // Out of bounds
-        }
+  // Send initial game state to the connecting player with customized view
+  socket.emit('gameState', createCustomizedGameState(room, playerId));
 
-        const targetTile = gameState.dungeonLayout[newY][newX];
+  // Notify all other players of the updated game state (customized for each player)
+  broadcastCustomizedGameState(room);
 
-        // Check for walls
-        if (targetTile === TILE_TYPES.WALL) {
-          return; // Hit a wall
-        }
+  // Empty rooms are destroyed, so the only player in a room is the one who just opened it
+  const playerCount = getConnectedPlayerCount(room);
+  if (playerCount === 1) {
+    room.hostName = gameState.players[playerId].name;
+    publishLobbyEvent(room, 'created');
+  } else if (playerCount === MAX_PLAYERS_PER_ROOM) {
+    publishLobbyEvent(room, 'filled');
+  }
 
-        // Check for hazards - players cannot move onto hazards without using items
-        if (targetTile === TILE_TYPES.FIRE_HAZARD || targetTile === TILE_TYPES.CHASM) {
-          console.log(`Move blocked: ${playerId} tried to move onto hazard at (${newX}, ${newY})`);
-          return; // Cannot move onto hazards directly
-        }
+  // Check if we can start the game (both players connected)
+  startGame(room);
+}
 
-        // Prevent movement onto undoused fire tiles (from fires array)
-        if (Array.isArray(gameState.fires)) {
-          const fireAtTarget = gameState.fires.find(
-            f => f.x === newX && f.y === newY && !f.isDoused
-          );
-          if (fireAtTarget) {
-            console.log(
-              `Move blocked: ${playerId} tried to move onto undoused fire at (${newX}, ${newY})`
-            );
-            return; // Cannot move onto undoused fire
-          }
-        }
+// Helper function to let a socket watch a room whose player slots are taken
+// Spectators are in the Socket.IO room, so they receive every event broadcast to the players
+function joinAsSpectator(socket, room) {
+  socket.data.roomId = room.id;
+  socket.data.spectating = true;
+  socket.join(room.id);
+  socket.leave(LOBBY_CHANNEL);
+  room.spectators.add(socket.id);
 
-        // Check for active trap - allow movement first, then trigger death
-        let willDieOnTrap = false;
-        if (gameState.trapDoors) {
-          const trapAtTarget = gameState.trapDoors.find(
-            trap => trap.x === newX && trap.y === newY && !trap.isOpen
-          );
-
-          if (trapAtTarget) {
-            console.log(
-              `Player ${playerId} will die by moving onto active trap at (${newX}, ${newY})!`
-            );
-            willDieOnTrap = true;
-            // Don't return here - let the movement complete first
-          }
-        }
+  console.log(
+    `👁️  Socket ${socket.id} is spectating ${room.id} (${room.spectators.size} watching)`
+  );
 
-        // Check for slime collision - players cannot move onto slime tiles
-        if (gameState.slimes) {
-          const isSlimeOnTarget = gameState.slimes.some(
-            slime => slime.x === newX && slime.y === newY
-          );
+  socket.emit('roomJoined', {
+    roomCode: room.id,
+    inviteUrl: buildInviteUrl(socket, room.id),
+    isPrivate: room.isPrivate,
+    playerId: null,
+    isSpectator: true,
+  });
+  socket.emit('gameState', createSpectatorGameState(room));
 
-          if (isSlimeOnTarget) {
-            console.log(`Move blocked: ${playerId} tried to move onto slime at (${newX}, ${newY})`);
-            return; // Abort the move
-          }
-        }
+  // Let players and other spectators see the updated spectator count
+  broadcastCustomizedGameState(room);
+  publishLobbyEvent(room, 'updated');
+}
 
-        // Exit tiles are walkable (no blocking needed)
-
-        // Valid move - update player position and direction in game state
-        player.x = newX;
-        player.y = newY;
-        player.lastMoveDirection = direction; // Store direction for sprite flipping
-
-        // === PRESSURE PLATE DETECTION LOGIC ===
-        if (gameState.pressurePlates) {
-          const plateActivationMessages = [];
-
-          // Check each pressure plate
-          gameState.pressurePlates.forEach((plate, index) => {
-            const wasPressed = plate.isPressed;
-
-            // Check if any player is currently on this pressure plate
-            const playersOnPlate = Object.values(gameState.players).filter(
-              p => p.x === plate.x && p.y === plate.y
-            );
-
-            plate.isPressed = playersOnPlate.length > 0;
-
-            // If this plate's state changed, log it and prepare messages
-            if (wasPressed !== plate.isPressed) {
-              if (plate.isPressed) {
-                const playerOnPlate = playersOnPlate[0];
-                const playerIds = Object.keys(gameState.players);
-                const playerName =
-                  playerIds.indexOf(
-                    playerOnPlate === gameState.players[playerIds[0]] ? playerIds[0] : playerIds[1]
-                  ) === 0
-                    ? 'Player 1'
-                    : 'Player 2';
-                console.log(
-                  `🔘 PRESSURE PLATE ${index + 1} ACTIVATED by ${playerName} at (${plate.x}, ${plate.y})`
-                );
-
-                plateActivationMessages.push({
-                  message: `🔘 Pressure plate ${index + 1} activated by ${playerName}!`,
-                  isPressed: true,
-                });
-              } else {
-                console.log(
-                  `⚪ PRESSURE PLATE ${index + 1} DEACTIVATED at (${plate.x}, ${plate.y})`
-                );
-
-                plateActivationMessages.push({
-                  message: `⚪ Pressure plate ${index + 1} deactivated`,
-                  isPressed: false,
-                });
-              }
-            }
-          });
+// Handle a request to open a new room and wait for a partner
+// Rooms are private (code only) unless the player asks for one listed in the lobby browser
+function handleCreateRoomRequest(socket, data) {
+  if (socket.data.roomId) {
+    socket.emit('roomError', { reason: 'You are already in a room' });
+    return;
+  }
 
-          // === TRAP STATE CHANGES ===
-          // Update trap state based on SPECIFIC pressure plate activation
-          if (gameState.trapDoors && gameState.pressurePlates) {
-            let anyTrapStateChanged = false;
-
-            gameState.trapDoors.forEach((trap, index) => {
-              const wasTrapOpen = trap.isOpen;
-              let shouldBeOpen = false;
-
-              // Specific trap control logic:
-              if (index === 0) {
-                // Trap 1 (14, 10) - controlled by middle pressure plates (indices 0 and 1)
-                shouldBeOpen =
-                  gameState.pressurePlates[0].isPressed || gameState.pressurePlates[1].isPressed;
-              } else if (index === 1 || index === 2) {
-                // Trap 2 (17, 6) and Trap 3 (17, 7) - controlled by left pressure plate (index 2)
-                shouldBeOpen = gameState.pressurePlates[2].isPressed;
-              }
+  const isPrivate = !(data && data.isPrivate === false);
+  const room = createRoom({ isPrivate });
+  if (!room) {
+    socket.emit('roomError', { reason: NO_FREE_ROOM_CODE_REASON });
+    return;
+  }
+  joinRoom(socket, room, findAvailablePlayerSlot(room), data && data.playerName);
+}
 
-              trap.isOpen = shouldBeOpen;
-
-              // Log trap state changes
-              if (wasTrapOpen !== trap.isOpen) {
-                anyTrapStateChanged = true;
-                if (trap.isOpen) {
-                  console.log(
-                    `🟢 TRAP ${index + 1} DISABLED (safe to pass) at (${trap.x}, ${trap.y}) - specific pressure plate active`
-                  );
-                } else {
-                  console.log(
-                    `🔴 TRAP ${index + 1} ACTIVATED (blocks movement) at (${trap.x}, ${trap.y}) - controlling pressure plate inactive`
-                  );
-
-                  // Check for deaths on newly activated trap
-                  if (wasTrapOpen && !trap.isOpen) {
-                    const trapX = trap.x;
-                    const trapY = trap.y;
-
-                    // Check for player deaths
-                    for (const deathPlayerId in gameState.players) {
-                      const checkPlayer = gameState.players[deathPlayerId];
-                      if (checkPlayer.x === trapX && checkPlayer.y === trapY) {
-                        console.log(`Player ${deathPlayerId} died on a trap!`);
-
-                        // Set health to 0 before death
-                        checkPlayer.health = 0;
-
-                        // Broadcast health=0 first so all clients see it
-                        broadcastCustomizedGameState();
-
-                        // Send death notification to victim
-                        io.emit('playerDied', { playerId: deathPlayerId });
-
-                        // Send death message to other players
-                        const victimName = deathPlayerId === 'player1' ? 'Player 1' : 'Player 2';
-                        console.log(
-                          `🔔 SENDING deathMessage: ${victimName} died! (deadPlayerId: ${deathPlayerId})`
-                        );
-                        io.emit('deathMessage', {
-                          message: `💀 ${victimName} died!`,
-                          deadPlayerId: deathPlayerId,
-                        });
-
-                        // Remove player after messages are sent
-                        delete gameState.players[deathPlayerId];
-                      }
-                    }
-
-                    // Check for slime deaths
-                    gameState.slimes = gameState.slimes.filter(slime => {
-                      if (slime.x === trapX && slime.y === trapY) {
-                        console.log(`Slime ${slime.id} died on a trap!`);
-                        return false; // Remove slime from array
-                      }
-                      return true;
-                    });
-
-                    // Don't reassign IDs - keep them stable
-                  }
-                }
-              }
-            });
-
-            // Send specific messages if any trap state changed
-            if (anyTrapStateChanged) {
-              const middleTrapsOpen = gameState.trapDoors[0].isOpen;
-              const rightTrapsOpen = gameState.trapDoors[1].isOpen && gameState.trapDoors[2].isOpen;
-
-              if (middleTrapsOpen && rightTrapsOpen) {
-                io.emit('trapStateMessage', {
-                  message: '🟢 All paths unlocked! Both chambers accessible.',
-                  isOpen: true,
-                });
-              } else if (middleTrapsOpen) {
-                io.emit('trapStateMessage', {
-                  message: '🟢 Middle path unlocked! Right chamber still blocked.',
-                  isOpen: true,
-                });
-              } else if (rightTrapsOpen) {
-                io.emit('trapStateMessage', {
-                  message: '🟢 Right chamber unlocked! Middle path still blocked.',
-                  isOpen: true,
-                });
-              } else {
-                io.emit('trapStateMessage', {
-                  message: '🔴 All paths blocked! Find the pressure plates.',
-                  isOpen: false,
-                });
-              }
-            }
-          }
+// Handle a request to play alone with the AI partner in a private room
+function handleSoloGameRequest(socket, data) {
+  if (socket.data.roomId) {
+    socket.emit('roomError', { reason: 'You are already in a room' });
+    return;
+  }
 
-          // Send pressure plate activation messages
-          plateActivationMessages.forEach(msg => {
-            io.emit('pressurePlateMessage', msg);
-          });
+  const room = createRoom({ isPrivate: true });
+  if (!room) {
+    socket.emit('roomError', { reason: NO_FREE_ROOM_CODE_REASON });
+    return;
+  }
+  joinRoom(socket, room, 'player1', data && data.playerName);
+  addBotPartner(room);
+}
 
-          // Broadcast position updates after pressure plate/trap logic
-          // This ensures all clients see movement before any death processing
-          broadcastCustomizedGameState();
-        }
+// Handle a request to play both slots from one browser, taking turns at the same keyboard
+function handleHotSeatGameRequest(socket) {
+  if (socket.data.roomId) {
+    socket.emit('roomError', { reason: 'You are already in a room' });
+    return;
+  }
 
-        // === KEY PICKUP LOGIC ===
-        if (
-          gameState.key &&
-          !gameState.key.heldBy &&
-          player.x === gameState.key.x &&
-          player.y === gameState.key.y
-        ) {
-          gameState.key.heldBy = playerId;
-          console.log(`Player ${playerId} picked up the key!`);
-        }
+  const room = createRoom({ isPrivate: true });
+  if (!room) {
+    socket.emit('roomError', { reason: NO_FREE_ROOM_CODE_REASON });
+    return;
+  }
+  const { gameState } = room;
+  room.hotSeat = true;
+
+  gameState.players.player1 = createPlayer(room, 'player1', socket.id);
+  gameState.players.player2 = createPlayer(room, 'player2', socket.id);
+  room.hostName = gameState.players.player1.name;
+
+  socket.data.roomId = room.id;
+  socket.data.hotSeat = true;
+  socket.join(room.id);
+  socket.leave(LOBBY_CHANNEL);
+
+  console.log(`🎮 Hot-seat game in ${room.id}: socket ${socket.id} controls both players`);
+
+  // No session token: a hot-seat game ends when its browser disconnects
+  socket.emit('roomJoined', {
+    roomCode: room.id,
+    inviteUrl: null,
+    isPrivate: true,
+    playerId: 'player1',
+    isHotSeat: true,
+  });
 
-        // === DOOR INTERACTION LOGIC ===
-        if (gameState.door) {
-          const isAdjacentToDoor = isAdjacent(player, gameState.door);
-
-          if (isAdjacentToDoor && gameState.key) {
-            if (gameState.key.heldBy === playerId && !gameState.door.isUnlocked) {
-              // Player has key and is adjacent to door - auto-unlock
-              gameState.door.isUnlocked = true;
-              console.log(`Player ${playerId} unlocked the door!`);
-            } else if (!gameState.key.heldBy && !gameState.door.isUnlocked) {
-              // Player is near door but no one has the key yet
-              console.log(`Player ${playerId} approached the door but needs the key first`);
-              // Send reminder message to this specific player
-              const socket = io.sockets.sockets.get(gameState.players[playerId].socketId);
-              if (socket) {
-                socket.emit('doorMessage', {
-                  message: '🔒 You need the key to unlock this door! Find it first.',
-                });
-              }
-            }
-          }
-        }
+  startGame(room);
+}
 
-        console.log(`${playerId} moved to (${newX}, ${newY}) facing ${direction}`);
+// Handle a request to join a partner's room by its code
+function handleJoinRoomRequest(socket, data) {
+  if (socket.data.roomId) {
+    socket.emit('roomError', { reason: 'You are already in a room' });
+    return;
+  }
 
-        // Check for win condition after the move - use appropriate win condition for level
-        let gameWon = false;
-        const levelData = LEVELS[currentLevel];
-        if (levelData && levelData.winCondition === 'door') {
-          // Levels using door-based win condition
-          gameWon = checkDoorWinCondition();
-        } else {
-          // Other levels use exit tile win condition
-          gameWon = checkWinCondition();
-        }
+  const roomCode = normalizeRoomCode(data && data.roomCode);
+  if (!roomCode) {
+    console.warn(`⚠️  Invalid room code from ${socket.id}:`, data);
+    socket.emit('roomError', { reason: 'Room codes look like FIRE-4821' });
+    return;
+  }
 
-        if (!gameWon) {
-          // Decrement actions remaining after valid move
-          gameState.actionsRemaining--;
-          console.log(`${playerId} used 1 action, ${gameState.actionsRemaining} actions remaining`);
+  const room = rooms.get(roomCode);
+  if (!room) {
+    socket.emit('roomError', { reason: `Room ${roomCode} does not exist` });
+    return;
+  }
 
-          // Auto-switch turns if no actions remaining
-          if (gameState.actionsRemaining <= 0) {
-            switchTurn();
-          }
-        }
+  const playerId = findAvailablePlayerSlot(room);
+  if (!playerId) {
+    joinAsSpectator(socket, room);
+    return;
+  }
 
-        // Handle trap death after movement is completed
-        if (willDieOnTrap) {
-          console.log(`Player ${playerId} died on active trap at (${player.x}, ${player.y})!`);
+  joinRoom(socket, room, playerId, data.playerName);
+}
 
-          // Set health to 0 before death
-          player.health = 0;
+// Handle a request to be paired with whoever else is waiting in a public room
+function handleQuickMatchRequest(socket, data) {
+  if (socket.data.roomId) {
+    socket.emit('roomError', { reason: 'You are already in a room' });
+    return;
+  }
 
-          // Broadcast movement first so player is visible on trap
-          broadcastCustomizedGameState();
+  const room = findOpenRoom() || createRoom();
+  if (!room) {
+    socket.emit('roomError', { reason: NO_FREE_ROOM_CODE_REASON });
+    return;
+  }
+  joinRoom(socket, room, findAvailablePlayerSlot(room), data && data.playerName);
+}
 
-          // Small delay to ensure movement is rendered, then trigger death
-          setTimeout(() => {
-            // Send death notification to victim
-            io.emit('playerDied', { playerId: playerId });
+// Handle a socket leaving its room
+function handleDisconnect(socket) {
+  console.log('User disconnected:', socket.id);
+
+  if (socket.data.spectating) {
+    const watchedRoom = rooms.get(socket.data.roomId);
+    if (watchedRoom) {
+      watchedRoom.spectators.delete(socket.id);
+      console.log(`👁️  Spectator ${socket.id} left ${watchedRoom.id}`);
+      broadcastCustomizedGameState(watchedRoom);
+      publishLobbyEvent(watchedRoom, 'updated');
+    }
+    return;
+  }
 
-            // Send death message to other players
-            const victimName = playerId === 'player1' ? 'Player 1' : 'Player 2';
-            console.log(`🔔 SENDING deathMessage: ${victimName} died! (deadPlayerId: ${playerId})`);
-            io.emit('deathMessage', {
-              message: `💀 ${victimName} died!`,
-              deadPlayerId: playerId,
-            });
+  const session = getSocketSession(socket);
+  if (!session) {
+    return;
+  }
+  const { room, playerId } = session;
+  const { gameState } = room;
 
-            delete gameState.players[playerId];
-            broadcastCustomizedGameState();
-          }, 100); // 100ms delay for visual feedback
+  // Both hot-seat players leave with their shared browser
+  if (room.hotSeat) {
+    console.log(`Hot-seat game in ${room.id} ended`);
+    destroyRoom(room);
+    return;
+  }
 
-          return; // Don't broadcast again below
-        }
+  // Put a fallen player back on the board so their slot is held like anyone else's
+  const fallen = room.fallenPlayers[playerId];
+  if (fallen && fallen.socketId === socket.id) {
+    respawnPlayer(room, playerId);
+  }
 
-        // Broadcast updated game state to all clients (customized for each)
-        broadcastCustomizedGameState();
-      } catch (moveError) {
-        console.error(`❌ Error processing move for ${playerId}:`, moveError);
-        // Send error state to player
-        socket.emit('gameError', {
-          message: 'Move processing failed',
-          error: moveError.message,
-        });
-      }
-    });
+  const player = gameState.players[playerId];
+  if (!player || player.socketId !== socket.id) {
+    return;
+  }
+  console.log(`${playerId} disconnected from game`);
 
-    // Handle end turn requests from this client
-    socket.on('endTurn', () => {
-      try {
-        const player = gameState.players[playerId];
+  // A player who drops out of a running game keeps their slot until the grace period ends
+  if (gameState.gameStarted && getConnectedPlayerCount(room) > 1) {
+    holdSlotForReconnection(room, playerId);
+    return;
+  }
 
-        if (!player) {
-          console.warn(`⚠️  endTurn from non-existent player: ${playerId}`);
-          return;
-        }
+  delete gameState.players[playerId];
+  delete room.sessions[playerId];
 
-        // Check if game has started and it's this player's turn
-        if (!gameState.gameStarted) {
-          console.log(`End turn rejected: Game not started`);
-          return;
-        }
+  // Tear the room down once nobody is left in it (the AI partner doesn't play alone)
+  if (getHumanPlayerCount(room) === 0) {
+    destroyRoom(room);
+    return;
+  }
 
-        if (gameState.currentPlayerTurn !== playerId) {
-          console.log(
-            `End turn rejected: Not ${playerId}'s turn (current: ${gameState.currentPlayerTurn})`
-          );
-          return;
-        }
+  console.log(`👋 ${playerId} left while waiting - no active game disrupted`);
 
-        // Player is ending their turn early
-        console.log(
-          `${playerId} ended their turn early (had ${gameState.actionsRemaining} actions remaining)`
-        );
+  // The partner who stayed becomes the host shown in the lobby browser
+  room.hostName = Object.values(gameState.players)[0].name;
+  publishLobbyEvent(room, 'updated');
 
-        // Switch turns immediately
-        switchTurn();
+  broadcastCustomizedGameState(room);
+}
 
-        // Broadcast updated game state to all clients
-        broadcastCustomizedGameState();
-      } catch (endTurnError) {
-        console.error(`❌ Error processing end turn for ${playerId}:`, endTurnError);
-        // Send error state to player
-        socket.emit('gameError', {
-          message: 'End turn processing failed',
-          error: endTurnError.message,
-        });
-      }
-    });
+// Helper function to pause the game and keep a disconnected player's slot, position, health,
+// key and item so they can resume with their session token
+function holdSlotForReconnection(room, playerId) {
+  const { gameState } = room;
+  const player = gameState.players[playerId];
 
-    // Handle player attack requests
-    socket.on('playerAttack', ({ slimeId }) => {
-      const player = gameState.players[playerId];
+  player.connected = false;
+  player.socketId = null;
 
-      console.log(`🎯 Player ${playerId} attempting to attack slime: ${slimeId}`);
-      console.log(
-        `🟢 Available slimes:`,
-        gameState.slimes?.map(s => ({ id: s.id, x: s.x, y: s.y, health: s.health }))
-      );
+  const now = Date.now();
+  gameState.disconnectedPlayer = {
+    playerId: playerId,
+    disconnectTime: now,
+    reconnectDeadline: now + RECONNECT_GRACE_PERIOD_MS,
+  };
 
-      const slime = gameState.slimes?.find(s => s.id === slimeId);
+  // The world stands still while the game is paused
+  stopRealtimeTicks(room);
 
-      if (!player || !slime || gameState.actionsRemaining <= 0) {
-        // Validation failed
-        console.log(
-          `Attack rejected: player=${!!player}, slime=${!!slime}, actions=${gameState.actionsRemaining}`
-        );
-        return;
-      }
+  console.log(
+    `⏸️  Game paused in ${room.id}: holding ${playerId}'s slot for ${RECONNECT_GRACE_PERIOD_MS / 1000}s`
+  );
 
-      // 1. Validate adjacency
-      const dx = Math.abs(player.x - slime.x);
-      const dy = Math.abs(player.y - slime.y);
-      if ((dx === 1 && dy === 0) || (dx === 0 && dy === 1)) {
-        // 2. Reduce slime health
-        slime.health -= 1;
-        console.log(`Slime ${slime.id} was hit! Health is now ${slime.health}`);
-
-        // 3. Check for slime death
-        if (slime.health <= 0) {
-          gameState.slimes = gameState.slimes.filter(s => s.id !== slimeId);
-          console.log(`Slime ${slime.id} defeated!`);
-
-          // Don't reassign IDs - keep them stable
-          // This prevents confusion when tracking which slime is which
-        }
+  room.reconnectTimeout = setRoomTimeout(
+    room,
+    () => releaseHeldSlot(room, playerId),
+    RECONNECT_GRACE_PERIOD_MS
+  );
 
-        // 4. Use up player's action
-        gameState.actionsRemaining -= 1;
+  // Notify the remaining player so they can show the reconnect countdown
+  broadcastCustomizedGameState(room);
+}
 
-        // 5. Notify clients to play animation
-        io.emit('playAttackAnimation', { attackerId: playerId, victimId: slimeId });
+// Helper function to give up on a disconnected player once the grace period is over
+function releaseHeldSlot(room, playerId) {
+  const { gameState } = room;
+  room.reconnectTimeout = null;
 
-        // 6. Broadcast state changes
-        broadcastCustomizedGameState();
+  console.log(`🧹 ${playerId} didn't reconnect to ${room.id} in time - freeing their slot`);
 
-        // 7. Auto-switch turns if no actions remaining
-        if (gameState.actionsRemaining <= 0) {
-          // Add small delay to allow any triggered events (like trap activation) to complete
-          setTimeout(() => {
-            switchTurn();
-          }, 300); // 300ms delay
-        }
-      } else {
-        console.log(`Attack rejected: slime not adjacent to player`);
-      }
-    });
+  delete gameState.players[playerId];
+  delete room.sessions[playerId];
+  gameState.disconnectedPlayer = null;
 
-    // DEBUG: Handle debug level loading request
-    socket.on('debugLoadLevel', ({ level }) => {
-      if (level === 'level2') {
-        console.log(`🚀 DEBUG: Fast forwarding to Level 2 requested by ${playerId}`);
+  if (getHumanPlayerCount(room) === 0) {
+    destroyRoom(room);
+    return;
+  }
 
-        // Load level 2
-        loadNewMap('level2', 0);
+  // Stop the game and restart the current level for whoever joins next
+  gameState.gameStarted = false;
+  gameState.currentPlayerTurn = null;
+  gameState.gameWon = false; // Reset win state
+  gameState.levelTransition = null; // Clear any transitions
+  loadNewMap(room, gameState.currentLevel);
+
+  for (const player of Object.values(gameState.players)) {
+    player.x = room.startingPositions[player.id].x;
+    player.y = room.startingPositions[player.id].y;
+    player.health = PLAYER_MAX_HEALTH;
+  }
 
-        // Reset game state for the new level
-        gameState.gameStarted = true;
-        gameState.currentPlayerTurn = 'player1';
-        gameState.actionsRemaining = 2;
+  room.hostName = Object.values(gameState.players)[0].name;
+  publishLobbyEvent(room, 'updated');
 
-        // Ensure both players have starting items
-        gameState.playerItems = {
-          player1: ITEM_TYPES.DOUSE_FIRE,
-          player2: ITEM_TYPES.BUILD_BRIDGE,
-        };
+  broadcastCustomizedGameState(room);
+}
 
-        // Broadcast the new state to all clients
-        broadcastCustomizedGameState();
+// Handle a player coming back with the session token they were given on join
+function handleResumeSessionRequest(socket, data) {
+  if (socket.data.roomId) {
+    socket.emit('roomError', { reason: 'You are already in a room' });
+    return;
+  }
 
-        console.log('✅ DEBUG: Level 2 loaded successfully!');
-      }
-    });
+  const session = verifySessionToken(data && data.sessionToken);
+  const room = session ? rooms.get(session.roomId) : null;
+  const player = room ? room.gameState.players[session.playerId] : null;
 
-    // Temporary command to reset player positions (for testing)
-    socket.on('resetPositions', () => {
-      try {
-        console.log('🔄 Reset positions triggered by', playerId);
+  // Only the latest token for a slot that is currently being held can be used
+  if (!player || player.connected || room.sessions[session.playerId] !== session.sessionId) {
+    console.log(`Session resume rejected for ${socket.id}`);
+    socket.emit('sessionExpired', { reason: 'Your previous game is no longer available' });
+    return;
+  }
 
-        // Update starting positions for current level
-        updateStartingPositionsForMap(gameState.dungeonLayout);
+  const { gameState } = room;
+  const playerId = session.playerId;
 
-        // Reset all connected players to starting positions
-        if (gameState.players.player1) {
-          gameState.players.player1.x = startingPositions.player1.x;
-          gameState.players.player1.y = startingPositions.player1.y;
-          console.log(
-            `Reset player1 to (${startingPositions.player1.x}, ${startingPositions.player1.y})`
-          );
-        }
-        if (gameState.players.player2) {
-          gameState.players.player2.x = startingPositions.player2.x;
-          gameState.players.player2.y = startingPositions.player2.y;
-          console.log(
-            `Reset player2 to (${startingPositions.player2.x}, ${startingPositions.player2.y})`
-          );
-        }
+  player.socketId = socket.id;
+  player.connected = true;
 
-        // Ensure positions are safe
-        ensureSafeStartingPositions();
+  socket.data.roomId = room.id;
+  socket.data.playerId = playerId;
+  socket.join(room.id);
+  socket.leave(LOBBY_CHANNEL);
 
-        // Broadcast updated positions
-        broadcastCustomizedGameState();
+  if (room.reconnectTimeout) {
+    clearRoomTimeout(room, room.reconnectTimeout);
+    room.reconnectTimeout = null;
+  }
+  gameState.disconnectedPlayer = null; // Clear disconnect info
 
-        console.log('✅ Player positions reset successfully');
-      } catch (error) {
-        console.error(`❌ Error resetting positions:`, error);
-      }
-    });
-  } else {
-    // No available slots - reject connection
-    console.log(`Connection rejected for ${socket.id}: Game is full`);
+  console.log(`🔄 ${playerId} reconnected to ${room.id}! Resuming game...`);
 
-    // Send rejection message with a small delay to ensure it's received
-    socket.emit('connectionRejected', { reason: 'Game is full' });
+  socket.emit('roomJoined', {
+    roomCode: room.id,
+    inviteUrl: buildInviteUrl(socket, room.id),
+    isPrivate: room.isPrivate,
+    playerId: playerId,
+    sessionToken: issueSessionToken(room, playerId),
+  });
+  socket.emit('gameState', createCustomizedGameState(room, playerId));
 
-    // Disconnect after a brief delay to allow the message to be processed
-    setTimeout(() => {
-      socket.disconnect();
-    }, 100);
-    return;
+  if (gameState.gameStarted) {
+    startRealtimeTicks(room);
   }
 
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-
-    // Remove this specific player from game state
-    if (gameState.players[playerId] && gameState.players[playerId].socketId === socket.id) {
-      console.log(`${playerId} disconnected from game`);
+  broadcastCustomizedGameState(room);
 
-      // Store disconnect info for graceful handling
-      const disconnectedPlayer = {
-        playerId: playerId,
-        disconnectTime: Date.now(),
-        wasInGame: gameState.gameStarted,
-      };
+  // The AI partner waited while the game was paused
+  scheduleBotTurn(room);
+}
 
-      delete gameState.players[playerId];
+// Socket.io connection handling
+io.on('connection', socket => {
+  console.log('A user connected:', socket.id);
 
-      // Handle game state when a player disconnects
-      if (gameState.gameStarted) {
-        gameState.gameStarted = false;
-        gameState.currentPlayerTurn = null;
-        gameState.playerItems = {}; // Clear items when game stops
-        gameState.gameWon = false; // Reset win state
-        gameState.levelTransition = null; // Clear any transitions
+  // Room selection: the socket stays in the lobby until it creates, joins or quick-matches a room
+  socket.join(LOBBY_CHANNEL);
+  socket.emit('lobbyRooms', listLobbyRooms());
 
-        // Stop continuous snail movement
-        stopContinuousSnailMovement();
+  socket.on('createRoomRequest', data => {
+    handleCreateRoomRequest(socket, data);
+  });
+  socket.on('joinRoomRequest', data => {
+    handleJoinRoomRequest(socket, data);
+  });
+  socket.on('quickMatchRequest', data => {
+    handleQuickMatchRequest(socket, data);
+  });
+  socket.on('soloGameRequest', data => {
+    handleSoloGameRequest(socket, data);
+  });
+  socket.on('hotSeatGameRequest', () => {
+    handleHotSeatGameRequest(socket);
+  });
+  socket.on('resumeSessionRequest', data => {
+    handleResumeSessionRequest(socket, data);
+  });
 
-        // Add disconnect info to game state
-        gameState.disconnectedPlayer = disconnectedPlayer;
+  // Route a player request to its handler with the sender's room and player slot
+  const onPlayerRequest = (eventName, handler, errorMessage) => {
+    socket.on(eventName, data => {
+      // Spectators are read-only
+      if (socket.data.spectating) {
+        console.warn(`⚠️  ${eventName} refused for spectator ${socket.id}`);
+        socket.emit('gameError', { message: 'Spectators can only watch', error: eventName });
+        return;
+      }
 
-        console.log(`⚠️  Game paused: ${playerId} disconnected during active game`);
-        console.log(`🔄 Waiting for ${playerId} to reconnect or new player to join...`);
-      } else {
-        console.log(`👋 ${playerId} left while waiting - no active game disrupted`);
+      const session = getSocketSession(socket);
+      if (!session) {
+        console.warn(`⚠️  ${eventName} from socket ${socket.id} without a room`);
+        return;
       }
 
-      // Notify remaining players with graceful disconnect message
-      broadcastCustomizedGameState();
-
-      // Auto-cleanup after 30 seconds if no reconnection
-      setTimeout(() => {
-        if (gameState.disconnectedPlayer && gameState.disconnectedPlayer.playerId === playerId) {
-          console.log(`🧹 Auto-cleanup: ${playerId} didn't reconnect within 30 seconds`);
-          gameState.disconnectedPlayer = null;
-          // Reset to fresh game state for new players
-          gameState.levelProgression = 1;
-          loadNewMap('level1', 0);
-          broadcastCustomizedGameState();
-        }
-      }, 30000); // 30 second cleanup timeout
-    }
-  });
-});
+      if (session.room.gameState.disconnectedPlayer) {
+        socket.emit('gameError', {
+          message: 'Game is paused until your partner reconnects',
+          error: eventName,
+        });
+        return;
+      }
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+      if (session.room.enemyPhasePending && TURN_ACTION_REQUESTS.has(eventName)) {
+        socket.emit('gameError', { message: 'Wait for the enemies to finish', error: eventName });
+        return;
+      }
 
-// Initialize continuous snail movement system
-let snailMovementInterval = null;
+      try {
+        handler(session.room, session.playerId, data);
+      } catch (requestError) {
+        console.error(`❌ Error processing ${eventName} for ${session.playerId}:`, requestError);
+        // Send error state to player
+        socket.emit('gameError', {
+          message: errorMessage,
+          error: requestError.message,
+        });
+      }
+    });
+  };
+
+  onPlayerRequest('useItemRequest', handleUseItemRequest, 'Item use processing failed');
+  onPlayerRequest('giveItemRequest', handleGiveItemRequest, 'Give item processing failed');
+  onPlayerRequest('giveItemResponse', handleGiveItemResponse, 'Give item response failed');
+  onPlayerRequest('revealItemsRequest', handleRevealItemsRequest, 'Reveal items failed');
+  onPlayerRequest('undoRequest', handleUndoRequest, 'Undo processing failed');
+  onPlayerRequest('restartVote', handleRestartVote, 'Restart vote failed');
+  onPlayerRequest('reviveRequest', handleReviveRequest, 'Revive processing failed');
+  onPlayerRequest('moveRequest', handleMoveRequest, 'Move processing failed');
+  onPlayerRequest('endTurn', handleEndTurn, 'End turn processing failed');
+  onPlayerRequest('playerAttack', handlePlayerAttack, 'Attack processing failed');
+  onPlayerRequest('talkRequest', handleTalkRequest, 'Talk processing failed');
+  onPlayerRequest('flipLeverRequest', handleFlipLeverRequest, 'Lever flip processing failed');
+  onPlayerRequest('dialogueChoice', handleDialogueChoice, 'Dialogue choice processing failed');
+  onPlayerRequest('endDialogue', handleEndDialogue, 'Ending the dialogue failed');
+  onPlayerRequest('debugLoadLevel', handleDebugLoadLevel, 'Debug level load failed');
+  onPlayerRequest('resetPositions', handleResetPositions, 'Position reset failed');
 
-function startContinuousSnailMovement() {
-  // Clear any existing interval
-  if (snailMovementInterval) {
-    clearInterval(snailMovementInterval);
-  }
+  socket.on('disconnect', () => {
+    handleDisconnect(socket);
+  });
+});
 
-  // Start continuous movement every 2 seconds
-  snailMovementInterval = setInterval(() => {
-    if (gameState.gameStarted && gameState.snail) {
-      updateSnail();
-      // Broadcast state after snail movement
-      broadcastCustomizedGameState();
-    }
-  }, 2000); // Move every 2 seconds
-}
+// Game helpers, exported for the tests
+module.exports = {
+  createRoom,
+  destroyRoom,
+  createInitialGameState,
+  createPlayer,
+  findBotPath,
+  getSocketSession,
+  getHotSeatPlayerId,
+  parseLevelObjects,
+  evaluateSignal,
+  handleUseItemRequest,
+  addItemToInventory,
+  validateGift,
+  getVisiblePartnerInventory,
+  handleMoveRequest,
+  handleUndoRequest,
+  removeDeadPlayer,
+  handleReviveRequest,
+  tickDownedPlayers,
+  findEnemyPath,
+  loadNewMap,
+  findHostileEnemyAt,
+  findLinesOfFire,
+  fireAimedLanes,
+  getDistanceToEnemy,
+  updateEnemyPhase,
+  isDialogueOptionAvailable,
+  handleTalkRequest,
+  runEnemyPhase,
+  setRoomTimeout,
+  setLevelTimeout,
+  clearLevelTimeouts,
+  findCrateAt,
+  findCratePush,
+  tickTimedActuators,
+  canPassGates,
+  checkDoorWinCondition,
+  LEVELS,
+  loadLevelDefinitions,
+  issueSessionToken,
+  verifySessionToken,
+  handleResumeSessionRequest,
+  normalizeRoomCode,
+  sanitizePlayerName,
+  handleGiveItemRequest,
+  handleGiveItemResponse,
+  handleEndTurn,
+};
 
-function stopContinuousSnailMovement() {
-  if (snailMovementInterval) {
-    clearInterval(snailMovementInterval);
-    snailMovementInterval = null;
-  }
+// Only listen when started directly (npm start), not when the tests require the file
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
 }
@@ -1,12 +1,13 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
-// Mock the server dependencies for testing
-jest.mock('express');
-jest.mock('socket.io');
+// Keep the server's startup banner and level loading logs out of the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
 
-// Import game logic by requiring the server file and extracting functions
-// We'll need to refactor some functions to be more testable
+// The server file only listens when started directly, so the tests can use its game helpers
+const server = require('../server');
 
 describe('Game Logic Tests', () => {
   // Mock game state for testing
@@ -14,6 +15,30 @@ describe('Game Logic Tests', () => {
   let mockTileTypes;
   let mockItemTypes;
 
+  // Rooms made by createTestRoom, kept apart from the server's own and torn down after each test
+  const testRooms = new Map();
+
+  // A started room on a hand-drawn map, with players at the given positions
+  const createTestRoom = (dungeonLayout, positions) => {
+    const room = server.createRoom({ registry: testRooms });
+    Object.assign(room.gameState, server.createInitialGameState(room.id), {
+      dungeonLayout,
+      gridWidth: dungeonLayout[0].length,
+      gridHeight: dungeonLayout.length,
+      gameStarted: true,
+      currentPlayerTurn: 'player1',
+    });
+    room.startingPositions = positions;
+    for (const playerId of Object.keys(positions)) {
+      room.gameState.players[playerId] = server.createPlayer(room, playerId, null, null);
+    }
+    return room;
+  };
+
+  afterEach(() => {
+    testRooms.forEach(room => server.destroyRoom(room, testRooms));
+  });
+
   beforeEach(() => {
     // Reset mock game state before each test
     mockTileTypes = {
@@ -145,6 +170,153 @@ describe('Game Logic Tests', () => {
       expect(canUseItemOnTile(mockItemTypes.BUILD_BRIDGE, mockTileTypes.FIRE_HAZARD)).toBe(false);
       expect(canUseItemOnTile(mockItemTypes.DOUSE_FIRE, mockTileTypes.WALL)).toBe(false);
     });
+
+    test('should bridge one adjacent chasm per use and spend the item from its slot', () => {
+      const room = createTestRoom(
+        [
+          [1, 1, 1, 1],
+          [1, 0, 3, 1],
+          [1, 3, 0, 1],
+          [1, 1, 1, 1],
+        ],
+        { player1: { x: 1, y: 1 } }
+      );
+      const { gameState } = room;
+      gameState.inventories.player1[0] = { item: mockItemTypes.BUILD_BRIDGE, count: 1 };
+
+      server.handleUseItemRequest(room, 'player1', { slot: 0 });
+      expect(gameState.bridges).toEqual([{ x: 1, y: 2, builtBy: 'player1' }]);
+      expect(gameState.dungeonLayout[2][1]).toBe(mockTileTypes.FLOOR);
+      expect(gameState.dungeonLayout[1][2]).toBe(mockTileTypes.CHASM); // The other chasm is untouched
+      expect(gameState.actionsRemaining).toBe(1);
+
+      // The only bridge in the stack is spent, so the slot is empty now
+      expect(gameState.inventories.player1[0]).toBeNull();
+      server.handleUseItemRequest(room, 'player1', { slot: 0 });
+      expect(gameState.dungeonLayout[1][2]).toBe(mockTileTypes.CHASM);
+      expect(gameState.actionsRemaining).toBe(1);
+    });
+
+    test('should not use items or end turns without actions or once the level is won', () => {
+      const room = createTestRoom(
+        [
+          [1, 1, 1, 1, 1],
+          [1, 0, 3, 0, 1],
+          [1, 1, 1, 1, 1],
+        ],
+        { player1: { x: 1, y: 1 }, player2: { x: 3, y: 1 } }
+      );
+      const { gameState } = room;
+      gameState.inventories.player1[0] = { item: mockItemTypes.BUILD_BRIDGE, count: 1 };
+      const useBridge = () => server.handleUseItemRequest(room, 'player1', { slot: 0 });
+
+      gameState.actionsRemaining = 0;
+      useBridge();
+      expect(gameState.dungeonLayout[1][2]).toBe(mockTileTypes.CHASM);
+
+      // During the level transition the turn stays where it is, too
+      gameState.actionsRemaining = 2;
+      gameState.gameWon = true;
+      useBridge();
+      expect(gameState.dungeonLayout[1][2]).toBe(mockTileTypes.CHASM);
+      server.handleEndTurn(room, 'player1');
+      expect(gameState.currentPlayerTurn).toBe('player1');
+    });
+
+    test('should hide the partner inventory until revealed or the level shows it', () => {
+      const partnerItems = [{ item: mockItemTypes.BUILD_BRIDGE, count: 1 }, null];
+      const gameState = {
+        itemVisibility: { mode: 'hidden', afterTurns: null },
+        revealedItems: { player1: false, player2: false },
+        turnsThisLevel: 0,
+        inventories: { player1: [null, null], player2: partnerItems },
+      };
+
+      expect(server.getVisiblePartnerInventory(gameState, 'player1')).toBeNull();
+
+      // Revealing only shows player2's items to player1, not the other way round
+      gameState.revealedItems.player2 = true;
+      expect(server.getVisiblePartnerInventory(gameState, 'player1')).toBe(partnerItems);
+      expect(server.getVisiblePartnerInventory(gameState, 'player2')).toBeNull();
+      gameState.revealedItems.player2 = false;
+
+      // Timed levels show them once enough turns have been played
+      gameState.itemVisibility = { mode: 'afterTurns', afterTurns: 6 };
+      gameState.turnsThisLevel = 5;
+      expect(server.getVisiblePartnerInventory(gameState, 'player1')).toBeNull();
+      gameState.turnsThisLevel = 6;
+      expect(server.getVisiblePartnerInventory(gameState, 'player1')).toBe(partnerItems);
+    });
+
+    test('should only hand an item to an adjacent partner with room for the whole stack', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 1, y: 1 },
+        player2: { x: 2, y: 1 },
+      });
+      const { players, inventories } = room.gameState;
+      const water = count => ({ item: mockItemTypes.DOUSE_FIRE, count });
+      inventories.player1[0] = { item: 'Key', count: 1 };
+
+      // Passing the key through a gap to the partner next door
+      expect(server.validateGift(room, 'player1', 0)).toEqual({
+        from: 'player1',
+        to: 'player2',
+        slot: 0,
+        item: 'Key',
+        count: 1,
+      });
+      players.player2.x = 3;
+      expect(server.validateGift(room, 'player1', 0)).toBeNull();
+
+      // One more Douse Fire tops up the stack, two don't fit and the key has no free slot
+      players.player2 = { ...players.player2, x: 1, y: 2 };
+      inventories.player2 = [water(2), water(3), water(3), water(3)];
+      inventories.player1[1] = water(1);
+      expect(server.validateGift(room, 'player1', 1)).not.toBeNull();
+      inventories.player1[1] = water(2);
+      expect(server.validateGift(room, 'player1', 1)).toBeNull();
+      expect(server.validateGift(room, 'player1', 0)).toBeNull();
+    });
+
+    test('should only let the receiver answer an offer, and skip the offer on a shared keyboard', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 1, y: 1 },
+        player2: { x: 2, y: 1 },
+      });
+      const { inventories } = room.gameState;
+      inventories.player1[0] = { item: 'Key', count: 1 };
+
+      // The giver can't accept their own offer
+      server.handleGiveItemRequest(room, 'player1', { slot: 0 });
+      server.handleGiveItemResponse(room, 'player1', { accept: true });
+      expect(room.gameState.pendingGift).toMatchObject({ from: 'player1', to: 'player2' });
+      server.handleGiveItemResponse(room, 'player2', { accept: true });
+      expect(inventories.player2[0]).toEqual({ item: 'Key', count: 1 });
+
+      // In hot-seat mode the key changes hands straight away
+      room.hotSeat = true;
+      inventories.player1[0] = { item: 'Key', count: 1 };
+      server.handleGiveItemRequest(room, 'player1', { slot: 0 });
+      expect(room.gameState.pendingGift).toBeNull();
+      expect(inventories.player1[0]).toBeNull();
+      expect(inventories.player2[1]).toEqual({ item: 'Key', count: 1 });
+    });
+
+    test('should stack pickups up to the item limit and report what does not fit', () => {
+      const gameState = {
+        inventories: { player1: [{ item: mockItemTypes.DOUSE_FIRE, count: 2 }, null] },
+      };
+
+      // Tops up the existing stack before opening a new slot
+      expect(server.addItemToInventory(gameState, 'player1', mockItemTypes.DOUSE_FIRE, 2)).toBe(0);
+      expect(gameState.inventories.player1).toEqual([
+        { item: mockItemTypes.DOUSE_FIRE, count: 3 },
+        { item: mockItemTypes.DOUSE_FIRE, count: 1 },
+      ]);
+
+      // No free slot left - the key stays on the floor
+      expect(server.addItemToInventory(gameState, 'player1', 'Key', 1)).toBe(1);
+    });
   });
 
   describe('Win Condition Logic', () => {
@@ -206,6 +378,520 @@ describe('Game Logic Tests', () => {
       expect(getConnectedPlayerCount({ player1: {} })).toBe(1);
       expect(getConnectedPlayerCount({ player1: {}, player2: {} })).toBe(2);
     });
+
+    test('should pair connecting players into separate rooms two at a time', () => {
+      const rooms = new Map();
+      let nextRoomNumber = 1;
+
+      const findAvailablePlayerSlot = players => {
+        if (!players.player1) {
+          return 'player1';
+        } else if (!players.player2) {
+          return 'player2';
+        }
+        return null;
+      };
+
+      const connect = socketId => {
+        let room = [...rooms.values()].find(r => findAvailablePlayerSlot(r.players));
+        if (!room) {
+          room = { id: `room_${nextRoomNumber++}`, players: {} };
+          rooms.set(room.id, room);
+        }
+        const playerId = findAvailablePlayerSlot(room.players);
+        room.players[playerId] = { id: playerId, socketId };
+        return { roomId: room.id, playerId };
+      };
+
+      expect(connect('a')).toEqual({ roomId: 'room_1', playerId: 'player1' });
+      expect(connect('b')).toEqual({ roomId: 'room_1', playerId: 'player2' });
+      expect(connect('c')).toEqual({ roomId: 'room_2', playerId: 'player1' });
+      expect(connect('d')).toEqual({ roomId: 'room_2', playerId: 'player2' });
+
+      // A slot freed by a disconnect is filled before a new room is opened
+      delete rooms.get('room_1').players.player2;
+      expect(connect('e')).toEqual({ roomId: 'room_1', playerId: 'player2' });
+      expect(rooms.size).toBe(2);
+    });
+
+    test('should seat extra sockets in a full room as read-only spectators', () => {
+      const room = { players: {}, spectators: new Set() };
+
+      const join = socketId => {
+        if (!room.players.player1) {
+          room.players.player1 = { socketId };
+          return 'player1';
+        } else if (!room.players.player2) {
+          room.players.player2 = { socketId };
+          return 'player2';
+        }
+        room.spectators.add(socketId);
+        return 'spectator';
+      };
+
+      const canAct = socketId => !room.spectators.has(socketId);
+
+      expect(join('a')).toBe('player1');
+      expect(join('b')).toBe('player2');
+      expect(join('c')).toBe('spectator');
+      expect(join('d')).toBe('spectator');
+      expect(room.spectators.size).toBe(2);
+
+      // Spectators never take a player slot and their actions are refused
+      expect(Object.keys(room.players)).toEqual(['player1', 'player2']);
+      expect(canAct('a')).toBe(true);
+      expect(canAct('c')).toBe(false);
+    });
+  });
+
+  describe('AI Partner', () => {
+    test('should only path through fires the partner can douse', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, { player2: { x: 1, y: 1 } });
+      room.gameState.fires = [{ x: 1, y: 2, isDoused: false }];
+      const bot = room.gameState.players.player2;
+      const findPath = (goal, throughFires) =>
+        server.findBotPath(room, bot, goal, { throughFires });
+
+      // The fire is the only way past the chasm to the exit
+      expect(findPath({ x: 3, y: 3 }, false)).toBe(null);
+      expect(findPath({ x: 3, y: 3 }, true)).toEqual([
+        { x: 1, y: 2 },
+        { x: 1, y: 3 },
+        { x: 2, y: 3 },
+        { x: 3, y: 3 },
+      ]);
+
+      // Walls are never crossed
+      expect(findPath({ x: 0, y: 0 }, true)).toBe(null);
+    });
+  });
+
+  describe('Slime AI', () => {
+    const layout = [
+      [1, 1, 1, 1, 1],
+      [1, 0, 1, 0, 1],
+      [1, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1],
+    ];
+    const slime = { id: 'slime_0', type: 'slime', x: 1, y: 1, width: 1, height: 1 };
+    const route = [
+      { x: 1, y: 2 },
+      { x: 2, y: 2 },
+      { x: 3, y: 2 },
+      { x: 3, y: 1 },
+    ];
+
+    test('should route a slime around a wall to reach a player', () => {
+      // The greedy x-then-y step would walk straight into the wall at (2, 1)
+      const room = createTestRoom(layout, { player1: { x: 3, y: 1 } });
+      room.gameState.enemies = [slime];
+
+      expect(server.findEnemyPath(room, slime, { x: 3, y: 1 })).toEqual(route);
+    });
+
+    test('should keep slimes off closed trap doors and queue them behind other slimes', () => {
+      const room = createTestRoom(layout, { player1: { x: 3, y: 1 } });
+      room.gameState.trapDoors = [{ x: 2, y: 2, isOpen: false }];
+      room.gameState.enemies = [slime];
+
+      expect(server.findEnemyPath(room, slime, { x: 3, y: 1 })).toBeNull();
+      room.gameState.trapDoors[0].isOpen = true;
+      expect(server.findEnemyPath(room, slime, { x: 3, y: 1 })).toEqual(route);
+
+      // With no way around it, a slime waits behind the one blocking the corridor
+      room.gameState.enemies.push({ ...slime, id: 'slime_1', x: 2, y: 2 });
+      expect(server.findEnemyPath(room, slime, { x: 3, y: 1 })).toEqual(route);
+    });
+  });
+
+  describe('Enemy Registry', () => {
+    const enemyObject = (type, x, properties = []) => ({
+      type,
+      x: x * 32,
+      y: 32,
+      width: 32,
+      height: 32,
+      properties,
+    });
+    const { gameObjects } = server.parseLevelObjects({
+      tilewidth: 32,
+      tileheight: 32,
+      layers: [
+        {
+          type: 'objectgroup',
+          objects: [
+            enemyObject('slime', 1),
+            enemyObject('snail', 2),
+            enemyObject('slime', 3, [{ name: 'health', type: 'int', value: 5 }]),
+            enemyObject('key', 4),
+          ],
+        },
+      ],
+    });
+
+    test('should build enemies from any registered type in the level data', () => {
+      expect(gameObjects.enemies.map(enemy => enemy.type)).toEqual(['slime', 'snail', 'slime']);
+      expect(gameObjects.enemies.map(enemy => enemy.health)).toEqual([2, 1, 5]);
+      expect(gameObjects.pickups).toHaveLength(1); // The key is an item, not an enemy
+    });
+
+    test('should number enemies per type when their level loads', () => {
+      const room = server.createRoom({ registry: testRooms });
+      server.loadNewMap(room, 'level2');
+
+      expect(room.gameState.enemies.map(enemy => enemy.id)).toEqual([
+        'slime_0',
+        'slime_1',
+        'snail_0',
+      ]);
+    });
+
+    test('should only let players attack hostile enemies', () => {
+      const gameState = { enemies: gameObjects.enemies };
+
+      expect(server.findHostileEnemyAt(gameState, 1, 1)).toBe(gameObjects.enemies[0]);
+      expect(server.findHostileEnemyAt(gameState, 2, 1)).toBeNull(); // The snail
+    });
+  });
+
+  describe('Ranged Enemies', () => {
+    const layout = [
+      [1, 1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 0, 1],
+      [1, 0, 1, 0, 0, 1],
+      [1, 1, 1, 1, 1, 1],
+    ];
+    const turret = { id: 'turret_0', type: 'turret', x: 1, y: 1, width: 1, height: 1 };
+
+    test('should only shoot along rows and columns until a wall or crate blocks the line', () => {
+      const gameState = { dungeonLayout: layout, crates: null, doors: null };
+
+      expect(server.findLinesOfFire(gameState, turret)).toEqual([
+        [{ x: 1, y: 2 }],
+        [
+          { x: 2, y: 1 },
+          { x: 3, y: 1 },
+          { x: 4, y: 1 },
+        ],
+      ]);
+
+      gameState.crates = [{ id: 'crate_0', x: 3, y: 1, isSunk: false }];
+      expect(server.findLinesOfFire(gameState, turret)[1]).toEqual([{ x: 2, y: 1 }]);
+    });
+
+    test('should hit the first player in an aimed lane and miss players who stepped aside', () => {
+      const room = createTestRoom(layout, { player1: { x: 2, y: 1 }, player2: { x: 4, y: 1 } });
+      const { players } = room.gameState;
+      const lanes = server.findLinesOfFire(room.gameState, turret);
+
+      server.fireAimedLanes(room, { ...turret, aimedLanes: lanes });
+      expect(players.player1.health).toBe(2);
+      expect(players.player2.health).toBe(3); // Covered by player1
+
+      players.player1.y = 2;
+      players.player1.x = 3;
+      players.player2.y = 2;
+      server.fireAimedLanes(room, { ...turret, aimedLanes: lanes });
+      expect(players.player1.health).toBe(2);
+      expect(players.player2.health).toBe(3);
+    });
+  });
+
+  describe('Boss', () => {
+    test('should measure adjacency from any tile of a multi-tile footprint', () => {
+      const warden = { x: 7, y: 4, width: 2, height: 2 };
+
+      expect(server.getDistanceToEnemy(warden, { x: 7, y: 4 })).toBe(0);
+      expect(server.getDistanceToEnemy(warden, { x: 8, y: 5 })).toBe(0);
+      expect(server.getDistanceToEnemy(warden, { x: 9, y: 5 })).toBe(1);
+      expect(server.getDistanceToEnemy(warden, { x: 8, y: 6 })).toBe(1);
+      expect(server.getDistanceToEnemy(warden, { x: 9, y: 6 })).toBe(2); // Diagonal
+      expect(server.getDistanceToEnemy(warden, { x: 5, y: 4 })).toBe(2);
+    });
+
+    test('should switch to later phases as its health drops', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, {});
+      const warden = {
+        id: 'warden_0',
+        type: 'warden',
+        maxHealth: 9,
+        phase: 0,
+        phaseName: 'Awakened',
+      };
+      const phaseAt = health => {
+        warden.health = health;
+        server.updateEnemyPhase(room, warden);
+        return warden.phaseName;
+      };
+
+      expect(phaseAt(9)).toBe('Awakened');
+      expect(phaseAt(7)).toBe('Awakened');
+      expect(phaseAt(6)).toBe('Enraged');
+      expect(phaseAt(3)).toBe('Desperate');
+      expect(phaseAt(1)).toBe('Desperate');
+    });
+  });
+
+  describe('NPC Dialogue', () => {
+    const dialogue = {
+      quest: 'shinyStone',
+      nodes: {
+        start: {
+          text: 'Have you seen any shiny objects?',
+          options: [
+            {
+              text: 'Is this your stone?',
+              take: 'Shiny Stone',
+              give: 'Build Bridge',
+              quest: 'done',
+            },
+            { text: 'Goodbye.' },
+          ],
+        },
+        done: { text: 'Bless you, crawler.', options: [{ text: 'Goodbye.' }] },
+      },
+    };
+
+    test('should only offer options the player has the items for', () => {
+      const gameState = { inventories: { player1: [{ item: 'Douse Fire', count: 1 }, null] } };
+      const offered = () =>
+        dialogue.nodes.start.options.map(option =>
+          server.isDialogueOptionAvailable(gameState, 'player1', option)
+        );
+
+      expect(offered()).toEqual([false, true]);
+      gameState.inventories.player1[1] = { item: 'Shiny Stone', count: 1 };
+      expect(offered()).toEqual([true, true]);
+    });
+
+    test('should start the conversation where the quest left off', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, { player1: { x: 1, y: 1 } });
+      room.gameState.enemies = [
+        { id: 'snail_0', type: 'snail', name: 'Snail', x: 2, y: 1, width: 1, height: 1 },
+      ];
+      room.dialogues.snail_0 = dialogue;
+      const talk = () => {
+        server.handleTalkRequest(room, 'player1', { npcId: 'snail_0' });
+        return room.conversations.player1.nodeId;
+      };
+
+      expect(talk()).toBe('start');
+      room.quests.shinyStone = 'done';
+      expect(talk()).toBe('done');
+      room.quests.shinyStone = 'searching';
+      expect(talk()).toBe('start'); // No node for that state
+    });
+  });
+
+  describe('Pressure Plate Wiring', () => {
+    test('should drive actuators from their plates with or/and/toggle/latched logic', () => {
+      const gameState = { pressurePlates: [{ isPressed: true }, { isPressed: false }], levers: [] };
+      const signal = (plates, logic) => ({ plates, levers: [], logic });
+      const none = new Set();
+      const evaluate = (wiring, isActive, justPressed = none) =>
+        server.evaluateSignal(wiring, gameState, isActive, justPressed, none);
+
+      expect(evaluate(signal([0, 1], 'or'), false)).toBe(true);
+      expect(evaluate(signal([0, 1], 'and'), false)).toBe(false);
+      expect(evaluate(signal([], 'and'), false)).toBe(false);
+
+      // Toggles flip only when one of their plates goes down
+      expect(evaluate(signal([0], 'toggle'), true, new Set([0]))).toBe(false);
+      expect(evaluate(signal([0], 'toggle'), true)).toBe(true);
+
+      // Latched actuators stay open after everyone steps off
+      gameState.pressurePlates[0].isPressed = false;
+      expect(evaluate(signal([0], 'latched'), true)).toBe(true);
+      expect(evaluate(signal([0], 'or'), true)).toBe(false);
+    });
+
+    test('should count levers as pressed while on and open timed actuators when one flips', () => {
+      const gameState = { pressurePlates: [{ isPressed: false }], levers: [{ isOn: true }] };
+      const none = new Set();
+      const orSignal = { plates: [0], levers: [0], logic: 'or' };
+      const timedSignal = { plates: [], levers: [0], logic: 'timed', openTurns: 2 };
+
+      expect(server.evaluateSignal(orSignal, gameState, false, none, none)).toBe(true);
+
+      // Flipping a lever off still opens a timed trap door - it's the flip that counts
+      gameState.levers[0].isOn = false;
+      expect(server.evaluateSignal(orSignal, gameState, true, none, none)).toBe(false);
+      expect(server.evaluateSignal(timedSignal, gameState, false, none, new Set([0]))).toBe(true);
+      expect(server.evaluateSignal(timedSignal, gameState, false, none, none)).toBe(false);
+    });
+
+    test('should close timed actuators once their turns have run out', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, { player1: { x: 1, y: 1 } });
+      room.gameState.levers = [{ x: 2, y: 1, isOn: true }];
+      room.gameState.trapDoors = [
+        {
+          x: 1,
+          y: 2,
+          isOpen: true,
+          openTurnsLeft: 2, // The partner's turn and the flipper's next one
+          signal: { plates: [], levers: [0], logic: 'timed', openTurns: 2, label: 'trap door 1' },
+        },
+      ];
+      const [trap] = room.gameState.trapDoors;
+
+      server.tickTimedActuators(room);
+      server.tickTimedActuators(room);
+      expect(trap).toMatchObject({ isOpen: true, openTurnsLeft: 0 });
+      server.tickTimedActuators(room);
+      expect(trap.isOpen).toBe(false);
+    });
+  });
+
+  describe('One-Way Gates', () => {
+    test('should only let players through in the gate direction', () => {
+      const gameState = { gates: [{ x: 2, y: 2, direction: 'down' }] };
+      const canPass = (from, to, direction) => server.canPassGates(gameState, from, to, direction);
+
+      expect(canPass({ x: 2, y: 1 }, { x: 2, y: 2 }, 'down')).toBe(true);
+      expect(canPass({ x: 2, y: 3 }, { x: 2, y: 2 }, 'up')).toBe(false);
+      expect(canPass({ x: 1, y: 2 }, { x: 2, y: 2 }, 'right')).toBe(false);
+
+      // Once on it, anything but backwards
+      expect(canPass({ x: 2, y: 2 }, { x: 2, y: 3 }, 'down')).toBe(true);
+      expect(canPass({ x: 2, y: 2 }, { x: 3, y: 2 }, 'right')).toBe(true);
+      expect(canPass({ x: 2, y: 2 }, { x: 2, y: 1 }, 'up')).toBe(false);
+    });
+  });
+
+  describe('World Ticks', () => {
+    test('should let round entities act once both players have had a turn', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, { player1: { x: 1, y: 1 } });
+      const snail = {
+        id: 'snail_0',
+        type: 'snail',
+        x: 2,
+        y: 3,
+        width: 1,
+        height: 1,
+        direction: -1,
+        moveRange: 4,
+        startX: 2,
+        hasMoved: false,
+      };
+      room.gameState.enemies = [snail];
+
+      room.gameState.turnsThisLevel = 1;
+      server.runEnemyPhase(room);
+      expect(snail).toMatchObject({ x: 2, hasMoved: false });
+
+      room.gameState.turnsThisLevel = 2;
+      server.runEnemyPhase(room);
+      expect(snail).toMatchObject({ x: 1, hasMoved: true });
+    });
+
+    test('should cancel level timers on a level change but keep the room ones', () => {
+      jest.useFakeTimers();
+      const room = createTestRoom(mockGameState.dungeonLayout, {});
+
+      const fired = [];
+      server.setLevelTimeout(room, () => fired.push('enemy phase'), 600);
+      server.setRoomTimeout(room, () => fired.push('bot action'), 600);
+      server.clearLevelTimeouts(room);
+      jest.advanceTimersByTime(1000);
+
+      expect(fired).toEqual(['bot action']);
+      expect(room.timeouts.size).toBe(0);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('Crates', () => {
+    beforeEach(() => {
+      mockGameState.crates = [{ id: 'crate_0', x: 1, y: 2, isSunk: false }];
+      mockGameState.players.player2 = { id: 'player2', x: 3, y: 2 }; // Off the chasm
+    });
+
+    test('should push a crate onto floor and sink it into a chasm', () => {
+      expect(server.findCratePush(mockGameState, 1, 3)).toEqual({ x: 1, y: 3, sinks: false });
+      expect(server.findCratePush(mockGameState, 2, 2)).toEqual({ x: 2, y: 2, sinks: true });
+    });
+
+    test('should block pushes into walls, hazards, exits, crates and players', () => {
+      expect(server.findCratePush(mockGameState, 0, 2)).toBeNull(); // Wall
+      expect(server.findCratePush(mockGameState, 3, 1)).toBeNull(); // Fire hazard
+      expect(server.findCratePush(mockGameState, 3, 3)).toBeNull(); // Exit
+      expect(server.findCratePush(mockGameState, 1, 1)).toBeNull(); // Player 1
+      expect(server.findCratePush(mockGameState, 1, 2)).toBeNull(); // Another crate
+
+      // A sunk crate is floor now
+      mockGameState.crates[0].isSunk = true;
+      expect(server.findCrateAt(mockGameState, 1, 2)).toBeNull();
+      expect(server.findCratePush(mockGameState, 1, 2)).toEqual({ x: 1, y: 2, sinks: false });
+    });
+
+    test('should hold down a pressure plate with nobody on it', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 1, y: 1 },
+        player2: { x: 3, y: 2 },
+      });
+      room.gameState.crates = [{ id: 'crate_0', x: 1, y: 2, isSunk: false }];
+      room.gameState.pressurePlates = [{ x: 1, y: 3, isPressed: false }];
+
+      server.handleMoveRequest(room, 'player1', { direction: 'down' });
+      expect(room.gameState.crates[0]).toMatchObject({ x: 1, y: 3 });
+      expect(room.gameState.players.player1).toMatchObject({ x: 1, y: 2 });
+      expect(room.gameState.pressurePlates[0].isPressed).toBe(true);
+    });
+  });
+
+  describe('Colored Keys and Doors', () => {
+    const layout = [
+      [1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 1],
+      [1, 0, 0, 0, 1],
+      [1, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1],
+    ];
+    let room;
+
+    beforeEach(() => {
+      room = createTestRoom(layout, { player1: { x: 1, y: 1 }, player2: { x: 3, y: 1 } });
+      room.gameState.doors = [
+        { id: 'door_0', x: 3, y: 3, color: 'gold', isExit: true, isUnlocked: false },
+        { id: 'door_1', x: 1, y: 2, color: 'red', isExit: false, isUnlocked: false },
+      ];
+      room.gameState.inventories.player1[0] = { item: 'Red Key', count: 1 };
+    });
+
+    test('should only open a door with the key of its color, using the key up', () => {
+      const { gameState } = room;
+      server.handleMoveRequest(room, 'player1', { direction: 'down' }); // Into the red door
+      expect(gameState.doors[1].isUnlocked).toBe(true);
+      expect(gameState.inventories.player1[0]).toBeNull();
+      expect(gameState.players.player1).toMatchObject({ x: 1, y: 2 });
+
+      // The gold door wants the gold key, and stays in the way without it
+      gameState.players.player1 = { ...gameState.players.player1, x: 2, y: 3 };
+      gameState.inventories.player1[0] = { item: 'Blue Key', count: 1 };
+      server.handleMoveRequest(room, 'player1', { direction: 'right' });
+      expect(gameState.doors[0].isUnlocked).toBe(false);
+      expect(gameState.inventories.player1[0]).toEqual({ item: 'Blue Key', count: 1 });
+      expect(gameState.players.player1).toMatchObject({ x: 2, y: 3 });
+    });
+
+    test('should only win with both players on an unlocked exit door', () => {
+      const { gameState } = room;
+      const moveBothTo = (x, y) => {
+        Object.values(gameState.players).forEach(player => Object.assign(player, { x, y }));
+      };
+
+      gameState.doors[1].isUnlocked = true;
+      moveBothTo(1, 2);
+      expect(server.checkDoorWinCondition(room)).toBe(false); // A door on the way
+
+      moveBothTo(3, 3);
+      expect(server.checkDoorWinCondition(room)).toBe(false); // Still locked
+
+      gameState.doors[0].isUnlocked = true;
+      expect(server.checkDoorWinCondition(room)).toBe(true);
+      expect(gameState.gameWon).toBe(true);
+      expect(server.checkDoorWinCondition(room)).toBe(false); // Won once, not every move after
+    });
   });
 
   describe('Turn Management', () => {
@@ -227,6 +913,194 @@ describe('Game Logic Tests', () => {
       expect(isPlayerTurn('player1', 'player2', true)).toBe(false);
       expect(isPlayerTurn('player1', 'player1', false)).toBe(false);
     });
+
+    test('should let a hot-seat socket act only as the player whose turn it is', () => {
+      const room = server.createRoom();
+      room.hotSeat = true;
+      room.gameState.currentPlayerTurn = 'player2';
+      const hotSeatSocket = { data: { roomId: room.id, hotSeat: true } };
+
+      expect(server.getSocketSession(hotSeatSocket)).toEqual({ room, playerId: 'player2' });
+      expect(server.getHotSeatPlayerId(room)).toBe('player2');
+
+      room.gameState.currentPlayerTurn = 'player1';
+      expect(server.getSocketSession(hotSeatSocket).playerId).toBe('player1');
+
+      // A player's own socket keeps acting as its slot whoever's turn it is
+      const playerSocket = { data: { roomId: room.id, playerId: 'player2' } };
+      expect(server.getSocketSession(playerSocket).playerId).toBe('player2');
+      server.destroyRoom(room);
+    });
+
+    test('should undo the last action of the turn until something irreversible happens', () => {
+      const room = createTestRoom(
+        [
+          [1, 1, 1, 1],
+          [1, 0, 0, 1],
+          [1, 0, 0, 1],
+          [1, 1, 1, 1],
+        ],
+        { player1: { x: 1, y: 1 } }
+      );
+      room.gameState.pressurePlates = [{ x: 2, y: 1, isPressed: false }];
+      const move = direction => server.handleMoveRequest(room, 'player1', { direction });
+      const undo = () => server.handleUndoRequest(room, 'player1');
+
+      // Stepping onto the plate and back off it again
+      move('right');
+      expect(room.gameState.pressurePlates[0].isPressed).toBe(true);
+      undo();
+      expect(room.gameState.players.player1).toMatchObject({ x: 1, y: 1, connected: true });
+      expect(room.gameState.pressurePlates[0].isPressed).toBe(false);
+      expect(room.gameState.actionsRemaining).toBe(2);
+
+      // The end of the turn (or a death) clears the history
+      move('right');
+      move('down');
+      expect(room.undoSnapshots).toHaveLength(0);
+      undo();
+      expect(room.gameState.players.player1).toMatchObject({ x: 2, y: 2 });
+    });
+
+    test('should take back reaching a checkpoint', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, { player1: { x: 1, y: 1 } });
+      room.gameState.checkpoints = [
+        { id: 'checkpoint_0', x: 1, y: 1, isActive: true },
+        { id: 'checkpoint_1', x: 2, y: 1, isActive: false },
+      ];
+
+      server.handleMoveRequest(room, 'player1', { direction: 'right' });
+      expect(room.gameState.checkpoints.map(c => c.isActive)).toEqual([false, true]);
+
+      // Fallen players go back to respawning at the first one
+      server.handleUndoRequest(room, 'player1');
+      expect(room.gameState.players.player1).toMatchObject({ x: 1, y: 1 });
+      expect(room.gameState.checkpoints.map(c => c.isActive)).toEqual([true, false]);
+    });
+
+    test('should spend a life per death and fall back to a restart vote', () => {
+      jest.useFakeTimers();
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 1, y: 1 },
+        player2: { x: 3, y: 2 },
+      });
+      const { gameState } = room;
+      gameState.livesRemaining = 2;
+
+      server.removeDeadPlayer(room, 'player1');
+      expect(gameState.livesRemaining).toBe(1);
+      expect(gameState.fallenPlayers.player1.respawnAt).toEqual(expect.any(Number));
+      expect(gameState.players.player1).toBeUndefined();
+      expect(gameState.currentPlayerTurn).toBe('player2');
+
+      // Back at the spawn once the delay is up, then two more deaths use up the last life
+      jest.runOnlyPendingTimers();
+      expect(gameState.players.player1).toMatchObject({ x: 1, y: 1, health: 3 });
+      server.removeDeadPlayer(room, 'player2');
+      server.removeDeadPlayer(room, 'player1');
+      expect(gameState.livesRemaining).toBe(0);
+      expect(gameState.fallenPlayers.player1.respawnAt).toBeNull();
+      expect(Object.keys(gameState.players)).toHaveLength(0);
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    test('should let go of the plate a fallen player was standing on', () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 2, y: 1 },
+        player2: { x: 3, y: 2 },
+      });
+      const { gameState } = room;
+      gameState.pressurePlates = [{ x: 2, y: 1, isPressed: true }];
+      gameState.trapDoors = [
+        {
+          x: 1,
+          y: 3,
+          isOpen: true,
+          signal: { plates: [0], levers: [], logic: 'or', label: 'trap' },
+        },
+      ];
+
+      server.removeDeadPlayer(room, 'player1');
+      expect(gameState.pressurePlates[0].isPressed).toBe(false);
+      expect(gameState.trapDoors[0].isOpen).toBe(false);
+    });
+
+    test('should respawn on the nearest free tile when the checkpoint is taken', () => {
+      jest.useFakeTimers();
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 3, y: 2 },
+        player2: { x: 1, y: 1 },
+      });
+      const { gameState } = room;
+      gameState.livesRemaining = 1;
+      gameState.checkpoints = [{ x: 1, y: 1, isActive: true }];
+
+      // The partner holds the checkpoint, a slime and a crate the tiles next to it
+      gameState.enemies = [{ id: 'slime_0', type: 'slime', x: 1, y: 2, width: 1, height: 1 }];
+      gameState.crates = [{ id: 'crate_0', x: 2, y: 1, isSunk: false }];
+
+      server.removeDeadPlayer(room, 'player1');
+      jest.runOnlyPendingTimers();
+      expect(gameState.players.player1).toMatchObject({ x: 1, y: 3 });
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('Downed Players', () => {
+    const createDownedRoom = () => {
+      const room = createTestRoom(mockGameState.dungeonLayout, {
+        player1: { x: 1, y: 1 },
+        player2: { x: 2, y: 1 },
+      });
+      const { gameState } = room;
+      gameState.players.player1.health = 0;
+      gameState.players.player2.health = 2;
+      gameState.downedPlayers.player1 = { turnsLeft: 3, reviveProgress: 0 };
+      gameState.currentPlayerTurn = 'player2';
+      return room;
+    };
+
+    test('should get a downed partner up with 1 health after enough actions', () => {
+      const room = createDownedRoom();
+      const { gameState } = room;
+
+      server.handleReviveRequest(room, 'player2');
+      expect(gameState.downedPlayers.player1.reviveProgress).toBe(1);
+      server.handleReviveRequest(room, 'player2');
+      expect(gameState.downedPlayers.player1).toBeUndefined();
+      expect(gameState.players.player1.health).toBe(1);
+
+      // Nobody left to revive, so no action is spent
+      gameState.currentPlayerTurn = 'player2';
+      gameState.actionsRemaining = 2;
+      server.handleReviveRequest(room, 'player2');
+      expect(gameState.actionsRemaining).toBe(2);
+    });
+
+    test('should only revive from an adjacent tile', () => {
+      const room = createDownedRoom();
+      room.gameState.players.player2.x = 3;
+
+      server.handleReviveRequest(room, 'player2');
+      expect(room.gameState.downedPlayers.player1.reviveProgress).toBe(0);
+      expect(room.gameState.actionsRemaining).toBe(2);
+    });
+
+    test('should let a downed player die once their turns run out', () => {
+      const room = createDownedRoom();
+      const { gameState } = room;
+
+      server.tickDownedPlayers(room);
+      server.tickDownedPlayers(room);
+      expect(gameState.downedPlayers.player1.turnsLeft).toBe(1);
+      expect(gameState.players.player1).toBeDefined();
+
+      server.tickDownedPlayers(room);
+      expect(gameState.players.player1).toBeUndefined();
+      expect(room.fallenPlayers.player1).toBeDefined();
+    });
   });
 
   describe('Tilemap Parsing', () => {
@@ -279,6 +1153,177 @@ describe('Game Logic Tests', () => {
       // Test empty tile mapping
       expect(TILEMAP_TO_LOGIC[0]).toBe(1);
     });
+
+    test('should place level objects and spawns from the Tiled object layer', () => {
+      const level = server.parseLevelObjects({
+        tilewidth: 32,
+        tileheight: 32,
+        properties: [{ name: 'name', type: 'string', value: 'Test Level' }],
+        layers: [
+          { type: 'tilelayer', data: [] },
+          {
+            type: 'objectgroup',
+            objects: [
+              { type: 'fire', x: 64, y: 64, width: 32, height: 32 },
+              { class: 'fire', gid: 7, x: 192, y: 192, width: 32, height: 32 }, // Tile object
+              {
+                type: 'spawn',
+                x: 32,
+                y: 192,
+                width: 32,
+                height: 32,
+                properties: [
+                  { name: 'player', type: 'string', value: 'player1' },
+                  { name: 'item', type: 'string', value: 'Douse Fire' },
+                ],
+              },
+            ],
+          },
+        ],
+      });
+
+      expect(level.name).toBe('Test Level');
+      expect(level.gameObjects.fires).toEqual([
+        { x: 2, y: 2, isDoused: false },
+        { x: 6, y: 5, isDoused: false },
+      ]);
+      expect(level.startingPositions).toEqual({ player1: { x: 1, y: 6 } });
+      expect(level.startingItems).toEqual({ player1: [{ item: 'Douse Fire', count: 1 }] });
+    });
+
+    test('should skip spawns for unknown players and spawn items it cannot hand out', () => {
+      const spawn = (x, properties) => ({
+        type: 'spawn',
+        x,
+        y: 32,
+        width: 32,
+        height: 32,
+        properties,
+      });
+      const property = (name, value) => ({ name, value });
+      const level = server.parseLevelObjects({
+        tilewidth: 32,
+        tileheight: 32,
+        layers: [
+          {
+            type: 'objectgroup',
+            objects: [
+              spawn(32, [property('player', 'player3')]),
+              spawn(64, [property('player', 'player1'), property('item', 'Sword')]),
+              spawn(96, [
+                property('player', 'player2'),
+                property('item', 'Douse Fire'),
+                property('itemCount', 0),
+              ]),
+            ],
+          },
+        ],
+      });
+
+      // Both players still start where their spawns are, just without the bad items
+      expect(level.startingPositions).toEqual({ player1: { x: 2, y: 1 }, player2: { x: 3, y: 1 } });
+      expect(level.startingItems).toBeNull();
+    });
+
+    test('should fall back to the defaults for stack sizes and health that are not positive', () => {
+      const object = (type, x, properties) => ({
+        type,
+        x: x * 32,
+        y: 32,
+        width: 32,
+        height: 32,
+        properties,
+      });
+      const { gameObjects } = server.parseLevelObjects({
+        tilewidth: 32,
+        tileheight: 32,
+        layers: [
+          {
+            type: 'objectgroup',
+            objects: [
+              object('pickup', 1, [
+                { name: 'item', value: 'Douse Fire' },
+                { name: 'count', value: -2 },
+              ]),
+              object('pickup', 2, [
+                { name: 'item', value: 'Douse Fire' },
+                { name: 'count', value: 1.5 },
+              ]),
+              object('pickup', 3, [
+                { name: 'item', value: 'Douse Fire' },
+                { name: 'count', value: '3' },
+              ]),
+              object('pickup', 4, [
+                { name: 'item', value: 'Douse Fire' },
+                { name: 'count', value: 2 },
+              ]),
+              object('slime', 5, [{ name: 'health', value: 0 }]),
+              object('slime', 6, [{ name: 'health', value: 'lots' }]),
+              object('slime', 7, [{ name: 'health', value: 4 }]),
+            ],
+          },
+        ],
+      });
+
+      expect(gameObjects.pickups.map(pickup => pickup.count)).toEqual([1, 1, 1, 2]);
+      expect(gameObjects.enemies.map(enemy => enemy.health)).toEqual([2, 2, 4]);
+      expect(gameObjects.enemies.map(enemy => enemy.maxHealth)).toEqual([2, 2, 4]);
+    });
+
+    test('should start players without a spawn on the map on a floor tile', () => {
+      const spawn = (playerId, x) => ({
+        type: 'spawn',
+        x: x * 32,
+        y: 32,
+        width: 32,
+        height: 32,
+        properties: [{ name: 'player', type: 'string', value: playerId }],
+      });
+      // A walled 5x4 room: floor from (1, 1) to (3, 2)
+      const writeMap = (fileName, spawns) => {
+        const mapFile = path.join(mapDir, fileName);
+        const tilemap = {
+          width: 5,
+          height: 4,
+          tilewidth: 32,
+          tileheight: 32,
+          layers: [
+            {
+              type: 'tilelayer',
+              data: [1, 1, 1, 1, 1, 1, 0, 0, 0, 1, 1, 0, 0, 0, 1, 1, 1, 1, 1, 1],
+            },
+            { type: 'objectgroup', objects: spawns },
+          ],
+        };
+        fs.writeFileSync(mapFile, JSON.stringify(tilemap));
+        return mapFile;
+      };
+      const mapDir = fs.mkdtempSync(path.join(os.tmpdir(), 'levels-'));
+      const levels = server.loadLevelDefinitions({
+        oneSpawn: writeMap('one-spawn.tmj', [spawn('player1', 3)]),
+        offMapSpawn: writeMap('off-map-spawn.tmj', [spawn('player1', 1), spawn('player2', 9)]),
+      });
+      fs.rmSync(mapDir, { recursive: true });
+      Object.assign(server.LEVELS, levels);
+
+      try {
+        const room = server.createRoom({ registry: testRooms });
+        server.loadNewMap(room, 'oneSpawn');
+        expect(room.startingPositions).toEqual({
+          player1: { x: 3, y: 1 },
+          player2: { x: 3, y: 2 },
+        });
+
+        // A spawn off the map counts as no spawn
+        server.loadNewMap(room, 'offMapSpawn');
+        expect(room.startingPositions).toEqual({
+          player1: { x: 1, y: 1 },
+          player2: { x: 3, y: 2 },
+        });
+      } finally {
+        Object.keys(levels).forEach(levelId => delete server.LEVELS[levelId]);
+      }
+    });
   });
 
   describe('Game State Validation', () => {
@@ -1,3 +1,19 @@
+const crypto = require('crypto');
+
+// Sign tokens with a known secret, so the tests can build signed payloads of their own
+const TEST_SESSION_SECRET = 'test-secret';
+process.env.SESSION_SECRET = TEST_SESSION_SECRET;
+
+// Same cap as the server's SESSION_TOKEN_MAX_LENGTH
+const SESSION_TOKEN_MAX_LENGTH = 512;
+
+// Keep the server's startup banner and session logs out of the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+// The server file only listens when started directly, so the tests can use its helpers
+const server = require('../../server');
+
 describe('Security Tests', () => {
   describe('Input Validation', () => {
     test('should validate move direction input', () => {
@@ -77,6 +93,49 @@ describe('Security Tests', () => {
       expect(validateCoordinates(null, 5, 10, 10)).toBe(false);
       expect(validateCoordinates(5, undefined, 10, 10)).toBe(false);
     });
+
+    test('should validate and normalize room codes', () => {
+      const { normalizeRoomCode } = server;
+
+      // Valid codes (case and surrounding whitespace are forgiven)
+      expect(normalizeRoomCode('FIRE-4821')).toBe('FIRE-4821');
+      expect(normalizeRoomCode(' slime-1042 ')).toBe('SLIME-1042');
+
+      // Invalid codes
+      expect(normalizeRoomCode('FIRE4821')).toBe(null);
+      expect(normalizeRoomCode('FIRE-42')).toBe(null); // Too short
+      expect(normalizeRoomCode('FIRE-48210')).toBe(null);
+      expect(normalizeRoomCode('-4821')).toBe(null);
+      expect(normalizeRoomCode('')).toBe(null);
+      expect(normalizeRoomCode(null)).toBe(null);
+      expect(normalizeRoomCode(42)).toBe(null);
+      expect(normalizeRoomCode({ roomCode: 'FIRE-4821' })).toBe(null);
+      expect(normalizeRoomCode('__proto__')).toBe(null);
+      expect(normalizeRoomCode('<script>alert("xss")</script>')).toBe(null);
+    });
+
+    test('should sanitize player names shown in the lobby', () => {
+      const { sanitizePlayerName } = server;
+      const PLAYER_NAME_MAX_LENGTH = 16; // Same cap as the server's
+
+      // Valid names
+      expect(sanitizePlayerName('Alex', 'Player 1')).toBe('Alex');
+      expect(sanitizePlayerName("  Sir O'Brien-2  ", 'Player 1')).toBe("Sir O'Brien-2");
+
+      // Long names are truncated
+      expect(sanitizePlayerName('A'.repeat(40), 'Player 1')).toHaveLength(PLAYER_NAME_MAX_LENGTH);
+
+      // Markup is stripped
+      expect(sanitizePlayerName('<script>alert("xss")</script>', 'Player 1')).toBe(
+        'scriptalertxsssc'
+      );
+
+      // Missing or unusable names fall back
+      expect(sanitizePlayerName('', 'Player 2')).toBe('Player 2');
+      expect(sanitizePlayerName('<>', 'Player 2')).toBe('Player 2');
+      expect(sanitizePlayerName(null, 'Player 2')).toBe('Player 2');
+      expect(sanitizePlayerName({ name: 'Alex' }, 'Player 2')).toBe('Player 2');
+    });
   });
 
   describe('Data Sanitization', () => {
@@ -173,6 +232,137 @@ describe('Security Tests', () => {
     });
   });
 
+  describe('Session Tokens', () => {
+    // A fake socket that records what the server sends it
+    const createTestSocket = () => ({
+      id: 'socket-1',
+      data: {},
+      handshake: { headers: {} },
+      emit: jest.fn(),
+      join: jest.fn(),
+      leave: jest.fn(),
+    });
+
+    // A token for any payload, signed the way the server signs its own
+    const signedToken = payload => {
+      const signature = crypto
+        .createHmac('sha256', TEST_SESSION_SECRET)
+        .update(payload)
+        .digest('base64url');
+      return `${payload}.${signature}`;
+    };
+    const encode = text => Buffer.from(text).toString('base64url');
+
+    // A room kept in the server's own rooms map, since that is where resumed sessions are looked up
+    let room;
+
+    beforeEach(() => {
+      room = server.createRoom();
+      room.gameState.players.player1 = server.createPlayer(room, 'player1', null, 'Alex');
+    });
+
+    afterEach(() => {
+      if (room) {
+        server.destroyRoom(room);
+      }
+    });
+
+    test('should only accept untampered tokens signed with the server secret', () => {
+      const token = server.issueSessionToken(room, 'player1');
+
+      // Valid token round-trips
+      expect(server.verifySessionToken(token)).toEqual({
+        roomId: room.id,
+        playerId: 'player1',
+        sessionId: room.sessions.player1,
+      });
+
+      // Claiming the partner's slot breaks the signature
+      const [payload, signature] = token.split('.');
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const forgedPayload = Buffer.from(
+        JSON.stringify({ ...session, playerId: 'player2' })
+      ).toString('base64url');
+      expect(server.verifySessionToken(`${forgedPayload}.${signature}`)).toBe(null);
+
+      // Malformed tokens
+      expect(server.verifySessionToken(`${token}x`)).toBe(null);
+      expect(server.verifySessionToken('not-a-token')).toBe(null);
+      expect(server.verifySessionToken('')).toBe(null);
+      expect(server.verifySessionToken(null)).toBe(null);
+      expect(server.verifySessionToken({ token })).toBe(null);
+    });
+
+    test('should reject oversized tokens before checking them', () => {
+      const session = server.verifySessionToken(server.issueSessionToken(room, 'player1'));
+      const padding = 'x'.repeat(SESSION_TOKEN_MAX_LENGTH);
+      const oversized = signedToken(encode(JSON.stringify({ ...session, padding })));
+
+      // Correctly signed, but too long to be one of the server's tokens
+      expect(oversized.length).toBeGreaterThan(SESSION_TOKEN_MAX_LENGTH);
+      expect(server.verifySessionToken(oversized)).toBe(null);
+    });
+
+    test('should reject signed payloads that are not a session', () => {
+      // The test secret is the one the server signs with
+      const token = server.issueSessionToken(room, 'player1');
+      expect(signedToken(token.split('.')[0])).toBe(token);
+
+      // Payloads that are not base64 JSON
+      expect(server.verifySessionToken(signedToken('!!not base64!!'))).toBe(null);
+      expect(server.verifySessionToken(signedToken(encode('{"roomId":')))).toBe(null);
+      expect(server.verifySessionToken(signedToken(encode('null')))).toBe(null);
+
+      // JSON without a room or player slot
+      expect(server.verifySessionToken(signedToken(encode('{"playerId":"player1"}')))).toBe(null);
+      expect(
+        server.verifySessionToken(signedToken(encode(`{"roomId":"${room.id}","playerId":1}`)))
+      ).toBe(null);
+    });
+
+    test('should only resume the latest session of a held slot in a room that still exists', () => {
+      const player = room.gameState.players.player1;
+      player.connected = false; // The slot is being held for the dropped player
+
+      // A token replaced by a later one is turned away
+      const oldToken = server.issueSessionToken(room, 'player1');
+      const latestToken = server.issueSessionToken(room, 'player1');
+      const staleSocket = createTestSocket();
+      server.handleResumeSessionRequest(staleSocket, { sessionToken: oldToken });
+      expect(staleSocket.emit).toHaveBeenCalledWith('sessionExpired', expect.any(Object));
+      expect(player.connected).toBe(false);
+
+      // A token for a room that has since closed is turned away
+      server.destroyRoom(room);
+      room = null; // Already closed, nothing left for afterEach to tear down
+      const closedSocket = createTestSocket();
+      server.handleResumeSessionRequest(closedSocket, { sessionToken: latestToken });
+      expect(closedSocket.emit).toHaveBeenCalledWith('sessionExpired', expect.any(Object));
+      expect(closedSocket.data.roomId).toBeUndefined();
+    });
+
+    test('should seat a player coming back with their latest token', () => {
+      const player = room.gameState.players.player1;
+      player.connected = false;
+      const token = server.issueSessionToken(room, 'player1');
+
+      const socket = createTestSocket();
+      server.handleResumeSessionRequest(socket, { sessionToken: token });
+
+      expect(player.connected).toBe(true);
+      expect(player.socketId).toBe(socket.id);
+      expect(socket.data).toEqual({ roomId: room.id, playerId: 'player1' });
+      expect(socket.emit).toHaveBeenCalledWith(
+        'roomJoined',
+        expect.objectContaining({ roomCode: room.id, playerId: 'player1' })
+      );
+
+      // The token that was used is replaced by the fresh one
+      server.handleResumeSessionRequest(createTestSocket(), { sessionToken: token });
+      expect(player.socketId).toBe(socket.id);
+    });
+  });
+
   describe('Rate Limiting Validation', () => {
     test('should implement basic rate limiting logic', () => {
       const createRateLimiter = (maxRequests, timeWindow) => {